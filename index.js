@@ -8,11 +8,27 @@ import usersRouter from "./routes/users.js";
 import ticketsRouter from "./routes/tickets.js"; //
 import transactionsRouter from "./routes/transactions.js";
 import waitlistRouter from "./routes/waitlist.js";
+import adminRouter from "./routes/admin.js";
+import apiKeysRouter from "./routes/apiKeys.js";
+import organizersRouter from "./routes/organizers.js";
+import eventTeamRouter from "./routes/eventTeam.js";
+import organizerApplicationsRouter from "./routes/organizerApplications.js";
+import venuesRouter from "./routes/venues.js";
+import eventSeriesRouter from "./routes/eventSeries.js";
+import eventImagesRouter from "./routes/eventImages.js";
+import calendarRouter from "./routes/calendar.js";
+import { localFilesDirectory } from "./utils/storage.js";
 import { swaggerUi, swaggerSpec } from "./swagger.js";
 
 dotenv.config();
 const app = express();
 
+// Behind a reverse proxy, trust X-Forwarded-For so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY === "true" : hops);
+}
+
 app.use(cors());
 app.use(express.json());
 
@@ -46,13 +62,28 @@ app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customSiteTitle: "EventGo API Documentation"
 }));
 
+// Uploaded files, when they are stored on this server's disk
+const uploadsDirectory = localFilesDirectory();
+if (uploadsDirectory) {
+  app.use("/uploads", express.static(uploadsDirectory, { index: false, maxAge: "7d", immutable: true }));
+}
+
 // API routes
 app.use("/events", eventsRouter);
+app.use("/events", eventTeamRouter);
+app.use("/events", eventImagesRouter);
 app.use("/ticket-types", ticketTypesRouter);
 app.use("/users", usersRouter);
 app.use("/tickets", ticketsRouter);
 app.use("/transactions", transactionsRouter);
 app.use("/waitlist", waitlistRouter);
+app.use("/admin", adminRouter);
+app.use("/api-keys", apiKeysRouter);
+app.use("/organizers", organizersRouter);
+app.use("/organizer-applications", organizerApplicationsRouter);
+app.use("/venues", venuesRouter);
+app.use("/event-series", eventSeriesRouter);
+app.use("/calendar", calendarRouter);
 
 // 404 handler - must come after all routes
 app.use((req, res) => {
@@ -1,22 +1,275 @@
 import jwt from 'jsonwebtoken';
+import pool from '../db.js';
 import { JWT_SECRET } from '../utils/auth.js';
+import { isApiKey, findApiKey } from '../utils/apiKeys.js';
+import { touchSession } from '../utils/refreshTokens.js';
+import { getActiveImpersonation, isAllowedWhileImpersonating, recordImpersonatedRequest } from '../utils/impersonation.js';
+import { ROLES_SQL } from '../utils/roles.js';
+import { hasPermission, isAllowed } from '../utils/policy.js';
 
-export const requireAuth = (req, res, next) => {
+/* --------------------------------------
+   API key scopes
+   Keys need 'read' for GET requests. Any other request is denied
+   unless it matches one of these rules.
+-------------------------------------- */
+const API_KEY_WRITE_RULES = [
+  { methods: ['POST'], path: /^\/events\/?$/, scope: 'events:write' },
+  { methods: ['PUT', 'DELETE'], path: /^\/events\/\d+\/?$/, scope: 'events:write' },
+  { methods: ['PATCH'], path: /^\/events\/\d+\/status\/?$/, scope: 'events:write' },
+  { methods: ['POST'], path: /^\/events\/\d+\/cancel\/?$/, scope: 'events:write' },
+  { methods: ['PUT', 'DELETE'], path: /^\/events\/\d+\/cover\/?$/, scope: 'events:write' },
+  { methods: ['POST'], path: /^\/events\/\d+\/gallery\/?$/, scope: 'events:write' },
+  { methods: ['PATCH', 'DELETE'], path: /^\/events\/\d+\/gallery\/\d+\/?$/, scope: 'events:write' },
+  { methods: ['POST'], path: /^\/ticket-types\/?$/, scope: 'events:write' },
+  { methods: ['PATCH', 'DELETE'], path: /^\/ticket-types\/\d+\/?$/, scope: 'events:write' },
+  { methods: ['PUT'], path: /^\/ticket-types\/\d+\/recount\/?$/, scope: 'events:write' },
+  { methods: ['POST'], path: /^\/event-series\/?$/, scope: 'events:write' },
+  { methods: ['POST'], path: /^\/venues\/?$/, scope: 'events:write' },
+  { methods: ['PATCH', 'DELETE'], path: /^\/venues\/\d+\/?$/, scope: 'events:write' },
+  { methods: ['PUT'], path: /^\/tickets\/\d+\/organizer-refund\/?$/, scope: 'tickets:refund' }
+];
+
+function getRequiredApiKeyScope(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return 'read';
+  }
+
+  const path = `${req.baseUrl}${req.path}`;
+  const rule = API_KEY_WRITE_RULES.find(rule => rule.methods.includes(req.method) && rule.path.test(path));
+  return rule ? rule.scope : null;
+}
+
+async function authenticateApiKey(key, req, res, next) {
+  const apiKey = await findApiKey(key, req.ip);
+
+  if (!apiKey) {
+    return res.status(401).json({ message: 'Invalid or revoked API key.' });
+  }
+
+  if (apiKey.suspended_at) {
+    return res.status(403).json({ message: 'Your account has been suspended.' });
+  }
+
+  if (!hasPermission(apiKey.roles, 'api_key:manage')) {
+    return res.status(403).json({ message: 'API keys can only be used by organizers.' });
+  }
+
+  // A key acts as an organizer only, even when its owner is also an admin
+  const roles = ['organizer'];
+
+  const requiredScope = getRequiredApiKeyScope(req);
+  if (!requiredScope) {
+    return res.status(403).json({ message: 'API keys cannot be used for this action.' });
+  }
+
+  if (!apiKey.scopes.includes(requiredScope)) {
+    return res.status(403).json({ message: `This API key is missing the '${requiredScope}' scope.` });
+  }
+
+  req.user = {
+    id: apiKey.id,
+    email: apiKey.email,
+    role: apiKey.role,
+    roles,
+    email_verified: Boolean(apiKey.email_verified_at),
+    api_key_id: apiKey.api_key_id,
+    scopes: apiKey.scopes
+  };
+  next();
+}
+
+/* --------------------------------------
+   Impersonation token (act claim) - read-only, every request audited
+-------------------------------------- */
+async function authenticateImpersonation(decoded, req, res, next) {
+  const impersonation = await getActiveImpersonation(decoded.imp, decoded.act.sub, decoded.id);
+
+  if (!impersonation) {
+    return res.status(401).json({ message: 'This impersonation session has ended.' });
+  }
+
+  req.user = {
+    id: decoded.id,
+    email: decoded.email,
+    role: impersonation.role,
+    roles: impersonation.roles,
+    email_verified: Boolean(impersonation.email_verified_at),
+    impersonator: { id: decoded.act.sub, email: decoded.act.email },
+    impersonation_id: impersonation.id
+  };
+
+  res.on('finish', () => recordImpersonatedRequest(req, res));
+
+  if (!isAllowedWhileImpersonating(req.method)) {
+    return res.status(403).json({ message: 'This action is not available while impersonating a user.' });
+  }
+
+  next();
+}
+
+/* --------------------------------------
+   Authentication - Bearer JWT, or an API key
+   (X-API-Key header or Bearer evgo_...)
+-------------------------------------- */
+export const requireAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const bearer = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+  const apiKey = req.headers['x-api-key'] || (isApiKey(bearer) ? bearer : null);
+
+  if (apiKey) {
+    try {
+      return await authenticateApiKey(apiKey, req, res, next);
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  let decoded;
   try {
-    // Get the token from the Authorization header
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!bearer) {
       return res.status(401).json({ message: 'You need to be logged in.' });
     }
 
     // Verify the token
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, JWT_SECRET);
+    decoded = jwt.verify(bearer, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid session. Please log in again.' });
+  }
+
+  // Purpose-specific tokens (2FA challenge, email verification) are not sessions
+  if (decoded.type) {
+    return res.status(401).json({ message: 'Invalid session. Please log in again.' });
+  }
+
+  if (decoded.act) {
+    try {
+      return await authenticateImpersonation(decoded, req, res, next);
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  // Access tokens must belong to a login session
+  if (!decoded.sid) {
+    return res.status(401).json({ message: 'Invalid session. Please log in again.' });
+  }
+
+  try {
+    // Load current roles, suspension and session state so changes apply immediately
+    const result = await pool.query(
+      `SELECT u.role, ${ROLES_SQL}, u.suspended_at, u.password_changed_at, u.email_verified_at,
+              s.id AS session_id, s.revoked_at AS session_revoked_at
+       FROM users u
+       LEFT JOIN user_sessions s ON s.id = $2 AND s.user_id = u.id
+       WHERE u.id = $1 AND u.deleted_at IS NULL`,
+      [decoded.id, decoded.sid]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({ message: 'Invalid session. Please log in again.' });
+    }
+
+    if (!result.rows[0].session_id || result.rows[0].session_revoked_at) {
+      return res.status(401).json({ message: 'Your session has ended. Please log in again.' });
+    }
+
+    if (result.rows[0].suspended_at) {
+      return res.status(403).json({ message: 'Your account has been suspended.' });
+    }
+
+    // Tokens issued before a password reset are no longer valid
+    const { password_changed_at } = result.rows[0];
+    if (password_changed_at && decoded.iat < Math.floor(new Date(password_changed_at).getTime() / 1000)) {
+      return res.status(401).json({ message: 'Invalid session. Please log in again.' });
+    }
+
+    await touchSession(decoded.sid, req.ip);
 
     // Add user info to request
-    req.user = decoded;
+    req.user = {
+      ...decoded,
+      role: result.rows[0].role,
+      roles: result.rows[0].roles,
+      email_verified: Boolean(result.rows[0].email_verified_at)
+    };
     next();
   } catch (err) {
-    return res.status(401).json({ message: 'Invalid session. Please log in again.' });
+    next(err);
   }
-};
\ No newline at end of file
+};
+
+/* --------------------------------------
+   Optional Authentication - for public routes that show more to
+   signed-in users. Without credentials the request continues anonymously;
+   credentials that are sent must be valid.
+-------------------------------------- */
+export const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization && !req.headers['x-api-key']) {
+    return next();
+  }
+  return requireAuth(req, res, next);
+};
+
+/* --------------------------------------
+   Permission Guard - use after requireAuth (and validateId)
+   loader (see utils/policy.js) finds the resource the request is about;
+   it ends up in req.resource. Without one, only role permissions count.
+-------------------------------------- */
+export const can = (permission, loader = null) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'You need to be logged in.' });
+    }
+
+    try {
+      const resource = loader ? await loader(req) : null;
+
+      if (loader && !resource) {
+        return res.status(404).json({ message: `${loader.resourceName || 'Resource'} not found!` });
+      }
+
+      if (!(await isAllowed(req.user, permission, resource))) {
+        return res.status(403).json({
+          message: 'You do not have permission to perform this action.',
+          required_permission: permission
+        });
+      }
+
+      req.resource = resource;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+/* --------------------------------------
+   Verified Email Guard - use after requireAuth
+   Only enforced when REQUIRE_VERIFIED_EMAIL=true
+-------------------------------------- */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL !== 'true') {
+    return next();
+  }
+
+  if (!req.user?.email_verified) {
+    return res.status(403).json({
+      message: 'Please verify your email address first.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+/* --------------------------------------
+   Session Guard - use after requireAuth
+   For account management that API keys must not reach
+-------------------------------------- */
+export const denyApiKeys = (req, res, next) => {
+  if (req.user?.api_key_id) {
+    return res.status(403).json({ message: 'API keys cannot be used for this action.' });
+  }
+
+  next();
+};
@@ -107,6 +107,82 @@ export function validateString(value, fieldName, minLength = 1, maxLength = 255)
   return { valid: true, value: trimmed };
 }
 
+/* --------------------------------------
+   URL Validation (http/https only)
+-------------------------------------- */
+export function validateUrl(value, fieldName) {
+  if (!value || typeof value !== 'string') {
+    return { valid: false, message: `${fieldName} is required` };
+  }
+
+  const trimmed = value.trim();
+
+  if (trimmed.length > 2048) {
+    return { valid: false, message: `${fieldName} is too long (max 2048 characters)` };
+  }
+
+  if (!validator.isURL(trimmed, { protocols: ['http', 'https'], require_protocol: true })) {
+    return { valid: false, message: `${fieldName} must be a valid http(s) URL` };
+  }
+
+  return { valid: true, value: trimmed };
+}
+
+/* --------------------------------------
+   Slug Validation (lowercase letters, digits, single hyphens)
+-------------------------------------- */
+export function validateSlug(value, fieldName = 'Slug', minLength = 3, maxLength = 60) {
+  if (!value || typeof value !== 'string') {
+    return { valid: false, message: `${fieldName} is required` };
+  }
+
+  const trimmed = value.trim().toLowerCase();
+
+  if (trimmed.length < minLength || trimmed.length > maxLength) {
+    return { valid: false, message: `${fieldName} must be between ${minLength} and ${maxLength} characters` };
+  }
+
+  if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(trimmed)) {
+    return { valid: false, message: `${fieldName} may only contain lowercase letters, digits and single hyphens` };
+  }
+
+  return { valid: true, value: trimmed };
+}
+
+/* --------------------------------------
+   IBAN Validation (spaces allowed, stored without them)
+-------------------------------------- */
+export function validateIban(value, fieldName = 'IBAN') {
+  if (!value || typeof value !== 'string') {
+    return { valid: false, message: `${fieldName} is required` };
+  }
+
+  const normalized = value.replace(/\s+/g, '').toUpperCase();
+
+  if (!validator.isIBAN(normalized)) {
+    return { valid: false, message: `${fieldName} is not a valid IBAN` };
+  }
+
+  return { valid: true, value: normalized };
+}
+
+/* --------------------------------------
+   BIC / SWIFT Code Validation
+-------------------------------------- */
+export function validateBic(value, fieldName = 'BIC') {
+  if (!value || typeof value !== 'string') {
+    return { valid: false, message: `${fieldName} is required` };
+  }
+
+  const normalized = value.trim().toUpperCase();
+
+  if (!validator.isBIC(normalized)) {
+    return { valid: false, message: `${fieldName} is not a valid BIC` };
+  }
+
+  return { valid: true, value: normalized };
+}
+
 /* --------------------------------------
    Numeric Range Validation
 -------------------------------------- */
@@ -221,3 +297,21 @@ export function sanitizeBody(req, res, next) {
   }
   next();
 }
+
+/* --------------------------------------
+   Body Sanitization that leaves some fields as sent
+   For machine-readable values the HTML filter would mangle
+   (e.g. "BYMONTHDAY=15" contains "ONTHDAY=") - validate those strictly instead
+-------------------------------------- */
+export const sanitizeBodyExcept = (...fields) => {
+  return (req, res, next) => {
+    if (req.body && typeof req.body === 'object' && !Array.isArray(req.body)) {
+      const kept = fields.filter(field => Object.hasOwn(req.body, field));
+      const raw = Object.fromEntries(kept.map(field => [field, req.body[field]]));
+      req.body = { ...sanitizeObject(req.body), ...raw };
+    } else if (req.body) {
+      req.body = sanitizeObject(req.body);
+    }
+    next();
+  };
+};
@@ -0,0 +1,6 @@
+// Lets admins suspend accounts without deleting them
+export const up = `
+  ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP NULL,
+    ADD COLUMN IF NOT EXISTS suspended_reason TEXT NULL;
+`;
@@ -0,0 +1,9 @@
+// Email verification state. Accounts that existed before verification was
+// introduced are treated as verified so they are not locked out.
+export const up = `
+  ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP NULL,
+    ADD COLUMN IF NOT EXISTS email_verification_sent_at TIMESTAMP NULL;
+
+  UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+`;
@@ -0,0 +1,18 @@
+// TOTP two-factor authentication. totp_secret is AES-GCM encrypted and is set
+// (but not yet active) during enrollment until totp_enabled_at is filled in.
+export const up = `
+  ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS totp_secret TEXT NULL,
+    ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP NULL,
+    ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT NULL;
+
+  CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    used_at TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+`;
@@ -0,0 +1,16 @@
+// Failed login counters per account (email) and per IP address. Kept in
+// Postgres so they survive restarts and are shared by all API instances.
+export const up = `
+  CREATE TABLE IF NOT EXISTS login_attempts (
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('account', 'ip')),
+    key VARCHAR(255) NOT NULL,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    blocked_until TIMESTAMP,
+    locked_out BOOLEAN NOT NULL DEFAULT FALSE,
+    unlock_token_hash CHAR(64),
+    PRIMARY KEY (scope, key)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_login_attempts_unlock_token ON login_attempts(unlock_token_hash);
+`;
@@ -0,0 +1,30 @@
+// External (OpenID Connect) identities linked to users, and the pending
+// authorization requests holding the PKCE verifier and nonce for each login.
+// Users created through social login have no password until they set one.
+export const up = `
+  CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_login_at TIMESTAMP,
+    UNIQUE (provider, subject)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+
+  CREATE TABLE IF NOT EXISTS oidc_auth_requests (
+    id SERIAL PRIMARY KEY,
+    state_hash CHAR(64) NOT NULL UNIQUE,
+    provider VARCHAR(50) NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    redirect_uri TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL
+  );
+
+  ALTER TABLE users ALTER COLUMN password DROP NOT NULL;
+`;
@@ -0,0 +1,5 @@
+// Right to erasure: users with history are anonymized in place instead of
+// deleted, so their transactions and tickets stay intact for accounting.
+export const up = `
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP NULL;
+`;
@@ -0,0 +1,33 @@
+// Login sessions (one per login/device). The id is the refresh token family
+// and is carried in access tokens as "sid" so requireAuth can reject revoked
+// sessions. Existing refresh token families are backfilled as sessions.
+export const up = `
+  CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_name VARCHAR(100),
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+
+  INSERT INTO user_sessions (id, user_id, device_name, user_agent, ip_address, created_at, last_seen_at, expires_at, revoked_at)
+  SELECT DISTINCT ON (family_id)
+    family_id,
+    user_id,
+    device_name,
+    user_agent,
+    ip_address,
+    (SELECT MIN(created_at) FROM refresh_tokens first WHERE first.family_id = rt.family_id),
+    created_at,
+    expires_at,
+    revoked_at
+  FROM refresh_tokens rt
+  ORDER BY family_id, created_at DESC
+  ON CONFLICT (id) DO NOTHING;
+`;
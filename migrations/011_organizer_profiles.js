@@ -0,0 +1,16 @@
+// Public organizer profiles, served at /organizers/:slug
+export const up = `
+  CREATE TABLE IF NOT EXISTS organizer_profiles (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    slug VARCHAR(60) NOT NULL UNIQUE,
+    display_name VARCHAR(100) NOT NULL,
+    bio TEXT,
+    logo_url TEXT,
+    website_url TEXT,
+    contact_email VARCHAR(255),
+    social_links JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+`;
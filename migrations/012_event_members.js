@@ -0,0 +1,35 @@
+// Event teams: per-event roles for co-organizers and staff, and email
+// invitations to join a team. Every existing event gets its organizer as owner.
+export const up = `
+  CREATE TABLE IF NOT EXISTS event_members (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'finance', 'scanner')),
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    UNIQUE (event_id, user_id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_event_members_user_id ON event_members(user_id);
+
+  CREATE TABLE IF NOT EXISTS event_invitations (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('manager', 'finance', 'scanner')),
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_event_invitations_event_id ON event_invitations(event_id);
+
+  INSERT INTO event_members (event_id, user_id, role)
+  SELECT id, organizer_id, 'owner' FROM events WHERE organizer_id IS NOT NULL
+  ON CONFLICT (event_id, user_id) DO NOTHING;
+`;
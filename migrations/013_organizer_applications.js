@@ -0,0 +1,45 @@
+// Organizer applications: users apply for the organizer role and an admin
+// approves or rejects. audit_log records who changed what and when.
+export const up = `
+  CREATE TABLE IF NOT EXISTS organizer_applications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'approved', 'rejected', 'withdrawn')),
+    company_name VARCHAR(200) NOT NULL,
+    registration_number VARCHAR(50),
+    vat_number VARCHAR(50),
+    company_address TEXT NOT NULL,
+    website_url TEXT,
+    event_description TEXT,
+    payout_account_holder VARCHAR(200) NOT NULL,
+    payout_iban VARCHAR(34) NOT NULL,
+    payout_bic VARCHAR(11),
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_notes TEXT,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_organizer_applications_user_id ON organizer_applications(user_id);
+  CREATE INDEX IF NOT EXISTS idx_organizer_applications_status ON organizer_applications(status, created_at);
+
+  -- At most one open application per user
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_organizer_applications_one_pending
+    ON organizer_applications(user_id) WHERE status = 'pending';
+
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(100) NOT NULL,
+    target_type VARCHAR(50) NOT NULL,
+    target_id INTEGER,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id, created_at);
+  CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id);
+`;
@@ -0,0 +1,21 @@
+// Passwordless sign-in links, and the per-email request counter that
+// rate-limits how often a link can be emailed.
+export const up = `
+  CREATE TABLE IF NOT EXISTS magic_link_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_magic_link_tokens_user_id ON magic_link_tokens(user_id);
+
+  CREATE TABLE IF NOT EXISTS magic_link_requests (
+    email VARCHAR(255) PRIMARY KEY,
+    window_started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    request_count INTEGER NOT NULL DEFAULT 0
+  );
+`;
@@ -0,0 +1,18 @@
+// Accounts can hold several roles. Every account is implicitly a 'user';
+// user_roles lists the extra roles (organizer, admin). users.role is kept as
+// the account's primary (highest) role for display and is synced on change.
+export const up = `
+  CREATE TABLE IF NOT EXISTS user_roles (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role user_role NOT NULL CHECK (role <> 'user'),
+    granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    granted_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, role)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+
+  INSERT INTO user_roles (user_id, role)
+  SELECT id, role FROM users WHERE role <> 'user'
+  ON CONFLICT (user_id, role) DO NOTHING;
+`;
@@ -0,0 +1,65 @@
+// Full-text search for events. Each event has a search document weighing the
+// title (A) over the description (B), location and organizer name (C).
+// It lives in its own table so event rows stay unchanged; triggers keep it
+// current when an event changes and when its organizer is renamed.
+export const up = `
+  CREATE TABLE IF NOT EXISTS event_search_documents (
+    event_id INTEGER PRIMARY KEY REFERENCES events(id) ON DELETE CASCADE,
+    document tsvector NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_event_search_documents_document ON event_search_documents USING GIN (document);
+
+  CREATE OR REPLACE FUNCTION event_search_vector(p_event_id INTEGER)
+  RETURNS tsvector AS $$
+    SELECT
+      setweight(to_tsvector('english', COALESCE(e.title, '')), 'A') ||
+      setweight(to_tsvector('english', COALESCE(e.description, '')), 'B') ||
+      setweight(to_tsvector('english', COALESCE(e.location, '')), 'C') ||
+      setweight(to_tsvector('english', COALESCE(op.display_name, CONCAT(u.first_name, ' ', u.last_name))), 'C')
+    FROM events e
+    LEFT JOIN users u ON u.id = e.organizer_id
+    LEFT JOIN organizer_profiles op ON op.user_id = e.organizer_id
+    WHERE e.id = p_event_id;
+  $$ LANGUAGE sql STABLE;
+
+  CREATE OR REPLACE FUNCTION events_search_document_update() RETURNS trigger AS $$
+  BEGIN
+    INSERT INTO event_search_documents (event_id, document)
+    VALUES (NEW.id, event_search_vector(NEW.id))
+    ON CONFLICT (event_id) DO UPDATE SET document = EXCLUDED.document;
+    RETURN NULL;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS events_search_document_update ON events;
+  CREATE TRIGGER events_search_document_update
+    AFTER INSERT OR UPDATE OF title, description, location, organizer_id ON events
+    FOR EACH ROW EXECUTE FUNCTION events_search_document_update();
+
+  -- TG_ARGV[0] names the column holding the organizer's user id
+  CREATE OR REPLACE FUNCTION events_search_document_refresh_organizer() RETURNS trigger AS $$
+  BEGIN
+    UPDATE event_search_documents d
+    SET document = event_search_vector(d.event_id)
+    FROM events e
+    WHERE e.id = d.event_id
+    AND e.organizer_id = (to_jsonb(NEW) ->> TG_ARGV[0])::INTEGER;
+    RETURN NULL;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS users_refresh_event_search ON users;
+  CREATE TRIGGER users_refresh_event_search
+    AFTER UPDATE OF first_name, last_name ON users
+    FOR EACH ROW EXECUTE FUNCTION events_search_document_refresh_organizer('id');
+
+  DROP TRIGGER IF EXISTS organizer_profiles_refresh_event_search ON organizer_profiles;
+  CREATE TRIGGER organizer_profiles_refresh_event_search
+    AFTER INSERT OR UPDATE OF display_name ON organizer_profiles
+    FOR EACH ROW EXECUTE FUNCTION events_search_document_refresh_organizer('user_id');
+
+  INSERT INTO event_search_documents (event_id, document)
+  SELECT id, event_search_vector(id) FROM events
+  ON CONFLICT (event_id) DO UPDATE SET document = EXCLUDED.document;
+`;
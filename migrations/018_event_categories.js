@@ -0,0 +1,34 @@
+// Event classification: one category per event from a fixed list, plus
+// free-form tags. Both feed the facet counts on GET /events.
+export const up = `
+  CREATE TABLE IF NOT EXISTS event_categories (
+    slug VARCHAR(40) PRIMARY KEY,
+    name VARCHAR(80) NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0
+  );
+
+  INSERT INTO event_categories (slug, name, sort_order) VALUES
+    ('concert', 'Concert', 10),
+    ('festival', 'Festival', 20),
+    ('conference', 'Conference', 30),
+    ('workshop', 'Workshop', 40),
+    ('sport', 'Sport', 50),
+    ('theatre', 'Theatre', 60),
+    ('comedy', 'Comedy', 70),
+    ('exhibition', 'Exhibition', 80),
+    ('family', 'Family', 90),
+    ('other', 'Other', 100)
+  ON CONFLICT (slug) DO NOTHING;
+
+  ALTER TABLE events ADD COLUMN IF NOT EXISTS category VARCHAR(40) REFERENCES event_categories(slug) ON UPDATE CASCADE;
+
+  CREATE INDEX IF NOT EXISTS idx_events_category ON events(category);
+
+  CREATE TABLE IF NOT EXISTS event_tags (
+    event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    tag VARCHAR(30) NOT NULL,
+    PRIMARY KEY (event_id, tag)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_event_tags_tag ON event_tags(tag);
+`;
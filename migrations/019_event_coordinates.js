@@ -0,0 +1,24 @@
+// Coordinates for geo search ("events within 20 km of Maribor").
+// Both are set or both are NULL; events without them never match a radius search.
+export const up = `
+  ALTER TABLE events ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION;
+  ALTER TABLE events ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+
+  ALTER TABLE events DROP CONSTRAINT IF EXISTS events_coordinates_check;
+  ALTER TABLE events ADD CONSTRAINT events_coordinates_check CHECK (
+    (latitude IS NULL AND longitude IS NULL)
+    OR (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180)
+  );
+
+  -- Radius searches first narrow down to a latitude band, then measure
+  CREATE INDEX IF NOT EXISTS idx_events_latitude ON events(latitude) WHERE latitude IS NOT NULL;
+
+  -- Great-circle (haversine) distance in kilometres
+  CREATE OR REPLACE FUNCTION geo_distance_km(lat1 DOUBLE PRECISION, lng1 DOUBLE PRECISION, lat2 DOUBLE PRECISION, lng2 DOUBLE PRECISION)
+  RETURNS DOUBLE PRECISION AS $$
+    SELECT 2 * 6371.0088 * ASIN(SQRT(LEAST(1,
+      POWER(SIN(RADIANS(lat2 - lat1) / 2), 2)
+      + COS(RADIANS(lat1)) * COS(RADIANS(lat2)) * POWER(SIN(RADIANS(lng2 - lng1) / 2), 2)
+    )));
+  $$ LANGUAGE sql IMMUTABLE STRICT;
+`;
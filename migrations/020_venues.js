@@ -0,0 +1,32 @@
+// Venues: reusable places with a structured address, coordinates and a
+// capacity that caps the tickets of every event held there.
+// Events at a venue copy its name/address into location and its coordinates,
+// so search and geo search work the same with or without a venue.
+export const up = `
+  CREATE TABLE IF NOT EXISTS venues (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    address_line VARCHAR(200) NOT NULL,
+    postal_code VARCHAR(20),
+    city VARCHAR(100) NOT NULL,
+    country CHAR(2) NOT NULL,
+    latitude DOUBLE PRECISION,
+    longitude DOUBLE PRECISION,
+    capacity INTEGER NOT NULL CHECK (capacity > 0),
+    accessibility JSONB NOT NULL DEFAULT '{}',
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT venues_coordinates_check CHECK (
+      (latitude IS NULL AND longitude IS NULL)
+      OR (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180)
+    )
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_venues_city ON venues(LOWER(city));
+  CREATE INDEX IF NOT EXISTS idx_venues_created_by ON venues(created_by);
+
+  -- A venue with events cannot be deleted
+  ALTER TABLE events ADD COLUMN IF NOT EXISTS venue_id INTEGER REFERENCES venues(id) ON DELETE RESTRICT;
+  CREATE INDEX IF NOT EXISTS idx_events_venue_id ON events(venue_id);
+`;
@@ -0,0 +1,42 @@
+// Event series: one recurrence rule generates many ordinary events (occurrences).
+// The series keeps the template - details, rule, skipped dates and ticket types -
+// and each occurrence gets its own copy of the ticket types, so inventory is per night.
+export const up = `
+  CREATE TABLE IF NOT EXISTS event_series (
+    id SERIAL PRIMARY KEY,
+    -- Only an organizer without events can be deleted outright; their empty series go too
+    organizer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    location VARCHAR(200) NOT NULL,
+    venue_id INTEGER REFERENCES venues(id) ON DELETE SET NULL,
+    category VARCHAR(40) REFERENCES event_categories(slug) ON UPDATE CASCADE,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    rrule TEXT NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    first_start TIMESTAMP NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    exdates DATE[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_event_series_organizer_id ON event_series(organizer_id);
+
+  CREATE TABLE IF NOT EXISTS series_ticket_types (
+    id SERIAL PRIMARY KEY,
+    series_id INTEGER NOT NULL REFERENCES event_series(id) ON DELETE CASCADE,
+    type VARCHAR(100) NOT NULL,
+    price NUMERIC(10, 2) NOT NULL,
+    total_tickets INTEGER NOT NULL CHECK (total_tickets > 0)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_series_ticket_types_series_id ON series_ticket_types(series_id);
+
+  -- occurrence_date is the local date the rule produced, so an occurrence keeps
+  -- its identity when it is moved to another time
+  ALTER TABLE events ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES event_series(id) ON DELETE SET NULL;
+  ALTER TABLE events ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_events_series_occurrence ON events(series_id, occurrence_date) WHERE series_id IS NOT NULL;
+`;
@@ -0,0 +1,43 @@
+// Event lifecycle: draft -> published -> postponed | cancelled | completed
+// Existing events were already public, so they start out published.
+// Cancelling refunds every sold ticket; event_cancellations and
+// event_cancellation_refunds keep track of what was refunded and who was told.
+export const up = `
+  ALTER TABLE events ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft', 'published', 'postponed', 'cancelled', 'completed'));
+  ALTER TABLE events ALTER COLUMN status SET DEFAULT 'draft';
+  ALTER TABLE events ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP;
+  ALTER TABLE events ADD COLUMN IF NOT EXISTS published_at TIMESTAMP;
+
+  UPDATE events SET published_at = created_at WHERE status = 'published' AND published_at IS NULL;
+
+  CREATE INDEX IF NOT EXISTS idx_events_status_start ON events(status, start_datetime);
+
+  CREATE TABLE IF NOT EXISTS event_cancellations (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL UNIQUE REFERENCES events(id) ON DELETE CASCADE,
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    tickets_refunded INTEGER NOT NULL DEFAULT 0,
+    amount_refunded NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    reservations_released INTEGER NOT NULL DEFAULT 0,
+    holders_notified INTEGER NOT NULL DEFAULT 0,
+    waitlist_notified INTEGER NOT NULL DEFAULT 0,
+    notification_failures INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    notified_at TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS event_cancellation_refunds (
+    id SERIAL PRIMARY KEY,
+    cancellation_id INTEGER NOT NULL REFERENCES event_cancellations(id) ON DELETE CASCADE,
+    ticket_id INTEGER NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    amount NUMERIC(10, 2) NOT NULL,
+    refund_transaction_id INTEGER REFERENCES transactions(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_event_cancellation_refunds_cancellation_id ON event_cancellation_refunds(cancellation_id);
+  CREATE INDEX IF NOT EXISTS idx_event_cancellation_refunds_user_id ON event_cancellation_refunds(user_id);
+`;
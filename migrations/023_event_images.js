@@ -0,0 +1,25 @@
+// Event images: one cover and an ordered gallery per event.
+// The files live in the storage driver (utils/storage.js); renditions maps each
+// size to its storage key and dimensions, e.g. { "card": { "key": "...", "width": 800, "height": 450 } }.
+export const up = `
+  CREATE TABLE IF NOT EXISTS event_images (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL CHECK (kind IN ('cover', 'gallery')),
+    position INTEGER NOT NULL DEFAULT 0,
+    alt_text VARCHAR(300),
+    original_filename VARCHAR(255),
+    content_type VARCHAR(50) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    renditions JSONB NOT NULL,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_event_images_event_id ON event_images(event_id, kind, position);
+
+  -- At most one cover per event
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_event_images_one_cover ON event_images(event_id) WHERE kind = 'cover';
+`;
@@ -0,0 +1,39 @@
+// iCalendar feeds. Each user can have a secret-URL feed of the events they hold
+// tickets for and one of the events they organize; only a SHA-256 hash of the
+// token is stored. Events get a SEQUENCE number and LAST-MODIFIED time that a
+// trigger bumps whenever something a calendar shows changes, so calendar apps
+// replace their copy instead of keeping a stale one.
+export const up = `
+  CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('tickets', 'organizer')),
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMP,
+    UNIQUE (user_id, kind)
+  );
+
+  ALTER TABLE events ADD COLUMN IF NOT EXISTS calendar_sequence INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE events ADD COLUMN IF NOT EXISTS calendar_modified_at TIMESTAMP;
+  UPDATE events SET calendar_modified_at = COALESCE(status_changed_at, created_at, NOW()) WHERE calendar_modified_at IS NULL;
+  ALTER TABLE events ALTER COLUMN calendar_modified_at SET DEFAULT NOW();
+  ALTER TABLE events ALTER COLUMN calendar_modified_at SET NOT NULL;
+
+  CREATE OR REPLACE FUNCTION events_calendar_revision() RETURNS trigger AS $$
+  BEGIN
+    IF (NEW.title, NEW.description, NEW.location, NEW.start_datetime, NEW.end_datetime, NEW.status, NEW.latitude, NEW.longitude, NEW.category)
+       IS DISTINCT FROM
+       (OLD.title, OLD.description, OLD.location, OLD.start_datetime, OLD.end_datetime, OLD.status, OLD.latitude, OLD.longitude, OLD.category) THEN
+      NEW.calendar_sequence := OLD.calendar_sequence + 1;
+      NEW.calendar_modified_at := NOW();
+    END IF;
+    RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS events_calendar_revision ON events;
+  CREATE TRIGGER events_calendar_revision
+    BEFORE UPDATE ON events
+    FOR EACH ROW EXECUTE FUNCTION events_calendar_revision();
+`;
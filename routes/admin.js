@@ -0,0 +1,871 @@
+import express from "express";
+import pool from "../db.js";
+import { requireAuth, can, denyApiKeys } from "../middleware/auth.js";
+import { validateId, validateString, sanitizeBody } from "../middleware/validation.js";
+import { syncAllTicketCounts, getUserRelationCounts } from "../utils/dbHelpers.js";
+import { revokeAllSessions } from "../utils/refreshTokens.js";
+import { recordAudit } from "../utils/auditLog.js";
+import { ROLES_SQL, ACCOUNT_ROLES, GRANTABLE_ROLES, grantRole, revokeRole, setUserRoles } from "../utils/roles.js";
+import { startImpersonation, endImpersonation, IMPERSONATION_COLUMNS, IMPERSONATION_TTL_MINUTES } from "../utils/impersonation.js";
+import { cleanupExpiredReservations } from "./waitlist.js";
+
+const router = express.Router();
+
+// Every admin route requires a login; each route names the permission it needs
+router.use(requireAuth);
+router.use(denyApiKeys);
+router.use(sanitizeBody);
+
+const USER_COLUMNS = `id, first_name, last_name, email, role, created_at, suspended_at, suspended_reason, deleted_at`;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Admin-only user management and maintenance endpoints
+ */
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: List and search users
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Match against first name, last name or email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, organizer, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, active, suspended]
+ *           default: all
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *     responses:
+ *       200:
+ *         description: Paginated list of users
+ *       403:
+ *         description: Missing the user:list permission (admins)
+ */
+router.get("/users", can('user:list'), async (req, res, next) => {
+  const { search, role, status = 'all' } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+  const offset = (page - 1) * limit;
+
+  if (role && !ACCOUNT_ROLES.includes(role)) {
+    return res.status(400).json({ message: `Invalid role '${role}'.` });
+  }
+
+  try {
+    let whereClause = `WHERE 1=1`;
+    const params = [];
+    let paramCount = 1;
+
+    if (search) {
+      whereClause += ` AND (LOWER(first_name) LIKE $${paramCount} OR LOWER(last_name) LIKE $${paramCount} OR LOWER(email) LIKE $${paramCount})`;
+      params.push(`%${search.toLowerCase()}%`);
+      paramCount++;
+    }
+
+    // Everyone is a user - role=user means accounts without any granted role
+    if (role === 'user') {
+      whereClause += ` AND NOT EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = u.id)`;
+    } else if (role) {
+      whereClause += ` AND EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = u.id AND r.role = $${paramCount}::user_role)`;
+      params.push(role);
+      paramCount++;
+    }
+
+    if (status === 'active') {
+      whereClause += ` AND suspended_at IS NULL`;
+    } else if (status === 'suspended') {
+      whereClause += ` AND suspended_at IS NOT NULL`;
+    }
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM users u ${whereClause}`, params);
+    const totalUsers = parseInt(countResult.rows[0].count);
+
+    const result = await pool.query(
+      `SELECT ${USER_COLUMNS}, ${ROLES_SQL}
+       FROM users u
+       ${whereClause}
+       ORDER BY created_at DESC
+       LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+      [...params, limit, offset]
+    );
+
+    res.status(200).json({
+      users: result.rows,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalUsers / limit),
+        totalUsers,
+        usersPerPage: limit
+      }
+    });
+  } catch (err) {
+    console.error("Error in GET /admin/users:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}:
+ *   get:
+ *     summary: Get any user with related record counts
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User details
+ *       404:
+ *         description: User not found
+ */
+router.get("/users/:id", can('user:view'), validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+
+  try {
+    const result = await pool.query(`SELECT ${USER_COLUMNS}, ${ROLES_SQL} FROM users u WHERE id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "User not found!" });
+    }
+
+    res.status(200).json({
+      user: result.rows[0],
+      related_counts: await getUserRelationCounts(id)
+    });
+  } catch (err) {
+    console.error("Error in GET /admin/users/:id:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/suspend:
+ *   patch:
+ *     summary: Suspend a user account
+ *     description: Suspended users cannot log in and their existing tokens are rejected.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Chargeback fraud
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       400:
+ *         description: Cannot suspend yourself
+ *       404:
+ *         description: User not found
+ */
+router.patch("/users/:id/suspend", can('user:manage'), validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const { reason } = req.body;
+
+  if (id === req.user.id) {
+    return res.status(400).json({ message: "You cannot suspend your own account!" });
+  }
+
+  let reasonValue = null;
+  if (reason) {
+    const reasonValidation = validateString(reason, 'Reason', 1, 500);
+    if (!reasonValidation.valid) {
+      return res.status(400).json({ message: reasonValidation.message });
+    }
+    reasonValue = reasonValidation.value;
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE users
+       SET suspended_at = COALESCE(suspended_at, NOW()),
+           suspended_reason = $1
+       WHERE id = $2
+       RETURNING ${USER_COLUMNS};`,
+      [reasonValue, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "User not found!" });
+    }
+
+    // Suspended users must not be able to refresh their way back in
+    await revokeAllSessions(id);
+
+    res.status(200).json({
+      message: "User suspended.",
+      user: result.rows[0]
+    });
+  } catch (err) {
+    console.error("Error in PATCH /admin/users/:id/suspend:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/unsuspend:
+ *   patch:
+ *     summary: Lift a user suspension
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Suspension lifted
+ *       404:
+ *         description: User not found
+ */
+router.patch("/users/:id/unsuspend", can('user:manage'), validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+
+  try {
+    const result = await pool.query(
+      `UPDATE users
+       SET suspended_at = NULL,
+           suspended_reason = NULL
+       WHERE id = $1
+       RETURNING ${USER_COLUMNS};`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "User not found!" });
+    }
+
+    res.status(200).json({
+      message: "User suspension lifted.",
+      user: result.rows[0]
+    });
+  } catch (err) {
+    console.error("Error in PATCH /admin/users/:id/unsuspend:", err);
+    next(err);
+  }
+});
+
+/* --------------------------------------
+  Helper: Load a user with their roles (null if missing or erased)
+-------------------------------------- */
+async function findUserWithRoles(db, id) {
+  const result = await db.query(
+    `SELECT ${USER_COLUMNS}, ${ROLES_SQL} FROM users u WHERE id = $1 AND deleted_at IS NULL;`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   patch:
+ *     summary: Replace a user's roles with a single role
+ *     description: |
+ *       Kept for existing admin tools. The account ends up holding exactly this role
+ *       (plus 'user', which every account has). Use POST/DELETE /admin/users/{id}/roles
+ *       to add or remove one role.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, organizer, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role or attempt to change own role
+ *       404:
+ *         description: User not found
+ */
+router.patch("/users/:id/role", can('user:manage'), validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const { role } = req.body;
+
+  if (!role || !ACCOUNT_ROLES.includes(role)) {
+    return res.status(400).json({
+      message: `Invalid role. Allowed roles are: ${ACCOUNT_ROLES.join(", ")}.`
+    });
+  }
+
+  // Prevent admins from locking themselves (and possibly everyone) out
+  if (id === req.user.id) {
+    return res.status(400).json({ message: "You cannot change your own role!" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const user = await findUserWithRoles(client, id);
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: "User not found!" });
+    }
+
+    await setUserRoles(client, id, [role], req.user.id);
+
+    await recordAudit(client, {
+      actorId: req.user.id,
+      action: 'user.role_changed',
+      targetType: 'user',
+      targetId: id,
+      metadata: { from_roles: user.roles, to_role: role },
+      ip: req.ip
+    });
+
+    await client.query('COMMIT');
+
+    res.status(200).json({
+      message: `User role changed to '${role}'.`,
+      user: await findUserWithRoles(pool, id)
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error in PATCH /admin/users/:id/role:", err);
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/roles:
+ *   post:
+ *     summary: Grant a role to a user
+ *     description: Accounts can hold several roles, e.g. organizer and admin.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [organizer, admin]
+ *     responses:
+ *       200:
+ *         description: Role granted
+ *       400:
+ *         description: Invalid role
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user already has this role
+ */
+router.post("/users/:id/roles", can('user:manage'), validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const { role } = req.body;
+
+  if (!role || !GRANTABLE_ROLES.includes(role)) {
+    return res.status(400).json({
+      message: `Invalid role. Roles that can be granted are: ${GRANTABLE_ROLES.join(", ")}.`
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const user = await findUserWithRoles(client, id);
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: "User not found!" });
+    }
+
+    if (!(await grantRole(client, id, role, req.user.id))) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: `This user already has the '${role}' role.` });
+    }
+
+    await recordAudit(client, {
+      actorId: req.user.id,
+      action: 'user.role_granted',
+      targetType: 'user',
+      targetId: id,
+      metadata: { role },
+      ip: req.ip
+    });
+
+    await client.query('COMMIT');
+
+    res.status(200).json({
+      message: `Role '${role}' granted.`,
+      user: await findUserWithRoles(pool, id)
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error in POST /admin/users/:id/roles:", err);
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/roles/{role}:
+ *   delete:
+ *     summary: Revoke a role from a user
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [organizer, admin]
+ *     responses:
+ *       200:
+ *         description: Role revoked
+ *       400:
+ *         description: Invalid role or attempt to revoke your own admin role
+ *       404:
+ *         description: User not found, or the user does not have this role
+ */
+router.delete("/users/:id/roles/:role", can('user:manage'), validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const { role } = req.params;
+
+  if (!GRANTABLE_ROLES.includes(role)) {
+    return res.status(400).json({
+      message: `Invalid role. Roles that can be revoked are: ${GRANTABLE_ROLES.join(", ")}.`
+    });
+  }
+
+  if (id === req.user.id && role === 'admin') {
+    return res.status(400).json({ message: "You cannot revoke your own admin role!" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const user = await findUserWithRoles(client, id);
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: "User not found!" });
+    }
+
+    if (!(await revokeRole(client, id, role))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: `This user does not have the '${role}' role.` });
+    }
+
+    await recordAudit(client, {
+      actorId: req.user.id,
+      action: 'user.role_revoked',
+      targetType: 'user',
+      targetId: id,
+      metadata: { role },
+      ip: req.ip
+    });
+
+    await client.query('COMMIT');
+
+    res.status(200).json({
+      message: `Role '${role}' revoked.`,
+      user: await findUserWithRoles(pool, id)
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error in DELETE /admin/users/:id/roles/:role:", err);
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{id}/impersonate:
+ *   post:
+ *     summary: Impersonate a user for support
+ *     description: |
+ *       Returns a read-only access token that acts as the user for a short time. The token has an
+ *       act claim naming the admin; non-GET requests are refused and every request is audited.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Ticket #4821 - customer can't see their waitlist offer"
+ *     responses:
+ *       201:
+ *         description: Impersonation token issued
+ *       400:
+ *         description: Reason missing, or the user cannot be impersonated
+ *       404:
+ *         description: User not found
+ */
+router.post("/users/:id/impersonate", can('user:impersonate'), validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+
+  if (id === req.user.id) {
+    return res.status(400).json({ message: "You cannot impersonate yourself!" });
+  }
+
+  const reasonValidation = validateString(req.body.reason, 'Reason', 5, 500);
+  if (!reasonValidation.valid) {
+    return res.status(400).json({ message: reasonValidation.message });
+  }
+
+  try {
+    const userResult = await pool.query(
+      `SELECT ${USER_COLUMNS}, ${ROLES_SQL} FROM users u WHERE id = $1;`,
+      [id]
+    );
+
+    const user = userResult.rows[0];
+    if (!user || user.deleted_at) {
+      return res.status(404).json({ message: "User not found!" });
+    }
+
+    if (user.roles.includes('admin')) {
+      return res.status(400).json({ message: "Admin accounts cannot be impersonated!" });
+    }
+
+    const { token, impersonation } = await startImpersonation(req.user, user, reasonValidation.value, req.ip);
+
+    res.status(201).json({
+      message: `You are now viewing EventGo as ${user.email} for ${IMPERSONATION_TTL_MINUTES} minutes. Only read requests are allowed.`,
+      token,
+      impersonation,
+      user
+    });
+  } catch (err) {
+    console.error("Error in POST /admin/users/:id/impersonate:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/impersonations:
+ *   get:
+ *     summary: List impersonation sessions
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only sessions that have not ended or expired
+ *     responses:
+ *       200:
+ *         description: Latest 100 impersonation sessions
+ */
+router.get("/impersonations", can('user:impersonate'), async (req, res, next) => {
+  const activeOnly = req.query.active === 'true';
+
+  try {
+    const result = await pool.query(
+      `SELECT ${IMPERSONATION_COLUMNS.split(', ').map(column => `i.${column}`).join(', ')},
+              a.email AS admin_email, u.email AS user_email,
+              (i.ended_at IS NULL AND i.expires_at > NOW()) AS active
+       FROM impersonation_sessions i
+       LEFT JOIN users a ON a.id = i.admin_id
+       LEFT JOIN users u ON u.id = i.user_id
+       ${activeOnly ? 'WHERE i.ended_at IS NULL AND i.expires_at > NOW()' : ''}
+       ORDER BY i.created_at DESC
+       LIMIT 100;`
+    );
+
+    res.status(200).json({ impersonations: result.rows });
+  } catch (err) {
+    console.error("Error in GET /admin/impersonations:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/impersonations/{impersonationId}:
+ *   delete:
+ *     summary: End an impersonation session early
+ *     description: The impersonation token stops working immediately.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: impersonationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       404:
+ *         description: No active impersonation with this id
+ */
+router.delete("/impersonations/:impersonationId", can('user:impersonate'), async (req, res, next) => {
+  const { impersonationId } = req.params;
+
+  if (!UUID_PATTERN.test(impersonationId)) {
+    return res.status(404).json({ message: "Impersonation session not found!" });
+  }
+
+  try {
+    const impersonation = await endImpersonation(impersonationId, req.user.id, req.ip);
+
+    if (!impersonation) {
+      return res.status(404).json({ message: "Impersonation session not found!" });
+    }
+
+    res.status(200).json({
+      message: "Impersonation ended.",
+      impersonation
+    });
+  } catch (err) {
+    console.error("Error in DELETE /admin/impersonations/:impersonationId:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/audit-log:
+ *   get:
+ *     summary: Search the audit log
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: target_type
+ *         schema:
+ *           type: string
+ *           example: user
+ *       - in: query
+ *         name: target_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: impersonation.request
+ *         description: Exact action, or a prefix ending in a dot (e.g. impersonation.)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Paginated audit entries, newest first
+ */
+router.get("/audit-log", can('audit_log:view'), async (req, res, next) => {
+  const { actor_id, target_type, target_id, action } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const offset = (page - 1) * limit;
+
+  const conditions = [];
+  const params = [];
+
+  if (actor_id) {
+    params.push(parseInt(actor_id) || 0);
+    conditions.push(`a.actor_id = $${params.length}`);
+  }
+
+  if (target_type) {
+    params.push(String(target_type));
+    conditions.push(`a.target_type = $${params.length}`);
+  }
+
+  if (target_id) {
+    params.push(parseInt(target_id) || 0);
+    conditions.push(`a.target_id = $${params.length}`);
+  }
+
+  if (action) {
+    const value = String(action);
+    if (value.endsWith('.')) {
+      params.push(`${value.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`a.action LIKE $${params.length}`);
+    } else {
+      params.push(value);
+      conditions.push(`a.action = $${params.length}`);
+    }
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  try {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM audit_log a ${whereClause};`,
+      params
+    );
+
+    const result = await pool.query(
+      `SELECT a.id, a.actor_id, u.email AS actor_email, a.action, a.target_type, a.target_id,
+              a.metadata, a.ip_address, a.created_at
+       FROM audit_log a
+       LEFT JOIN users u ON a.actor_id = u.id
+       ${whereClause}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
+      [...params, limit, offset]
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.status(200).json({
+      entries: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error("Error in GET /admin/audit-log:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/maintenance/sync-ticket-counts:
+ *   post:
+ *     summary: Recount sold tickets for all ticket types and events
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Ticket counts synchronized
+ */
+router.post("/maintenance/sync-ticket-counts", can('maintenance:run'), async (req, res, next) => {
+  try {
+    const updated = await syncAllTicketCounts();
+
+    res.status(200).json({
+      message: "All ticket counts synchronized successfully!",
+      ticket_types_updated: updated
+    });
+  } catch (err) {
+    console.error("Error in POST /admin/maintenance/sync-ticket-counts:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/maintenance/cleanup-reservations:
+ *   post:
+ *     summary: Expire stale waitlist reservations now instead of waiting for the scheduler
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Number of reservations cleaned up
+ */
+router.post("/maintenance/cleanup-reservations", can('maintenance:run'), async (req, res, next) => {
+  try {
+    const result = await cleanupExpiredReservations();
+
+    res.status(200).json({
+      message: "Expired reservations cleaned up.",
+      cleaned: result.cleaned
+    });
+  } catch (err) {
+    console.error("Error in POST /admin/maintenance/cleanup-reservations:", err);
+    next(err);
+  }
+});
+
+export default router;
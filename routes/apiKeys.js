@@ -0,0 +1,339 @@
+import express from "express";
+import pool from "../db.js";
+import { requireAuth, can, denyApiKeys } from "../middleware/auth.js";
+import { validateId, validateString, validateNumber, sanitizeBody } from "../middleware/validation.js";
+import { generateApiKey, validateScopes, API_KEY_SCOPES } from "../utils/apiKeys.js";
+
+const router = express.Router();
+
+// Keys are managed with a normal login session - a key cannot create or rotate keys
+router.use(requireAuth);
+router.use(denyApiKeys);
+router.use(can('api_key:manage'));
+router.use(sanitizeBody);
+
+const API_KEY_COLUMNS = `id, name, key_prefix, scopes, created_at, expires_at, last_used_at, last_used_ip, revoked_at`;
+
+/* --------------------------------------
+  Helper: Expiry from expires_in_days (optional)
+  Returns {valid, message, value} with value = days or null
+-------------------------------------- */
+function parseExpiry(expiresInDays) {
+  if (expiresInDays === undefined || expiresInDays === null) {
+    return { valid: true, value: null };
+  }
+
+  const validation = validateNumber(expiresInDays, 'expires_in_days', 1, 3650);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  return { valid: true, value: Math.floor(validation.value) };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Organizer API keys for scripts and integrations
+ */
+
+/**
+ * @swagger
+ * /api-keys:
+ *   get:
+ *     summary: List your API keys
+ *     description: The secret itself is never returned again, only its prefix.
+ *     tags: [API Keys]
+ *     responses:
+ *       200:
+ *         description: Your API keys and the available scopes
+ *       403:
+ *         description: Missing the api_key:manage permission (organizers)
+ */
+router.get("/", async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${API_KEY_COLUMNS} FROM api_keys
+       WHERE user_id = $1 AND replaced_by IS NULL
+       ORDER BY revoked_at IS NOT NULL, created_at DESC;`,
+      [req.user.id]
+    );
+
+    res.status(200).json({
+      api_keys: result.rows,
+      available_scopes: API_KEY_SCOPES
+    });
+  } catch (err) {
+    console.error("Error in GET /api-keys:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The key is only shown in this response. Send it as `X-API-Key` or `Authorization Bearer`.
+ *     tags: [API Keys]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Box office sync
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [read, events:write, tickets:refund]
+ *               expires_in_days:
+ *                 type: integer
+ *                 description: Optional lifetime, never expires when omitted
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Validation error
+ */
+router.post("/", async (req, res, next) => {
+  const { name, scopes, expires_in_days } = req.body;
+
+  const nameValidation = validateString(name, 'Name', 1, 100);
+  if (!nameValidation.valid) {
+    return res.status(400).json({ message: nameValidation.message });
+  }
+
+  const scopesValidation = validateScopes(scopes);
+  if (!scopesValidation.valid) {
+    return res.status(400).json({ message: scopesValidation.message });
+  }
+
+  const expiryValidation = parseExpiry(expires_in_days);
+  if (!expiryValidation.valid) {
+    return res.status(400).json({ message: expiryValidation.message });
+  }
+
+  try {
+    const { key, keyPrefix, keyHash } = generateApiKey();
+
+    const result = await pool.query(
+      `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::INTEGER IS NULL THEN NULL ELSE NOW() + ($6 || ' days')::INTERVAL END)
+       RETURNING ${API_KEY_COLUMNS};`,
+      [req.user.id, nameValidation.value, keyPrefix, keyHash, scopesValidation.value, expiryValidation.value]
+    );
+
+    res.status(201).json({
+      message: "API key created. Copy it now - it will not be shown again.",
+      key,
+      api_key: result.rows[0]
+    });
+  } catch (err) {
+    console.error("Error in POST /api-keys:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   patch:
+ *     summary: Rename an API key or change its scopes
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: API key updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: API key not found
+ */
+router.patch("/:id", validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const { name, scopes } = req.body;
+
+  if (name === undefined && scopes === undefined) {
+    return res.status(400).json({ message: "Provide a name or scopes to update" });
+  }
+
+  let nameValue = null;
+  if (name !== undefined) {
+    const nameValidation = validateString(name, 'Name', 1, 100);
+    if (!nameValidation.valid) {
+      return res.status(400).json({ message: nameValidation.message });
+    }
+    nameValue = nameValidation.value;
+  }
+
+  let scopesValue = null;
+  if (scopes !== undefined) {
+    const scopesValidation = validateScopes(scopes);
+    if (!scopesValidation.valid) {
+      return res.status(400).json({ message: scopesValidation.message });
+    }
+    scopesValue = scopesValidation.value;
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE api_keys
+       SET name = COALESCE($1, name), scopes = COALESCE($2, scopes)
+       WHERE id = $3 AND user_id = $4 AND revoked_at IS NULL
+       RETURNING ${API_KEY_COLUMNS};`,
+      [nameValue, scopesValue, id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "API key not found!" });
+    }
+
+    res.status(200).json({
+      message: "API key updated.",
+      api_key: result.rows[0]
+    });
+  } catch (err) {
+    console.error("Error in PATCH /api-keys/:id:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: Issues a new secret with the same name, scopes and expiry. The old key stops working immediately.
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: New API key issued
+ *       404:
+ *         description: API key not found
+ */
+router.post("/:id/rotate", validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT id, name, scopes, expires_at FROM api_keys
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       FOR UPDATE;`,
+      [id, req.user.id]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: "API key not found!" });
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    const old = current.rows[0];
+
+    const inserted = await client.query(
+      `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${API_KEY_COLUMNS};`,
+      [req.user.id, old.name, keyPrefix, keyHash, old.scopes, old.expires_at]
+    );
+
+    await client.query(
+      `UPDATE api_keys SET revoked_at = NOW(), replaced_by = $1 WHERE id = $2;`,
+      [inserted.rows[0].id, old.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: "API key rotated. Copy the new key now - it will not be shown again.",
+      key,
+      api_key: inserted.rows[0]
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error in POST /api-keys/:id/rotate:", err);
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete("/:id", validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+
+  try {
+    const result = await pool.query(
+      `UPDATE api_keys SET revoked_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING ${API_KEY_COLUMNS};`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "API key not found!" });
+    }
+
+    res.status(200).json({
+      message: "API key revoked.",
+      api_key: result.rows[0]
+    });
+  } catch (err) {
+    console.error("Error in DELETE /api-keys/:id:", err);
+    next(err);
+  }
+});
+
+export default router;
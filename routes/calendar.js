@@ -0,0 +1,200 @@
+import express from "express";
+import pool from "../db.js";
+import { requireAuth, denyApiKeys } from "../middleware/auth.js";
+import { sanitizeBody } from "../middleware/validation.js";
+import {
+  CALENDAR_FEED_KINDS,
+  buildCalendar,
+  feedUrls,
+  createFeed,
+  findFeed,
+  getTicketFeedEvents,
+  getOrganizerFeedEvents
+} from "../utils/calendar.js";
+
+const router = express.Router();
+
+router.use(sanitizeBody);
+
+/* --------------------------------------
+  Helper: Feed kind Validation - returns {valid, message, value}
+-------------------------------------- */
+function validateFeedKind(kind) {
+  if (!Object.hasOwn(CALENDAR_FEED_KINDS, kind)) {
+    return { valid: false, message: `Feed kind must be one of: ${Object.keys(CALENDAR_FEED_KINDS).join(', ')}` };
+  }
+  return { valid: true, value: kind };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: iCalendar feeds for calendar apps
+ */
+
+/**
+ * @swagger
+ * /calendar/feeds:
+ *   get:
+ *     summary: List your calendar feeds
+ *     description: The secret feed URL is only shown when a feed is created or renewed.
+ *     tags: [Calendar]
+ *     responses:
+ *       200:
+ *         description: Your feeds and the available kinds
+ */
+router.get("/feeds", requireAuth, denyApiKeys, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, kind, created_at, last_used_at FROM calendar_feeds
+       WHERE user_id = $1
+       ORDER BY kind;`,
+      [req.user.id]
+    );
+
+    res.status(200).json({
+      feeds: result.rows,
+      available_kinds: CALENDAR_FEED_KINDS
+    });
+  } catch (err) {
+    console.error("Error in GET /calendar/feeds:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/feeds:
+ *   post:
+ *     summary: Create a calendar feed or renew its secret URL
+ *     description: |
+ *       Returns the feed URL to subscribe to - it is only shown in this response.
+ *       Calling this again for the same kind replaces the URL; the old one stops working.
+ *     tags: [Calendar]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [kind]
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [tickets, organizer]
+ *     responses:
+ *       201:
+ *         description: Feed created, with its url and webcal_url
+ *       400:
+ *         description: Unknown kind
+ */
+router.post("/feeds", requireAuth, denyApiKeys, async (req, res, next) => {
+  const kindValidation = validateFeedKind(req.body.kind);
+  if (!kindValidation.valid) {
+    return res.status(400).json({ message: kindValidation.message });
+  }
+
+  try {
+    const { token, feed } = await createFeed(req.user.id, kindValidation.value);
+
+    res.status(201).json({
+      message: "Calendar feed ready! Keep the URL private - anyone with it can see these events.",
+      feed: { ...feed, ...feedUrls(token) }
+    });
+  } catch (err) {
+    console.error("Error in POST /calendar/feeds:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/feeds/{kind}:
+ *   delete:
+ *     summary: Turn off a calendar feed
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [tickets, organizer]
+ *     responses:
+ *       200:
+ *         description: Feed deleted, its URL no longer works
+ *       404:
+ *         description: No feed of this kind
+ */
+router.delete("/feeds/:kind", requireAuth, denyApiKeys, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM calendar_feeds WHERE user_id = $1 AND kind = $2 RETURNING id;`,
+      [req.user.id, req.params.kind]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Calendar feed not found!" });
+    }
+
+    res.status(200).json({ message: "Calendar feed turned off." });
+  } catch (err) {
+    console.error("Error in DELETE /calendar/feeds/:kind:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/{token}.ics:
+ *   get:
+ *     summary: Calendar feed (iCalendar)
+ *     description: |
+ *       The secret URL from POST /calendar/feeds, for calendar apps to subscribe to.
+ *       No authentication - the token is the credential.
+ *     tags: [Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The events of the feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or turned off feed
+ */
+router.get("/:token.ics", async (req, res, next) => {
+  const { token } = req.params;
+
+  if (!/^[A-Za-z0-9_-]{20,100}$/.test(token)) {
+    return res.status(404).json({ message: "Calendar feed not found!" });
+  }
+
+  try {
+    const feed = await findFeed(token);
+    if (!feed) {
+      return res.status(404).json({ message: "Calendar feed not found!" });
+    }
+
+    const calendar = feed.kind === 'tickets'
+      ? buildCalendar({ name: 'EventGo - My tickets', events: await getTicketFeedEvents(feed.user_id), refresh: true })
+      : buildCalendar({ name: 'EventGo - My events', events: await getOrganizerFeedEvents(feed.user_id), refresh: true });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-cache');
+    res.status(200).send(calendar);
+  } catch (err) {
+    console.error("Error in GET /calendar/:token.ics:", err);
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,497 @@
+import express from "express";
+import multer from "multer";
+import pool from "../db.js";
+import { requireAuth, can } from "../middleware/auth.js";
+import { validateId, validateIds, validateString, validateNumber, sanitizeBody } from "../middleware/validation.js";
+import { eventFromParam } from "../utils/policy.js";
+import {
+  MAX_IMAGE_BYTES,
+  MAX_GALLERY_IMAGES,
+  MAX_IMAGES_PER_UPLOAD,
+  processImage,
+  storeImageFiles,
+  deleteImageFiles,
+  imageResponse
+} from "../utils/eventImages.js";
+
+const router = express.Router();
+
+const IMAGE_COLUMNS = `id, event_id, kind, position, alt_text, original_filename, content_type, size_bytes, width, height, renditions, uploaded_by, created_at`;
+
+/* --------------------------------------
+  Helper: Multipart upload of up to maxCount images in field
+  Files stay in memory until they are processed; sanitizeBody runs on the
+  text fields once multer has parsed them
+-------------------------------------- */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_UPLOAD, fields: 5 }
+});
+
+function receiveImages(field, maxCount) {
+  return (req, res, next) => {
+    upload.array(field, maxCount)(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const messages = {
+          LIMIT_FILE_SIZE: `Images can be at most ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`,
+          LIMIT_FILE_COUNT: `At most ${maxCount} image(s) per upload`,
+          LIMIT_UNEXPECTED_FILE: `Send the image(s) in the '${field}' field (at most ${maxCount})`
+        };
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ message: messages[err.code] || err.message });
+      }
+      if (err) {
+        return next(err);
+      }
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: `Send the image as multipart/form-data in the '${field}' field` });
+      }
+      sanitizeBody(req, res, next);
+    });
+  };
+}
+
+/* --------------------------------------
+  Helper: Validate optional alt text - returns {valid, message, value}
+-------------------------------------- */
+function validateAltText(altText) {
+  if (altText === undefined || altText === null || altText === '') {
+    return { valid: true, value: null };
+  }
+  return validateString(altText, 'Alt text', 1, 300);
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Event Images
+ *   description: Cover image and gallery of an event
+ */
+
+/**
+ * @swagger
+ * /events/{id}/cover:
+ *   put:
+ *     summary: Upload or replace the cover image of an event
+ *     description: |
+ *       JPEG, PNG or WebP up to 10 MB and at least 200 x 200 pixels. The image is stored
+ *       with thumbnail (320x180), card (800x450) and large (up to 1920) renditions.
+ *     tags: [Event Images]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [image]
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *               alt_text:
+ *                 type: string
+ *                 description: Describes the image for screen readers
+ *     responses:
+ *       200:
+ *         description: Cover image stored, with its URLs
+ *       400:
+ *         description: Missing, unreadable or too small image
+ *       403:
+ *         description: Not authorized to edit this event
+ *       413:
+ *         description: Image larger than 10 MB
+ */
+router.put("/:id/cover", requireAuth, validateId('id'), can('event:edit', eventFromParam('id')), receiveImages('image', 1), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const [file] = req.files;
+
+  const altTextValidation = validateAltText(req.body.alt_text);
+  if (!altTextValidation.valid) {
+    return res.status(400).json({ message: altTextValidation.message });
+  }
+
+  let renditions;
+
+  try {
+    const imageValidation = await processImage(file);
+    if (!imageValidation.valid) {
+      return res.status(400).json({ message: imageValidation.message });
+    }
+    const image = imageValidation.value;
+
+    renditions = await storeImageFiles(id, image);
+
+    const client = await pool.connect();
+    let previous;
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      previous = await client.query(
+        `DELETE FROM event_images WHERE event_id = $1 AND kind = 'cover' RETURNING renditions;`,
+        [id]
+      );
+
+      result = await client.query(
+        `INSERT INTO event_images (event_id, kind, alt_text, original_filename, content_type, size_bytes, width, height, renditions, uploaded_by)
+         VALUES ($1, 'cover', $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING ${IMAGE_COLUMNS};`,
+        [id, altTextValidation.value, file.originalname.slice(0, 255), file.mimetype, file.size, image.width, image.height, JSON.stringify(renditions), req.user.id]
+      );
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    // The old files go only once the new cover is saved
+    for (const row of previous.rows) {
+      await deleteImageFiles(row.renditions);
+    }
+
+    res.status(200).json({
+      message: "Cover image uploaded!",
+      image: imageResponse(result.rows[0])
+    });
+  } catch (err) {
+    if (renditions) {
+      await deleteImageFiles(renditions);
+    }
+    console.error("Error in PUT /events/:id/cover:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /events/{id}/cover:
+ *   delete:
+ *     summary: Remove the cover image of an event
+ *     tags: [Event Images]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cover image removed
+ *       403:
+ *         description: Not authorized to edit this event
+ *       404:
+ *         description: Event has no cover image
+ */
+router.delete("/:id/cover", requireAuth, validateId('id'), can('event:edit', eventFromParam('id')), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM event_images WHERE event_id = $1 AND kind = 'cover' RETURNING renditions;`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "This event has no cover image!" });
+    }
+
+    await deleteImageFiles(result.rows[0].renditions);
+
+    res.status(200).json({ message: "Cover image removed." });
+  } catch (err) {
+    console.error("Error in DELETE /events/:id/cover:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /events/{id}/gallery:
+ *   post:
+ *     summary: Add images to the gallery of an event
+ *     description: |
+ *       Up to 10 images per upload and 30 per event, with the same rules and renditions
+ *       as the cover. New images are added at the end. If one image is invalid, none are added.
+ *     tags: [Event Images]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [images]
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Images added, with their URLs
+ *       400:
+ *         description: Missing, unreadable or too small image, or the gallery is full
+ *       403:
+ *         description: Not authorized to edit this event
+ *       413:
+ *         description: Image larger than 10 MB
+ */
+router.post("/:id/gallery", requireAuth, validateId('id'), can('event:edit', eventFromParam('id')), receiveImages('images', MAX_IMAGES_PER_UPLOAD), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const stored = [];
+
+  try {
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM event_images WHERE event_id = $1 AND kind = 'gallery';`,
+      [id]
+    );
+    if (countResult.rows[0].count + req.files.length > MAX_GALLERY_IMAGES) {
+      return res.status(400).json({
+        message: `A gallery can hold at most ${MAX_GALLERY_IMAGES} images - this event has ${countResult.rows[0].count}`
+      });
+    }
+
+    // Validate everything before storing anything
+    const images = [];
+    for (const file of req.files) {
+      const imageValidation = await processImage(file);
+      if (!imageValidation.valid) {
+        return res.status(400).json({ message: imageValidation.message });
+      }
+      images.push({ file, image: imageValidation.value });
+    }
+
+    for (const { file, image } of images) {
+      stored.push({ file, image, renditions: await storeImageFiles(id, image) });
+    }
+
+    const client = await pool.connect();
+    const inserted = [];
+
+    try {
+      await client.query('BEGIN');
+
+      // Serializes uploads to the same event so the limit and positions hold
+      await client.query(`SELECT id FROM events WHERE id = $1 FOR UPDATE;`, [id]);
+
+      const current = await client.query(
+        `SELECT COUNT(*)::int AS count, COALESCE(MAX(position), -1) AS last_position
+         FROM event_images WHERE event_id = $1 AND kind = 'gallery';`,
+        [id]
+      );
+      if (current.rows[0].count + stored.length > MAX_GALLERY_IMAGES) {
+        await client.query('ROLLBACK');
+        for (const { renditions } of stored) {
+          await deleteImageFiles(renditions);
+        }
+        return res.status(400).json({ message: `A gallery can hold at most ${MAX_GALLERY_IMAGES} images` });
+      }
+
+      let position = current.rows[0].last_position;
+      for (const { file, image, renditions } of stored) {
+        position++;
+        const result = await client.query(
+          `INSERT INTO event_images (event_id, kind, position, original_filename, content_type, size_bytes, width, height, renditions, uploaded_by)
+           VALUES ($1, 'gallery', $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING ${IMAGE_COLUMNS};`,
+          [id, position, file.originalname.slice(0, 255), file.mimetype, file.size, image.width, image.height, JSON.stringify(renditions), req.user.id]
+        );
+        inserted.push(result.rows[0]);
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({
+      message: `${inserted.length} image(s) added to the gallery!`,
+      images: inserted.map(imageResponse)
+    });
+  } catch (err) {
+    for (const { renditions } of stored) {
+      await deleteImageFiles(renditions);
+    }
+    console.error("Error in POST /events/:id/gallery:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /events/{id}/gallery/{imageId}:
+ *   patch:
+ *     summary: Change the alt text or position of a gallery image
+ *     tags: [Event Images]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt_text:
+ *                 type: string
+ *                 nullable: true
+ *               position:
+ *                 type: integer
+ *                 description: New 0-based position; the other images move up or down
+ *     responses:
+ *       200:
+ *         description: Image updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Image not found
+ */
+router.patch("/:id/gallery/:imageId", requireAuth, validateIds('id', 'imageId'), can('event:edit', eventFromParam('id')), sanitizeBody, async (req, res, next) => {
+  const { id, imageId } = req.params; // Already validated
+  const { alt_text, position } = req.body;
+
+  let altTextValue;
+  if (alt_text !== undefined) {
+    const altTextValidation = validateAltText(alt_text);
+    if (!altTextValidation.valid) {
+      return res.status(400).json({ message: altTextValidation.message });
+    }
+    altTextValue = altTextValidation.value;
+  }
+
+  if (position !== undefined) {
+    const positionValidation = validateNumber(position, 'Position', 0, MAX_GALLERY_IMAGES - 1);
+    if (!positionValidation.valid || !Number.isInteger(positionValidation.value)) {
+      return res.status(400).json({ message: positionValidation.message || "Position must be a whole number" });
+    }
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const gallery = await client.query(
+      `SELECT id FROM event_images
+       WHERE event_id = $1 AND kind = 'gallery'
+       ORDER BY position, id
+       FOR UPDATE;`,
+      [id]
+    );
+    const order = gallery.rows.map(row => row.id);
+
+    if (!order.includes(imageId)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: "Image not found!" });
+    }
+
+    // Renumber the whole gallery so positions stay 0..n-1
+    if (position !== undefined) {
+      order.splice(order.indexOf(imageId), 1);
+      order.splice(Math.min(Number(position), order.length), 0, imageId);
+      await client.query(
+        `UPDATE event_images i SET position = o.position - 1
+         FROM UNNEST($1::int[]) WITH ORDINALITY AS o(id, position)
+         WHERE i.id = o.id;`,
+        [order]
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE event_images
+       SET alt_text = CASE WHEN $2 THEN $3 ELSE alt_text END
+       WHERE id = $1
+       RETURNING ${IMAGE_COLUMNS};`,
+      [imageId, altTextValue !== undefined, altTextValue ?? null]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(200).json({
+      message: "Image updated!",
+      image: imageResponse(result.rows[0])
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error in PATCH /events/:id/gallery/:imageId:", err);
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /events/{id}/gallery/{imageId}:
+ *   delete:
+ *     summary: Remove an image from the gallery
+ *     tags: [Event Images]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Image removed
+ *       403:
+ *         description: Not authorized to edit this event
+ *       404:
+ *         description: Image not found
+ */
+router.delete("/:id/gallery/:imageId", requireAuth, validateIds('id', 'imageId'), can('event:edit', eventFromParam('id')), async (req, res, next) => {
+  const { id, imageId } = req.params; // Already validated
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM event_images WHERE id = $1 AND event_id = $2 AND kind = 'gallery' RETURNING renditions;`,
+      [imageId, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "Image not found!" });
+    }
+
+    await deleteImageFiles(result.rows[0].renditions);
+
+    res.status(200).json({ message: "Image removed from the gallery." });
+  } catch (err) {
+    console.error("Error in DELETE /events/:id/gallery/:imageId:", err);
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,454 @@
+import express from "express";
+import pool from "../db.js";
+import { requireAuth, requireVerifiedEmail, can } from "../middleware/auth.js";
+import { validateId, validateString, validateNumber, validateDate, validateDateRange, sanitizeBodyExcept } from "../middleware/validation.js";
+import { validateCategory, validateTags } from "../utils/eventTaxonomy.js";
+import { validateCoordinates } from "../utils/geo.js";
+import { geocode } from "../utils/geocoder.js";
+import { findVenue, venueLocation, validateCapacity } from "../utils/venues.js";
+import { parseRRule, expandOccurrences, isValidTimeZone } from "../utils/recurrence.js";
+import { SERIES_COLUMNS, validateTicketTypeTemplates, validateExdates, createOccurrences } from "../utils/eventSeries.js";
+
+const router = express.Router();
+
+// rrule and exdates are checked by utils/recurrence.js - sanitizing would break BYMONTHDAY
+router.use(sanitizeBodyExcept('rrule', 'exdates'));
+
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Event Series
+ *   description: Recurring events - one rule generates the individual occurrences
+ */
+
+/**
+ * @swagger
+ * /event-series:
+ *   get:
+ *     summary: List event series with upcoming occurrences
+ *     description: Only series with published upcoming occurrences; the counts include published occurrences only
+ *     tags: [Event Series]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *     responses:
+ *       200:
+ *         description: Series ordered by their next occurrence
+ */
+router.get("/", async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 100);
+
+  try {
+    const [countResult, result] = await Promise.all([
+      pool.query(
+        `SELECT COUNT(DISTINCT series_id) FROM events
+         WHERE series_id IS NOT NULL AND status = 'published' AND COALESCE(end_datetime, start_datetime) >= NOW();`
+      ),
+      pool.query(
+        `SELECT s.id, s.title, s.description, s.location, s.venue_id, s.category, s.tags, s.rrule, s.timezone,
+                COALESCE(op.display_name, CONCAT(u.first_name, ' ', u.last_name)) AS organizer_name,
+                upcoming.next_occurrence,
+                upcoming.last_occurrence,
+                upcoming.upcoming_occurrences
+         FROM event_series s
+         JOIN (
+           SELECT series_id,
+                  MIN(start_datetime) AS next_occurrence,
+                  MAX(start_datetime) AS last_occurrence,
+                  COUNT(*)::int AS upcoming_occurrences
+           FROM events
+           WHERE series_id IS NOT NULL AND status = 'published' AND COALESCE(end_datetime, start_datetime) >= NOW()
+           GROUP BY series_id
+         ) upcoming ON upcoming.series_id = s.id
+         LEFT JOIN users u ON u.id = s.organizer_id
+         LEFT JOIN organizer_profiles op ON op.user_id = s.organizer_id
+         ORDER BY upcoming.next_occurrence ASC, s.id
+         LIMIT $1 OFFSET $2;`,
+        [limit, (page - 1) * limit]
+      )
+    ]);
+    const totalSeries = parseInt(countResult.rows[0].count);
+
+    res.status(200).json({
+      series: result.rows,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalSeries / limit),
+        totalSeries,
+        seriesPerPage: limit
+      }
+    });
+  } catch (err) {
+    console.error("Error in GET /event-series:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /event-series/{id}:
+ *   get:
+ *     summary: Get a series with its ticket type templates and occurrences
+ *     description: Occurrences in every status except draft
+ *     tags: [Event Series]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Series details
+ *       404:
+ *         description: Series not found
+ */
+router.get("/:id", validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+
+  try {
+    const seriesResult = await pool.query(`SELECT ${SERIES_COLUMNS} FROM event_series WHERE id = $1;`, [id]);
+    if (seriesResult.rows.length === 0) {
+      return res.status(404).json({ message: "Event series not found!" });
+    }
+
+    const [ticketTypes, occurrences] = await Promise.all([
+      pool.query(
+        `SELECT id, type, price, total_tickets FROM series_ticket_types WHERE series_id = $1 ORDER BY price ASC, id;`,
+        [id]
+      ),
+      pool.query(
+        `SELECT id, title, start_datetime, end_datetime, occurrence_date::text AS occurrence_date, location, total_tickets, tickets_sold,
+                status, COALESCE(end_datetime, start_datetime) < NOW() AS is_past
+         FROM events
+         WHERE series_id = $1 AND status <> 'draft'
+         ORDER BY start_datetime ASC;`,
+        [id]
+      )
+    ]);
+
+    res.status(200).json({
+      ...seriesResult.rows[0],
+      ticket_types: ticketTypes.rows,
+      occurrences: occurrences.rows
+    });
+  } catch (err) {
+    console.error("Error in GET /event-series/:id:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /event-series:
+ *   post:
+ *     summary: Create a recurring event series
+ *     description: |
+ *       Generates one event per occurrence of the rule, skipping exdates. Every occurrence
+ *       gets its own copy of the template ticket types. start_datetime/end_datetime are
+ *       the first occurrence; the rule is applied in the series' time zone.
+ *     tags: [Event Series]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, start_datetime, end_datetime, rrule, ticket_types]
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Hamlet
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *                 description: Required unless venue_id is given
+ *               venue_id:
+ *                 type: integer
+ *               category:
+ *                 type: string
+ *                 example: theatre
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               start_datetime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2026-11-03T19:30:00+01:00
+ *               end_datetime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2026-11-03T22:00:00+01:00
+ *               timezone:
+ *                 type: string
+ *                 default: UTC
+ *                 example: Europe/Ljubljana
+ *               rrule:
+ *                 type: string
+ *                 example: FREQ=DAILY;COUNT=40
+ *               exdates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: date
+ *                 example: ["2026-11-10"]
+ *               ticket_types:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                     price:
+ *                       type: number
+ *                     total_tickets:
+ *                       type: integer
+ *                 example: [{ "type": "Parterre", "price": 35, "total_tickets": 300 }, { "type": "Balcony", "price": 25, "total_tickets": 120 }]
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *                 default: draft
+ *                 description: Status of every occurrence - drafts are published one by one with PATCH /events/{id}/status
+ *     responses:
+ *       201:
+ *         description: Series and occurrences created
+ *       400:
+ *         description: Validation error, invalid rule, or more tickets than the venue holds
+ *       403:
+ *         description: Missing the event:create permission (organizers)
+ */
+router.post("/", requireAuth, requireVerifiedEmail, can('event:create'), async (req, res, next) => {
+  const {
+    title,
+    description,
+    location,
+    venue_id,
+    category,
+    tags,
+    latitude,
+    longitude,
+    start_datetime,
+    end_datetime,
+    timezone = 'UTC',
+    rrule,
+    exdates,
+    ticket_types,
+    status = 'draft',
+  } = req.body;
+
+  // Occurrences start as drafts unless published right away
+  if (!['draft', 'published'].includes(status)) {
+    return res.status(400).json({ message: "status must be 'draft' or 'published'" });
+  }
+
+  const titleValidation = validateString(title, 'Title', 3, 200);
+  if (!titleValidation.valid) {
+    return res.status(400).json({ message: titleValidation.message });
+  }
+
+  let descriptionValue = null;
+  if (description) {
+    const descValidation = validateString(description, 'Description', 1, 5000);
+    if (!descValidation.valid) {
+      return res.status(400).json({ message: descValidation.message });
+    }
+    descriptionValue = descValidation.value;
+  }
+
+  let venueId = null;
+  if (venue_id !== undefined && venue_id !== null) {
+    const venueIdValidation = validateNumber(venue_id, 'Venue ID', 1, 2147483647);
+    if (!venueIdValidation.valid) {
+      return res.status(400).json({ message: venueIdValidation.message });
+    }
+    venueId = venueIdValidation.value;
+  }
+
+  let locationValue = null;
+  if (!venueId) {
+    const locationValidation = validateString(location, 'Location', 3, 200);
+    if (!locationValidation.valid) {
+      return res.status(400).json({ message: locationValidation.message });
+    }
+    locationValue = locationValidation.value;
+  }
+
+  const startValidation = validateDate(start_datetime, 'Start date', { allowPast: false });
+  if (!startValidation.valid) {
+    return res.status(400).json({ message: startValidation.message });
+  }
+
+  const endValidation = validateDate(end_datetime, 'End date', { allowPast: false });
+  if (!endValidation.valid) {
+    return res.status(400).json({ message: endValidation.message });
+  }
+
+  const rangeValidation = validateDateRange(startValidation.value, endValidation.value);
+  if (!rangeValidation.valid) {
+    return res.status(400).json({ message: rangeValidation.message });
+  }
+
+  const durationMinutes = Math.round((endValidation.value - startValidation.value) / 60000);
+  if (durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+    return res.status(400).json({ message: "An occurrence must last between 1 minute and 7 days" });
+  }
+
+  if (typeof timezone !== 'string' || !isValidTimeZone(timezone)) {
+    return res.status(400).json({ message: "timezone must be an IANA time zone, e.g. Europe/Ljubljana" });
+  }
+
+  const ruleValidation = parseRRule(rrule);
+  if (!ruleValidation.valid) {
+    return res.status(400).json({ message: ruleValidation.message });
+  }
+
+  const exdatesValidation = validateExdates(exdates);
+  if (!exdatesValidation.valid) {
+    return res.status(400).json({ message: exdatesValidation.message });
+  }
+
+  const occurrencesValidation = expandOccurrences(ruleValidation.value, startValidation.value, {
+    timeZone: timezone,
+    exdates: exdatesValidation.value
+  });
+  if (!occurrencesValidation.valid) {
+    return res.status(400).json({ message: occurrencesValidation.message });
+  }
+  const occurrences = occurrencesValidation.value;
+
+  const ticketTypesValidation = validateTicketTypeTemplates(ticket_types);
+  if (!ticketTypesValidation.valid) {
+    return res.status(400).json({ message: ticketTypesValidation.message });
+  }
+  const totalTickets = ticketTypesValidation.value.reduce((sum, ticketType) => sum + ticketType.total_tickets, 0);
+
+  let tagsValue = [];
+  if (tags !== undefined) {
+    const tagsValidation = validateTags(tags);
+    if (!tagsValidation.valid) {
+      return res.status(400).json({ message: tagsValidation.message });
+    }
+    tagsValue = tagsValidation.value;
+  }
+
+  let coordinates = null;
+  if (latitude !== undefined || longitude !== undefined) {
+    const coordinatesValidation = validateCoordinates(latitude, longitude);
+    if (!coordinatesValidation.valid) {
+      return res.status(400).json({ message: coordinatesValidation.message });
+    }
+    coordinates = coordinatesValidation.value;
+  }
+
+  let client;
+
+  try {
+    let categoryValue = null;
+    if (category !== undefined) {
+      const categoryValidation = await validateCategory(category);
+      if (!categoryValidation.valid) {
+        return res.status(400).json({ message: categoryValidation.message });
+      }
+      categoryValue = categoryValidation.value;
+    }
+
+    // The venue provides location and coordinates, and caps the tickets of every occurrence
+    if (venueId) {
+      const venue = await findVenue(venueId);
+      if (!venue) {
+        return res.status(404).json({ message: "Venue not found!" });
+      }
+
+      const capacityValidation = validateCapacity(venue.capacity, totalTickets);
+      if (!capacityValidation.valid) {
+        return res.status(400).json({ message: capacityValidation.message });
+      }
+
+      locationValue = venueLocation(venue);
+      coordinates = { latitude: venue.latitude, longitude: venue.longitude };
+    }
+
+    coordinates ??= await geocode(locationValue);
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const seriesResult = await client.query(
+      `INSERT INTO event_series (organizer_id, title, description, location, venue_id, category, tags,
+                                 rrule, timezone, first_start, duration_minutes, exdates)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING ${SERIES_COLUMNS};`,
+      [
+        req.user.id,
+        titleValidation.value,
+        descriptionValue,
+        locationValue,
+        venueId,
+        categoryValue,
+        tagsValue,
+        rrule.trim().replace(/^RRULE:/i, '').toUpperCase(),
+        timezone,
+        occurrences[0].start.toISOString(),
+        durationMinutes,
+        exdatesValidation.value
+      ]
+    );
+    const series = seriesResult.rows[0];
+
+    const templates = ticketTypesValidation.value;
+    const ticketTypesResult = await client.query(
+      `INSERT INTO series_ticket_types (series_id, type, price, total_tickets)
+       SELECT $1, t.type, t.price, t.total_tickets
+       FROM UNNEST($2::text[], $3::numeric[], $4::int[]) AS t(type, price, total_tickets)
+       RETURNING id, type, price, total_tickets;`,
+      [series.id, templates.map(t => t.type), templates.map(t => t.price), templates.map(t => t.total_tickets)]
+    );
+
+    const events = await createOccurrences(client, series, occurrences, {
+      latitude: coordinates?.latitude ?? null,
+      longitude: coordinates?.longitude ?? null,
+      totalTickets,
+      status
+    });
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: `Event series created with ${events.length} occurrences!`,
+      series: {
+        ...series,
+        ticket_types: ticketTypesResult.rows,
+        occurrences: events
+      }
+    });
+  } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error("Error in POST /event-series:", err);
+    next(err);
+  } finally {
+    client?.release();
+  }
+});
+
+export default router;
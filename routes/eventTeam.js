@@ -0,0 +1,512 @@
+import express from "express";
+import pool from "../db.js";
+import { requireAuth, denyApiKeys, can } from "../middleware/auth.js";
+import { validateId, validateIds, validateEmail, sanitizeBody } from "../middleware/validation.js";
+import { generateOpaqueToken, hashToken } from "../utils/auth.js";
+import { sendMail } from "../utils/mailer.js";
+import { eventInvitationEmail } from "../utils/emails.js";
+import { getRolePermissions, ASSIGNABLE_ROLES } from "../utils/eventPermissions.js";
+import { isAllowed, eventFromParam } from "../utils/policy.js";
+
+const router = express.Router();
+
+router.use(sanitizeBody);
+
+const INVITATION_TTL_DAYS = 7;
+const INVITATION_COLUMNS = `id, event_id, email, role, invited_by, created_at, expires_at`;
+
+/* --------------------------------------
+  Helper: Can a member with actorRole assign (or take away) role?
+-------------------------------------- */
+function canAssignRole(actorRole, role) {
+  return (ASSIGNABLE_ROLES[actorRole] || []).includes(role);
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Event Team
+ *   description: Co-organizers and staff with per-event roles
+ */
+
+/**
+ * @swagger
+ * /events/{eventId}/team:
+ *   get:
+ *     summary: List the team of an event
+ *     description: Members with their roles, plus pending invitations. Visible to owners and managers.
+ *     tags: [Event Team]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Team members, pending invitations and your own role
+ *       403:
+ *         description: Not allowed to view this event's team
+ *       404:
+ *         description: Event not found
+ */
+router.get("/:eventId/team", requireAuth, validateId('eventId'), can('team:view', eventFromParam('eventId')), async (req, res, next) => {
+  const eventId = req.params.eventId; // Already validated
+  const role = req.resource.eventRole;
+
+  try {
+    const [members, invitations] = await Promise.all([
+      pool.query(
+        `SELECT m.user_id, u.first_name, u.last_name, u.email, m.role, m.invited_by, m.created_at
+         FROM event_members m
+         JOIN users u ON m.user_id = u.id
+         WHERE m.event_id = $1
+         ORDER BY m.role = 'owner' DESC, m.created_at ASC;`,
+        [eventId]
+      ),
+      pool.query(
+        `SELECT ${INVITATION_COLUMNS} FROM event_invitations
+         WHERE event_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at DESC;`,
+        [eventId]
+      )
+    ]);
+
+    res.status(200).json({
+      event_id: eventId,
+      my_role: role,
+      my_permissions: getRolePermissions(role),
+      members: members.rows,
+      pending_invitations: invitations.rows
+    });
+  } catch (err) {
+    console.error("Error in GET /events/:eventId/team:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /events/{eventId}/team/invitations:
+ *   post:
+ *     summary: Invite someone to the event team
+ *     description: |
+ *       Sends an invitation link by email. Owners can invite managers, finance and scanners;
+ *       managers can invite finance and scanners. A new invitation for the same email replaces the pending one.
+ *     tags: [Event Team]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [manager, finance, scanner]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not allowed to invite with this role
+ *       409:
+ *         description: Already a team member
+ */
+router.post("/:eventId/team/invitations", requireAuth, validateId('eventId'), can('team:manage', eventFromParam('eventId')), async (req, res, next) => {
+  const eventId = req.params.eventId; // Already validated
+  const { email, role } = req.body;
+
+  const emailValidation = validateEmail(email);
+  if (!emailValidation.valid) {
+    return res.status(400).json({ message: emailValidation.message });
+  }
+
+  if (!ASSIGNABLE_ROLES.owner.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ASSIGNABLE_ROLES.owner.join(", ")}` });
+  }
+
+  const normalizedEmail = email.toLowerCase().trim();
+
+  try {
+    const actorRole = req.resource.eventRole;
+
+    if (!canAssignRole(actorRole, role)) {
+      return res.status(403).json({ message: `As ${actorRole} you can only invite: ${ASSIGNABLE_ROLES[actorRole].join(", ")}` });
+    }
+
+    const memberCheck = await pool.query(
+      `SELECT m.role FROM event_members m
+       JOIN users u ON m.user_id = u.id
+       WHERE m.event_id = $1 AND LOWER(u.email) = $2;`,
+      [eventId, normalizedEmail]
+    );
+
+    if (memberCheck.rows.length > 0) {
+      return res.status(409).json({ message: `This person is already on the team as ${memberCheck.rows[0].role}.` });
+    }
+
+    const [eventResult, inviterResult] = await Promise.all([
+      pool.query(`SELECT id, title FROM events WHERE id = $1;`, [eventId]),
+      pool.query(`SELECT first_name, last_name FROM users WHERE id = $1;`, [req.user.id])
+    ]);
+
+    // Only the latest invitation per email stays valid
+    await pool.query(
+      `UPDATE event_invitations SET revoked_at = NOW()
+       WHERE event_id = $1 AND LOWER(email) = $2 AND accepted_at IS NULL AND revoked_at IS NULL;`,
+      [eventId, normalizedEmail]
+    );
+
+    const token = generateOpaqueToken();
+    const result = await pool.query(
+      `INSERT INTO event_invitations (event_id, email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' days')::INTERVAL)
+       RETURNING ${INVITATION_COLUMNS};`,
+      [eventId, normalizedEmail, role, hashToken(token), req.user.id, INVITATION_TTL_DAYS]
+    );
+
+    const invitation = result.rows[0];
+    await sendMail(eventInvitationEmail({ ...invitation, token }, eventResult.rows[0], inviterResult.rows[0], INVITATION_TTL_DAYS));
+
+    res.status(201).json({
+      message: `Invitation sent to ${normalizedEmail}.`,
+      invitation
+    });
+  } catch (err) {
+    console.error("Error in POST /events/:eventId/team/invitations:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /events/{eventId}/team/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Event Team]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Not allowed to manage this invitation
+ *       404:
+ *         description: Invitation not found or no longer pending
+ */
+router.delete("/:eventId/team/invitations/:invitationId", requireAuth, validateIds('eventId', 'invitationId'), can('team:manage', eventFromParam('eventId')), async (req, res, next) => {
+  const { eventId, invitationId } = req.params; // Already validated
+
+  try {
+    const actorRole = req.resource.eventRole;
+
+    const invitationCheck = await pool.query(
+      `SELECT role FROM event_invitations
+       WHERE id = $1 AND event_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL;`,
+      [invitationId, eventId]
+    );
+
+    if (invitationCheck.rows.length === 0) {
+      return res.status(404).json({ message: "Invitation not found!" });
+    }
+
+    if (!canAssignRole(actorRole, invitationCheck.rows[0].role)) {
+      return res.status(403).json({ message: "You can't revoke an invitation for this role!" });
+    }
+
+    const result = await pool.query(
+      `UPDATE event_invitations SET revoked_at = NOW()
+       WHERE id = $1
+       RETURNING ${INVITATION_COLUMNS}, revoked_at;`,
+      [invitationId]
+    );
+
+    res.status(200).json({
+      message: "Invitation revoked.",
+      invitation: result.rows[0]
+    });
+  } catch (err) {
+    console.error("Error in DELETE /events/:eventId/team/invitations/:invitationId:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /events/invitations/accept:
+ *   post:
+ *     summary: Accept an event team invitation
+ *     description: You must be logged in with the email address the invitation was sent to.
+ *     tags: [Event Team]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Joined the event team
+ *       400:
+ *         description: Invalid, expired or already used invitation
+ *       403:
+ *         description: Invitation was sent to a different email address
+ */
+router.post("/invitations/accept", requireAuth, denyApiKeys, async (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ message: "Invitation token is required" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const invitationResult = await client.query(
+      `SELECT i.id, i.event_id, i.email, i.role, i.invited_by, i.expires_at, i.accepted_at, i.revoked_at, e.title
+       FROM event_invitations i
+       JOIN events e ON i.event_id = e.id
+       WHERE i.token_hash = $1
+       FOR UPDATE OF i;`,
+      [hashToken(token)]
+    );
+
+    const invitation = invitationResult.rows[0];
+    if (!invitation || invitation.accepted_at || invitation.revoked_at || new Date(invitation.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: "This invitation is invalid, expired or has already been used." });
+    }
+
+    const userResult = await client.query(
+      `SELECT email FROM users WHERE id = $1;`,
+      [req.user.id]
+    );
+
+    if (userResult.rows[0].email.toLowerCase() !== invitation.email.toLowerCase()) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ message: "This invitation was sent to a different email address." });
+    }
+
+    // The owner keeps their role if they somehow accept an invitation to their own event
+    await client.query(
+      `INSERT INTO event_members (event_id, user_id, role, invited_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (event_id, user_id) DO UPDATE
+       SET role = EXCLUDED.role, invited_by = EXCLUDED.invited_by
+       WHERE event_members.role <> 'owner';`,
+      [invitation.event_id, req.user.id, invitation.role, invitation.invited_by]
+    );
+
+    await client.query(
+      `UPDATE event_invitations SET accepted_at = NOW(), accepted_by = $1 WHERE id = $2;`,
+      [req.user.id, invitation.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(200).json({
+      message: `You joined the team for "${invitation.title}" as ${invitation.role}.`,
+      event_id: invitation.event_id,
+      role: invitation.role
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error in POST /events/invitations/accept:", err);
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /events/{eventId}/team/{userId}:
+ *   patch:
+ *     summary: Change a team member's role
+ *     description: The owner's role cannot be changed. Managers can only change finance and scanner members.
+ *     tags: [Event Team]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [manager, finance, scanner]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Not allowed to change this member
+ *       404:
+ *         description: Member not found
+ */
+router.patch("/:eventId/team/:userId", requireAuth, validateIds('eventId', 'userId'), can('team:manage', eventFromParam('eventId')), async (req, res, next) => {
+  const { eventId, userId } = req.params; // Already validated
+  const { role } = req.body;
+
+  if (!ASSIGNABLE_ROLES.owner.includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ASSIGNABLE_ROLES.owner.join(", ")}` });
+  }
+
+  try {
+    const actorRole = req.resource.eventRole;
+
+    const memberCheck = await pool.query(
+      `SELECT role FROM event_members WHERE event_id = $1 AND user_id = $2;`,
+      [eventId, userId]
+    );
+
+    if (memberCheck.rows.length === 0) {
+      return res.status(404).json({ message: "Team member not found!" });
+    }
+
+    if (memberCheck.rows[0].role === 'owner') {
+      return res.status(403).json({ message: "The event owner's role cannot be changed!" });
+    }
+
+    if (!canAssignRole(actorRole, memberCheck.rows[0].role) || !canAssignRole(actorRole, role)) {
+      return res.status(403).json({ message: `As ${actorRole} you can only manage: ${ASSIGNABLE_ROLES[actorRole].join(", ")}` });
+    }
+
+    const result = await pool.query(
+      `UPDATE event_members SET role = $1
+       WHERE event_id = $2 AND user_id = $3
+       RETURNING user_id, role, invited_by, created_at;`,
+      [role, eventId, userId]
+    );
+
+    res.status(200).json({
+      message: "Team member role updated.",
+      member: result.rows[0]
+    });
+  } catch (err) {
+    console.error("Error in PATCH /events/:eventId/team/:userId:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /events/{eventId}/team/{userId}:
+ *   delete:
+ *     summary: Remove a team member, or leave the team
+ *     description: Any member except the owner can remove themselves. Otherwise the same rules as changing a role apply.
+ *     tags: [Event Team]
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Not allowed to remove this member
+ *       404:
+ *         description: Event or member not found
+ */
+router.delete("/:eventId/team/:userId", requireAuth, validateIds('eventId', 'userId'), async (req, res, next) => {
+  const { eventId, userId } = req.params; // Already validated
+
+  try {
+    const memberCheck = await pool.query(
+      `SELECT role FROM event_members WHERE event_id = $1 AND user_id = $2;`,
+      [eventId, userId]
+    );
+
+    if (memberCheck.rows.length > 0 && memberCheck.rows[0].role === 'owner') {
+      return res.status(403).json({ message: "The event owner cannot be removed from the team!" });
+    }
+
+    // Leaving the team only needs membership
+    if (userId !== req.user.id) {
+      const event = await eventFromParam('eventId')(req);
+      if (!event) {
+        return res.status(404).json({ message: "Event not found!" });
+      }
+
+      if (!(await isAllowed(req.user, 'team:manage', event))) {
+        return res.status(403).json({ message: "You don't have permission to manage the team for this event!" });
+      }
+
+      const actorRole = event.eventRole;
+
+      if (memberCheck.rows.length > 0 && !canAssignRole(actorRole, memberCheck.rows[0].role)) {
+        return res.status(403).json({ message: `As ${actorRole} you can only manage: ${ASSIGNABLE_ROLES[actorRole].join(", ")}` });
+      }
+    }
+
+    if (memberCheck.rows.length === 0) {
+      return res.status(404).json({ message: "Team member not found!" });
+    }
+
+    await pool.query(
+      `DELETE FROM event_members WHERE event_id = $1 AND user_id = $2;`,
+      [eventId, userId]
+    );
+
+    res.status(200).json({
+      message: userId === req.user.id ? "You left the event team." : "Team member removed.",
+      user_id: userId
+    });
+  } catch (err) {
+    console.error("Error in DELETE /events/:eventId/team/:userId:", err);
+    next(err);
+  }
+});
+
+export default router;
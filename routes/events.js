@@ -1,14 +1,72 @@
 import express from "express";
 import pool from "../db.js";
-import { requireAuth } from "../middleware/auth.js";
+import { requireAuth, optionalAuth, requireVerifiedEmail, can } from "../middleware/auth.js";
 import { validateId, validateString, validateNumber, validateDate, validateDateRange, sanitizeBody } from "../middleware/validation.js";
-import { eventExists, getEventById, userOwnsEvent } from "../utils/dbHelpers.js";
+import { eventExists, getEventById } from "../utils/dbHelpers.js";
+import { eventFromParam, userFromParam, isAllowed } from "../utils/policy.js";
+import { buildPrefixQuery, SEARCH_CONFIG, TITLE_HEADLINE_OPTIONS, SNIPPET_HEADLINE_OPTIONS } from "../utils/eventSearch.js";
+import { EVENT_TAGS_SQL, getCategories, validateCategory, validateTags, parseListParam, replaceEventTags } from "../utils/eventTaxonomy.js";
+import { parseGeoQuery, validateCoordinates, KM_PER_DEGREE_LATITUDE } from "../utils/geo.js";
+import { geocode } from "../utils/geocoder.js";
+import { findVenue, venueLocation, lockEventCapacity, getAllocatedTickets, validateCapacity } from "../utils/venues.js";
+import { updateFutureOccurrences, lockFutureOccurrences } from "../utils/eventSeries.js";
+import { EDITABLE_STATUSES, validateTransition, changeEventStatus, cancelEvent, notifyEventCancellation } from "../utils/eventStatus.js";
+import { EVENT_COVER_SQL, imageResponse, deleteImageFiles } from "../utils/eventImages.js";
+import { CALENDAR_EVENT_COLUMNS, buildCalendar } from "../utils/calendar.js";
 
 const router = express.Router();
 
 // Apply sanitization middleware to all POST/PUT routes
 router.use(sanitizeBody);
 
+// Tag and location facets list the most common values only
+const FACET_LIMIT = 20;
+
+/* --------------------------------------
+  Helper: Facet counts for the GET /events sidebar
+  Each facet ignores its own filter (its parameter is set to null),
+  so the counts show what selecting another value would return.
+-------------------------------------- */
+async function getEventFacets(fromClause, params, facetParams) {
+  const paramsWithout = (facet) => params.map((value, index) => (index === facetParams[facet] ? null : value));
+
+  const [categories, tags, locations] = await Promise.all([
+    pool.query(
+      `SELECT c.slug, c.name, COUNT(*)::int AS count
+       FROM events x
+       JOIN event_categories c ON c.slug = x.category
+       WHERE x.id IN (SELECT e.id ${fromClause})
+       GROUP BY c.slug, c.name, c.sort_order
+       ORDER BY c.sort_order, c.name;`,
+      paramsWithout('categories')
+    ),
+    pool.query(
+      `SELECT t.tag, COUNT(*)::int AS count
+       FROM event_tags t
+       WHERE t.event_id IN (SELECT e.id ${fromClause})
+       GROUP BY t.tag
+       ORDER BY count DESC, t.tag
+       LIMIT ${FACET_LIMIT};`,
+      paramsWithout('tags')
+    ),
+    pool.query(
+      `SELECT x.location, COUNT(*)::int AS count
+       FROM events x
+       WHERE x.id IN (SELECT e.id ${fromClause})
+       GROUP BY x.location
+       ORDER BY count DESC, x.location
+       LIMIT ${FACET_LIMIT};`,
+      paramsWithout('locations')
+    )
+  ]);
+
+  return {
+    categories: categories.rows,
+    tags: tags.rows,
+    locations: locations.rows
+  };
+}
+
 /**
  * @swagger
  * tags:
@@ -21,6 +79,10 @@ router.use(sanitizeBody);
  * /events:
  *   get:
  *     summary: Get all events with filters
+ *     description: |
+ *       Only published events are listed - drafts, postponed, cancelled and completed events are not.
+ *       With search, matches title, description, location and organizer name (every word as a
+ *       prefix), orders by relevance and adds search_rank and highlights with <mark> tags.
  *     tags: [Events]
  *     security: []
  *     parameters:
@@ -28,13 +90,45 @@ router.use(sanitizeBody);
  *         name: search
  *         schema:
  *           type: string
- *         description: Search by title or description
+ *         description: Full-text search, e.g. "jazz ljub"
  *       - in: query
  *         name: location
  *         schema:
  *           type: string
  *         description: Filter by location
  *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated category slugs - events in any of them
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags - events having all of them
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Latitude of the search centre (requires lng)
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Longitude of the search centre (requires lat)
+ *       - in: query
+ *         name: radius_km
+ *         schema:
+ *           type: number
+ *           default: 25
+ *           maximum: 500
+ *         description: Only events within this distance; results are sorted by distance_km
+ *       - in: query
+ *         name: series_id
+ *         schema:
+ *           type: integer
+ *         description: Only the occurrences of one event series
+ *       - in: query
  *         name: filter
  *         schema:
  *           type: string
@@ -53,81 +147,170 @@ router.use(sanitizeBody);
  *           default: 12
  *     responses:
  *       200:
- *         description: List of events
+ *         description: Events, facet counts (categories, tags, locations) and pagination
+ *       400:
+ *         description: Invalid lat, lng, radius_km or series_id
  */
 router.get("/", async (req, res, next) => {
   try {
-    const { search, location, startDate, endDate, filter = 'upcoming', page = 1, limit = 12 } = req.query;
+    const { search, location, category, tags, series_id, startDate, endDate, filter = 'upcoming', page = 1, limit = 12 } = req.query;
     const offset = (parseInt(page) - 1) * parseInt(limit);
-    
-    let queryText = `
-      SELECT 
+    const searchQuery = buildPrefixQuery(search);
+    const categoryList = parseListParam(category);
+    const tagList = parseListParam(tags);
+
+    const geoValidation = parseGeoQuery(req.query);
+    if (!geoValidation.valid) {
+      return res.status(400).json({ message: geoValidation.message });
+    }
+    const geo = geoValidation.value;
+    let distanceColumn = '';
+
+    if (series_id !== undefined && !/^\d+$/.test(series_id)) {
+      return res.status(400).json({ message: "series_id must be a positive integer" });
+    }
+
+    // The search query is always $1 so the ranking columns can refer to it
+    const searchColumns = searchQuery ? `,
+        ts_rank(sd.document, query) AS search_rank,
+        json_build_object(
+          'title', ts_headline('${SEARCH_CONFIG}', e.title, query, '${TITLE_HEADLINE_OPTIONS}'),
+          'description', ts_headline('${SEARCH_CONFIG}', COALESCE(e.description, ''), query, '${SNIPPET_HEADLINE_OPTIONS}')
+        ) AS highlights` : '';
+
+    const selectColumns = `
         e.id,
         e.title,
         e.description,
         e.start_datetime,
         e.end_datetime,
         e.location,
+        e.venue_id,
+        e.series_id,
+        e.latitude,
+        e.longitude,
+        e.category,
+        ${EVENT_TAGS_SQL},
+        ${EVENT_COVER_SQL},
         e.total_tickets,
         e.tickets_sold,
         e.created_at,
-        CONCAT(u.first_name, ' ', u.last_name) AS organizer_name,
+        COALESCE(op.display_name, CONCAT(u.first_name, ' ', u.last_name)) AS organizer_name,
+        op.slug AS organizer_slug,
         CASE 
           WHEN COALESCE(e.end_datetime, e.start_datetime) < NOW() THEN true
           ELSE false
-        END as is_past
+        END as is_past${searchColumns}`;
+
+    let fromClause = `
       FROM events e
       LEFT JOIN users u ON e.organizer_id = u.id
-      WHERE 1=1
+      LEFT JOIN organizer_profiles op ON op.user_id = e.organizer_id
+      ${searchQuery ? `JOIN event_search_documents sd ON sd.event_id = e.id
+      CROSS JOIN to_tsquery('${SEARCH_CONFIG}', $1) AS query` : ''}
+      WHERE e.status = 'published'
     `;
     
     const params = [];
     let paramCount = 1;
+
+    // Facet filters turn themselves off when their parameter is null, so each
+    // facet can be counted with every filter except its own (facetParams = index)
+    const facetParams = {};
     
-    // Search by title or description
-    if (search) {
-      queryText += ` AND (LOWER(e.title) LIKE $${paramCount} OR LOWER(e.description) LIKE $${paramCount})`;
-      params.push(`%${search.toLowerCase()}%`);
+    // Full-text search (GIN index on event_search_documents)
+    if (searchQuery) {
+      fromClause += ` AND sd.document @@ query`;
+      params.push(searchQuery);
       paramCount++;
     }
+
+    // Radius search: the indexed latitude band narrows it down, then the exact distance decides
+    if (geo) {
+      const lat = `$${paramCount}::float8`;
+      const lng = `$${paramCount + 1}::float8`;
+      const radius = `$${paramCount + 2}::float8`;
+      fromClause += ` AND e.latitude BETWEEN ${lat} - ${radius} / ${KM_PER_DEGREE_LATITUDE} AND ${lat} + ${radius} / ${KM_PER_DEGREE_LATITUDE}
+        AND geo_distance_km(e.latitude, e.longitude, ${lat}, ${lng}) <= ${radius}`;
+      distanceColumn = `,
+        ROUND(geo_distance_km(e.latitude, e.longitude, ${lat}, ${lng})::numeric, 2)::float8 AS distance_km`;
+      params.push(geo.latitude, geo.longitude, geo.radiusKm);
+      paramCount += 3;
+    }
     
     // Filter by location
     if (location) {
-      queryText += ` AND LOWER(e.location) LIKE $${paramCount}`;
+      fromClause += ` AND ($${paramCount}::text IS NULL OR LOWER(e.location) LIKE $${paramCount})`;
       params.push(`%${location.toLowerCase()}%`);
+      facetParams.locations = paramCount - 1;
+      paramCount++;
+    }
+
+    // Filter by category (any of the listed)
+    if (categoryList.length > 0) {
+      fromClause += ` AND ($${paramCount}::text[] IS NULL OR e.category = ANY($${paramCount}::text[]))`;
+      params.push(categoryList);
+      facetParams.categories = paramCount - 1;
+      paramCount++;
+    }
+
+    // Filter by tags (all of the listed)
+    if (tagList.length > 0) {
+      fromClause += ` AND ($${paramCount}::text[] IS NULL OR e.id IN (
+        SELECT event_id FROM event_tags
+        WHERE tag = ANY($${paramCount}::text[])
+        GROUP BY event_id
+        HAVING COUNT(*) = CARDINALITY($${paramCount}::text[])
+      ))`;
+      params.push(tagList);
+      facetParams.tags = paramCount - 1;
       paramCount++;
     }
     
+    // Filter by event series
+    if (series_id) {
+      fromClause += ` AND e.series_id = $${paramCount}`;
+      params.push(parseInt(series_id));
+      paramCount++;
+    }
+
     // Filter by start date range
     if (startDate) {
-      queryText += ` AND e.start_datetime >= $${paramCount}`;
+      fromClause += ` AND e.start_datetime >= $${paramCount}`;
       params.push(startDate);
       paramCount++;
     }
     
     // Filter by end date range
     if (endDate) {
-      queryText += ` AND e.start_datetime <= $${paramCount}`;
+      fromClause += ` AND e.start_datetime <= $${paramCount}`;
       params.push(endDate);
       paramCount++;
     }
     
     // Filter by event status (upcoming, past, all)
     if (filter === 'past') {
-      queryText += ` AND COALESCE(e.end_datetime, e.start_datetime) < NOW()`;
+      fromClause += ` AND COALESCE(e.end_datetime, e.start_datetime) < NOW()`;
     } else if (filter === 'upcoming') {
-      queryText += ` AND COALESCE(e.end_datetime, e.start_datetime) >= NOW()`;
+      fromClause += ` AND COALESCE(e.end_datetime, e.start_datetime) >= NOW()`;
     }
     // filter === 'all' shows both
     
     // Sort order: 
+    // - geo: nearest first, then most relevant (with search), then soonest
+    // - search: most relevant first, then soonest
     // - past: most recent first (DESC)
     // - upcoming: soonest first (ASC)
     // - all: upcoming first (ASC), then past (DESC) using CASE
-    if (filter === 'past') {
-      queryText += ` ORDER BY e.start_datetime DESC`;
+    let orderBy;
+    if (geo) {
+      orderBy = ` ORDER BY distance_km ASC,${searchQuery ? ' search_rank DESC,' : ''} e.start_datetime ASC`;
+    } else if (searchQuery) {
+      orderBy = ` ORDER BY search_rank DESC, e.start_datetime ASC`;
+    } else if (filter === 'past') {
+      orderBy = ` ORDER BY e.start_datetime DESC`;
     } else if (filter === 'all') {
-      queryText += ` ORDER BY 
+      orderBy = ` ORDER BY 
         CASE 
           WHEN COALESCE(e.end_datetime, e.start_datetime) >= NOW() THEN 0
           ELSE 1
@@ -141,22 +324,24 @@ router.get("/", async (req, res, next) => {
           ELSE NULL
         END DESC`;
     } else {
-      queryText += ` ORDER BY e.start_datetime ASC`;
+      orderBy = ` ORDER BY e.start_datetime ASC`;
     }
     
     // Get total count for pagination
-    const countQuery = queryText.replace(/SELECT[\s\S]+?FROM/, 'SELECT COUNT(*) FROM').split('ORDER BY')[0];
-    const countResult = await pool.query(countQuery, params);
+    const countResult = await pool.query(`SELECT COUNT(*) ${fromClause}`, params);
     const totalEvents = parseInt(countResult.rows[0].count);
+
+    const facets = await getEventFacets(fromClause, params, facetParams);
     
     // Add pagination
-    queryText += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
-    params.push(parseInt(limit), offset);
-    
-    const result = await pool.query(queryText, params);
+    const result = await pool.query(
+      `SELECT ${selectColumns}${distanceColumn} ${fromClause} ${orderBy} LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+      [...params, parseInt(limit), offset]
+    );
 
     res.status(200).json({
-      events: result.rows,
+      events: result.rows.map(event => ({ ...event, cover_image: imageResponse(event.cover_image) })),
+      facets,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalEvents / parseInt(limit)),
@@ -171,11 +356,32 @@ router.get("/", async (req, res, next) => {
 });
 
 
+/**
+ * @swagger
+ * /events/categories:
+ *   get:
+ *     summary: List event categories
+ *     tags: [Events]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Categories in display order
+ */
+router.get("/categories", async (req, res, next) => {
+  try {
+    res.status(200).json({ categories: await getCategories() });
+  } catch (err) {
+    console.error("Error in GET /events/categories:", err);
+    next(err);
+  }
+});
+
 /**
  * @swagger
  * /events/organizer/{organizerId}:
  *   get:
  *     summary: Get all events for a specific organizer
+ *     description: Every status, drafts included
  *     tags: [Events]
  *     parameters:
  *       - in: path
@@ -190,14 +396,9 @@ router.get("/", async (req, res, next) => {
  *       403:
  *         description: Forbidden - can only view own events
  */
-router.get("/organizer/:organizerId", requireAuth, validateId('organizerId'), async (req, res, next) => {
+router.get("/organizer/:organizerId", requireAuth, validateId('organizerId'), can('user:events', userFromParam('organizerId')), async (req, res, next) => {
   const organizerId = req.params.organizerId; // Already validated
 
-  // Verify user is requesting their own events
-  if (req.user.id !== organizerId) {
-    return res.status(403).json({ message: "You can only view your own events!" });
-  }
-
   try {
     const result = await pool.query(
       `SELECT 
@@ -209,13 +410,16 @@ router.get("/organizer/:organizerId", requireAuth, validateId('organizerId'), as
           e.location,
           e.total_tickets,
           e.tickets_sold,
+          e.status,
           e.created_at,
           CASE 
             WHEN COALESCE(e.end_datetime, e.start_datetime) < NOW() THEN true
             ELSE false
-          END as is_past
+          END as is_past,
+          CASE WHEN e.organizer_id = $1 THEN 'owner' ELSE m.role END AS my_role
         FROM events e
-        WHERE e.organizer_id = $1
+        LEFT JOIN event_members m ON m.event_id = e.id AND m.user_id = $1
+        WHERE e.organizer_id = $1 OR m.id IS NOT NULL
         ORDER BY e.start_datetime ASC`,
       [organizerId]
     );
@@ -233,6 +437,9 @@ router.get("/organizer/:organizerId", requireAuth, validateId('organizerId'), as
  * /events/{id}:
  *   get:
  *     summary: Get single event with ticket types
+ *     description: |
+ *       Drafts are only visible to their event team (send a token); other events are public in any status.
+ *       A cancelled event includes cancellation_reason.
  *     tags: [Events]
  *     security: []
  *     parameters:
@@ -252,19 +459,43 @@ router.get("/organizer/:organizerId", requireAuth, validateId('organizerId'), as
  *       404:
  *         description: Event not found
  */
-router.get("/:id", validateId('id'), async (req, res, next) => {
+router.get("/:id", validateId('id'), optionalAuth, async (req, res, next) => {
   const id = req.params.id; // Already validated
 
   try {
     const eventResult = await pool.query(
       `SELECT e.*, 
-              CONCAT(u.first_name, ' ', u.last_name) AS organizer_name,
+              ${EVENT_TAGS_SQL},
+              ${EVENT_COVER_SQL},
+              COALESCE(op.display_name, CONCAT(u.first_name, ' ', u.last_name)) AS organizer_name,
+              op.slug AS organizer_slug,
               CASE 
                 WHEN COALESCE(e.end_datetime, e.start_datetime) < NOW() THEN true
                 ELSE false
-              END as is_past
+              END as is_past,
+              CASE WHEN v.id IS NULL THEN NULL ELSE json_build_object(
+                'id', v.id,
+                'name', v.name,
+                'address_line', v.address_line,
+                'postal_code', v.postal_code,
+                'city', v.city,
+                'country', v.country,
+                'capacity', v.capacity,
+                'accessibility', v.accessibility
+              ) END AS venue,
+              CASE WHEN s.id IS NULL THEN NULL ELSE json_build_object(
+                'id', s.id,
+                'title', s.title,
+                'rrule', s.rrule,
+                'timezone', s.timezone
+              ) END AS series,
+              ec.reason AS cancellation_reason
        FROM events e
        LEFT JOIN users u ON e.organizer_id = u.id
+       LEFT JOIN organizer_profiles op ON op.user_id = e.organizer_id
+       LEFT JOIN venues v ON v.id = e.venue_id
+       LEFT JOIN event_series s ON s.id = e.series_id
+       LEFT JOIN event_cancellations ec ON ec.event_id = e.id
        WHERE e.id = $1`,
       [id]
     );
@@ -275,6 +506,11 @@ router.get("/:id", validateId('id'), async (req, res, next) => {
 
     const event = eventResult.rows[0];
 
+    // Drafts are not public yet
+    if (event.status === 'draft' && !(req.user && await isAllowed(req.user, 'event:edit', { eventId: event.id }))) {
+      return res.status(404).json({ message: "Event not found!" });
+    }
+
     //  Get ticket types for this event
     const ticketTypesResult = await pool.query(
       `SELECT id, type, price, total_tickets, tickets_sold, created_at
@@ -286,6 +522,17 @@ router.get("/:id", validateId('id'), async (req, res, next) => {
 
     event.ticket_types = ticketTypesResult.rows;
 
+    const galleryResult = await pool.query(
+      `SELECT id, kind, position, alt_text, width, height, renditions
+       FROM event_images
+       WHERE event_id = $1 AND kind = 'gallery'
+       ORDER BY position, id`,
+      [id]
+    );
+
+    event.cover_image = imageResponse(event.cover_image);
+    event.gallery = galleryResult.rows.map(imageResponse);
+
     res.status(200).json(event);
   } catch (err) {
     console.error("Error in GET /events/:id:", err);
@@ -293,6 +540,55 @@ router.get("/:id", validateId('id'), async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /events/{id}/calendar.ics:
+ *   get:
+ *     summary: Download an event as an iCalendar file
+ *     description: |
+ *       One VEVENT with a stable UID, so importing it again updates the calendar entry.
+ *       A cancelled event has STATUS:CANCELLED. Drafts are only available to their event team.
+ *     tags: [Events]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The event as text/calendar
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Event not found
+ */
+router.get("/:id/calendar.ics", validateId('id'), optionalAuth, async (req, res, next) => {
+  const id = req.params.id; // Already validated
+
+  try {
+    const result = await pool.query(
+      `SELECT ${CALENDAR_EVENT_COLUMNS} FROM events e WHERE e.id = $1;`,
+      [id]
+    );
+
+    const event = result.rows[0];
+    if (!event || (event.status === 'draft' && !(req.user && await isAllowed(req.user, 'event:edit', { eventId: event.id })))) {
+      return res.status(404).json({ message: "Event not found!" });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${event.id}.ics"`);
+    res.status(200).send(buildCalendar({ name: event.title, events: [event] }));
+  } catch (err) {
+    console.error("Error in GET /events/:id/calendar.ics:", err);
+    next(err);
+  }
+});
+
 /**
  * @swagger
  * /events:
@@ -307,7 +603,6 @@ router.get("/:id", validateId('id'), async (req, res, next) => {
  *             type: object
  *             required:
  *               - title
- *               - location
  *               - start_datetime
  *               - total_tickets
  *             properties:
@@ -326,16 +621,43 @@ router.get("/:id", validateId('id'), async (req, res, next) => {
  *               location:
  *                 type: string
  *                 example: Ljubljana Convention Center
+ *                 description: Required unless venue_id is given
+ *               venue_id:
+ *                 type: integer
+ *                 description: Venue the event is held at - sets location and coordinates, and caps total_tickets at its capacity
  *               total_tickets:
  *                 type: integer
  *                 example: 500
+ *               category:
+ *                 type: string
+ *                 example: conference
+ *                 description: Slug from GET /events/categories
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [tech, networking]
+ *               latitude:
+ *                 type: number
+ *                 example: 46.0569
+ *               longitude:
+ *                 type: number
+ *                 example: 14.5058
+ *                 description: Send both coordinates, or neither to geocode them from the location
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *                 default: draft
+ *                 description: Drafts are hidden until published with PATCH /events/{id}/status
  *     responses:
  *       201:
  *         description: Event created successfully
+ *       400:
+ *         description: Validation error, or more tickets than the venue holds
  *       403:
- *         description: Only organizers can create events
+ *         description: Only organizers can create events, or email not verified (when REQUIRE_VERIFIED_EMAIL=true)
  */
-router.post("/", requireAuth, async (req, res, next) => {
+router.post("/", requireAuth, requireVerifiedEmail, can('event:create'), async (req, res, next) => {
   const {
     title,
     description,
@@ -343,13 +665,19 @@ router.post("/", requireAuth, async (req, res, next) => {
     end_datetime,
     location,
     total_tickets,
+    category,
+    tags,
+    latitude,
+    longitude,
+    venue_id,
+    status = 'draft',
   } = req.body;
 
   const organizer_id = req.user.id; // Get from JWT token
 
-  // Verify user is an organizer
-  if (req.user.role !== 'organizer') {
-    return res.status(403).json({ message: "Only organizers can create events!" });
+  // New events start as drafts unless published right away
+  if (!['draft', 'published'].includes(status)) {
+    return res.status(400).json({ message: "status must be 'draft' or 'published'" });
   }
 
   // Validate title
@@ -368,10 +696,24 @@ router.post("/", requireAuth, async (req, res, next) => {
     descriptionValue = descValidation.value;
   }
 
-  // Validate location
-  const locationValidation = validateString(location, 'Location', 3, 200);
-  if (!locationValidation.valid) {
-    return res.status(400).json({ message: locationValidation.message });
+  // Validate venue
+  let venueId = null;
+  if (venue_id !== undefined && venue_id !== null) {
+    const venueIdValidation = validateNumber(venue_id, 'Venue ID', 1, 2147483647);
+    if (!venueIdValidation.valid) {
+      return res.status(400).json({ message: venueIdValidation.message });
+    }
+    venueId = venueIdValidation.value;
+  }
+
+  // Validate location - an event at a venue takes the venue's
+  let locationValue = null;
+  if (!venueId) {
+    const locationValidation = validateString(location, 'Location', 3, 200);
+    if (!locationValidation.valid) {
+      return res.status(400).json({ message: locationValidation.message });
+    }
+    locationValue = locationValidation.value;
   }
 
   // Validate total_tickets
@@ -398,13 +740,72 @@ router.post("/", requireAuth, async (req, res, next) => {
     return res.status(400).json({ message: dateRangeValidation.message });
   }
 
+  // Validate tags
+  let tagsValue = [];
+  if (tags !== undefined) {
+    const tagsValidation = validateTags(tags);
+    if (!tagsValidation.valid) {
+      return res.status(400).json({ message: tagsValidation.message });
+    }
+    tagsValue = tagsValidation.value;
+  }
+
+  // Validate coordinates
+  let coordinates = null;
+  if (latitude !== undefined || longitude !== undefined) {
+    const coordinatesValidation = validateCoordinates(latitude, longitude);
+    if (!coordinatesValidation.valid) {
+      return res.status(400).json({ message: coordinatesValidation.message });
+    }
+    coordinates = coordinatesValidation.value;
+  }
+
   try {
+    // Validate category
+    let categoryValue = null;
+    if (category !== undefined) {
+      const categoryValidation = await validateCategory(category);
+      if (!categoryValidation.valid) {
+        return res.status(400).json({ message: categoryValidation.message });
+      }
+      categoryValue = categoryValidation.value;
+    }
+
+    // The venue provides location and coordinates, and caps the tickets
+    if (venueId) {
+      const venue = await findVenue(venueId);
+      if (!venue) {
+        return res.status(404).json({ message: "Venue not found!" });
+      }
+
+      const capacityValidation = validateCapacity(venue.capacity, ticketsValidation.value);
+      if (!capacityValidation.valid) {
+        return res.status(400).json({ message: capacityValidation.message });
+      }
+
+      locationValue = venueLocation(venue);
+      coordinates = { latitude: venue.latitude, longitude: venue.longitude };
+    }
+
+    // Without explicit coordinates, look the location up (best effort)
+    coordinates ??= await geocode(locationValue);
 
     // 2️ Vstavi dogodek
+    // The creator joins the event team as owner
     const sql = `
-      INSERT INTO events (title, description, start_datetime, end_datetime, location, total_tickets, organizer_id)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *;
+      WITH inserted AS (
+        INSERT INTO events (title, description, start_datetime, end_datetime, location, total_tickets, organizer_id, category, latitude, longitude, venue_id,
+                            status, published_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $10, $11, $12, $13, CASE WHEN $13 = 'published' THEN NOW() END)
+        RETURNING *
+      ), owner AS (
+        INSERT INTO event_members (event_id, user_id, role)
+        SELECT id, organizer_id, 'owner' FROM inserted
+      ), event_tag_rows AS (
+        INSERT INTO event_tags (event_id, tag)
+        SELECT id, UNNEST($9::text[]) FROM inserted
+      )
+      SELECT * FROM inserted;
     `;
 
     const result = await pool.query(sql, [
@@ -412,14 +813,22 @@ router.post("/", requireAuth, async (req, res, next) => {
       descriptionValue,
       start_datetime,
       end_datetime,
-      locationValidation.value,
+      locationValue,
       ticketsValidation.value,
       organizer_id,
+      categoryValue,
+      tagsValue,
+      coordinates?.latitude ?? null,
+      coordinates?.longitude ?? null,
+      venueId,
+      status,
     ]);
 
     res.status(201).json({
-      message: "Event successfully added!",
-      event: result.rows[0],
+      message: status === 'published'
+        ? "Event successfully added!"
+        : "Event saved as a draft. Publish it to make it public.",
+      event: { ...result.rows[0], tags: tagsValue },
     });
   } catch (err) {
     console.error("Error in POST /events:", err);
@@ -459,15 +868,47 @@ router.post("/", requireAuth, async (req, res, next) => {
  *                 type: string
  *               total_tickets:
  *                 type: integer
+ *               category:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Category slug, or null to clear it
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces all tags ([] removes them)
+ *               latitude:
+ *                 type: number
+ *                 nullable: true
+ *               longitude:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Send both (or both null to clear); a new location without them is geocoded again
+ *               venue_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Move the event to a venue (takes its location and coordinates), or null to detach it
+ *               apply_to:
+ *                 type: string
+ *                 enum: [this, future]
+ *                 default: this
+ *                 description: |
+ *                   For an occurrence of a series, "future" applies the edit to this and every later
+ *                   occurrence and to the series template. A new start or end moves each of them by
+ *                   the same amount; total_tickets cannot be changed this way.
  *     responses:
  *       200:
- *         description: Event updated successfully
+ *         description: Event updated successfully (with updated_occurrences for apply_to future)
+ *       400:
+ *         description: Validation error, or more tickets than the venue holds
  *       403:
  *         description: Not authorized to edit this event
  *       404:
  *         description: Event not found
+ *       409:
+ *         description: The event is cancelled or completed
  */
-router.put("/:id", requireAuth, validateId('id'), async (req, res, next) => {
+router.put("/:id", requireAuth, validateId('id'), can('event:edit', eventFromParam('id')), async (req, res, next) => {
   const id = req.params.id; // Already validated
   const {
     title,
@@ -476,15 +917,40 @@ router.put("/:id", requireAuth, validateId('id'), async (req, res, next) => {
     end_datetime,
     location,
     total_tickets,
+    category,
+    tags,
+    latitude,
+    longitude,
+    venue_id,
+    apply_to = 'this',
   } = req.body;
 
   try {
-    // Use helper to check ownership
-    const ownsEvent = await userOwnsEvent(req.user.id, id);
-    if (!ownsEvent) {
-      return res.status(403).json({
-        message: "Event not found or you don't have permission to edit it!",
-      });
+    // Occurrences of a series can be edited alone or together with all later ones
+    if (!['this', 'future'].includes(apply_to)) {
+      return res.status(400).json({ message: "apply_to must be 'this' or 'future'" });
+    }
+
+    const currentResult = await pool.query(
+      `SELECT id, status, series_id, start_datetime, end_datetime FROM events WHERE id = $1;`,
+      [id]
+    );
+    const currentEvent = currentResult.rows[0];
+
+    if (!EDITABLE_STATUSES.includes(currentEvent.status)) {
+      return res.status(409).json({ message: `A ${currentEvent.status} event can no longer be edited` });
+    }
+
+    let occurrence = null;
+    if (apply_to === 'future') {
+      occurrence = currentEvent;
+
+      if (!occurrence.series_id) {
+        return res.status(400).json({ message: "This event is not part of a series - use apply_to 'this'" });
+      }
+      if (total_tickets !== undefined) {
+        return res.status(400).json({ message: "total_tickets is set per occurrence - use apply_to 'this'" });
+      }
     }
 
     // Validate fields if provided
@@ -520,22 +986,83 @@ router.put("/:id", requireAuth, validateId('id'), async (req, res, next) => {
       }
     }
 
-    // Validate start_datetime and end_datetime
-    if (start_datetime && end_datetime) {
+    // Validate start_datetime and end_datetime - each on its own, and a single
+    // new date against the event's current other one
+    let startValue = currentEvent.start_datetime;
+    let endValue = currentEvent.end_datetime;
+    if (start_datetime) {
       const startValidation = validateDate(start_datetime, 'Start date', { allowPast: false });
       if (!startValidation.valid) {
         return res.status(400).json({ message: startValidation.message });
       }
+      startValue = startValidation.value;
+    }
+    if (end_datetime) {
       const endValidation = validateDate(end_datetime, 'End date', { allowPast: false });
       if (!endValidation.valid) {
         return res.status(400).json({ message: endValidation.message });
       }
-      const rangeValidation = validateDateRange(startValidation.value, endValidation.value);
+      endValue = endValidation.value;
+    }
+    if ((start_datetime || end_datetime) && endValue) {
+      const rangeValidation = validateDateRange(startValue, endValue);
       if (!rangeValidation.valid) {
         return res.status(400).json({ message: rangeValidation.message });
       }
     }
 
+    // Validate category (null clears it)
+    let categoryValue;
+    if (category !== undefined) {
+      const categoryValidation = await validateCategory(category);
+      if (!categoryValidation.valid) {
+        return res.status(400).json({ message: categoryValidation.message });
+      }
+      categoryValue = categoryValidation.value;
+    }
+
+    // Validate tags (replace the whole set)
+    let tagsValue;
+    if (tags !== undefined) {
+      const tagsValidation = validateTags(tags);
+      if (!tagsValidation.valid) {
+        return res.status(400).json({ message: tagsValidation.message });
+      }
+      tagsValue = tagsValidation.value;
+    }
+
+    // Coordinates: explicit values win, a changed location is geocoded again
+    let coordinates;
+    if (latitude !== undefined || longitude !== undefined) {
+      const coordinatesValidation = validateCoordinates(latitude, longitude);
+      if (!coordinatesValidation.valid) {
+        return res.status(400).json({ message: coordinatesValidation.message });
+      }
+      coordinates = coordinatesValidation.value;
+    } else if (location && !venue_id) {
+      coordinates = (await geocode(location)) || { latitude: null, longitude: null };
+    }
+
+    // Venue: null detaches the event, an id moves it there
+    let venue;
+    let locationValue = location;
+    if (venue_id === null) {
+      venue = null;
+    } else if (venue_id !== undefined) {
+      const venueIdValidation = validateNumber(venue_id, 'Venue ID', 1, 2147483647);
+      if (!venueIdValidation.valid) {
+        return res.status(400).json({ message: venueIdValidation.message });
+      }
+
+      venue = await findVenue(venueIdValidation.value);
+      if (!venue) {
+        return res.status(404).json({ message: "Venue not found!" });
+      }
+
+      locationValue = venueLocation(venue);
+      coordinates = { latitude: venue.latitude, longitude: venue.longitude };
+    }
+
     // Update event
     const sql = `
       UPDATE events
@@ -544,24 +1071,108 @@ router.put("/:id", requireAuth, validateId('id'), async (req, res, next) => {
           start_datetime = COALESCE($3, start_datetime),
           end_datetime = COALESCE($4, end_datetime),
           location = COALESCE($5, location),
-          total_tickets = COALESCE($6, total_tickets)
+          total_tickets = COALESCE($6, total_tickets),
+          category = CASE WHEN $8 THEN $9 ELSE category END,
+          latitude = CASE WHEN $10 THEN $11 ELSE latitude END,
+          longitude = CASE WHEN $10 THEN $12 ELSE longitude END,
+          venue_id = CASE WHEN $13 THEN $14 ELSE venue_id END
       WHERE id = $7
       RETURNING *;
     `;
 
-    const result = await pool.query(sql, [
-      title,
-      description,
-      start_datetime,
-      end_datetime,
-      location,
-      total_tickets,
-      id,
-    ]);
+    const client = await pool.connect();
+    let event;
+
+    let updatedOccurrences;
+
+    try {
+      await client.query('BEGIN');
+
+      if (occurrence) {
+        // Every later occurrence must fit a new venue too
+        if (venue) {
+          const requested = await lockFutureOccurrences(client, occurrence);
+          const capacityValidation = validateCapacity(venue.capacity, requested);
+          if (!capacityValidation.valid) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: capacityValidation.message });
+          }
+        }
+
+        // A new start or end moves each occurrence by the same amount
+        const startShiftMs = start_datetime ? startValue - occurrence.start_datetime : 0;
+        const endShiftMs = end_datetime && occurrence.end_datetime ? endValue - occurrence.end_datetime : startShiftMs;
+
+        const updatedIds = await updateFutureOccurrences(client, occurrence, {
+          title,
+          description,
+          location: locationValue,
+          category: categoryValue,
+          tags: tagsValue,
+          coordinates,
+          venueId: venue === undefined ? undefined : (venue?.id ?? null),
+          startShiftMs,
+          endShiftMs
+        });
+        updatedOccurrences = updatedIds.length;
+
+        const result = await client.query(`SELECT * FROM events WHERE id = $1;`, [id]);
+        event = result.rows[0];
+      } else {
+        // Tickets must fit the venue the event ends up at
+        const current = await lockEventCapacity(client, id);
+        const capacity = venue === undefined ? current.capacity : (venue?.capacity ?? null);
+        if (capacity !== null) {
+          const allocated = await getAllocatedTickets(client, id);
+          const requested = Math.max(allocated, total_tickets ? Number(total_tickets) : current.totalTickets);
+          const capacityValidation = validateCapacity(capacity, requested);
+          if (!capacityValidation.valid) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ message: capacityValidation.message });
+          }
+        }
+
+        const result = await client.query(sql, [
+          title,
+          description,
+          start_datetime,
+          end_datetime,
+          locationValue,
+          total_tickets,
+          id,
+          categoryValue !== undefined,
+          categoryValue ?? null,
+          coordinates !== undefined,
+          coordinates?.latitude ?? null,
+          coordinates?.longitude ?? null,
+          venue !== undefined,
+          venue?.id ?? null,
+        ]);
+        event = result.rows[0];
+
+        if (tagsValue) {
+          await replaceEventTags(client, id, tagsValue);
+        }
+      }
+
+      const tagResult = await client.query(
+        `SELECT ${EVENT_TAGS_SQL} FROM events e WHERE e.id = $1;`,
+        [id]
+      );
+      event.tags = tagResult.rows[0].tags;
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
 
     res.status(200).json({
       message: "Event successfully updated!",
-      event: result.rows[0],
+      event,
+      ...(updatedOccurrences !== undefined && { updated_occurrences: updatedOccurrences }),
     });
   } catch (err) {
     console.error("Error in PUT /events/:id:", err);
@@ -610,23 +1221,10 @@ router.put("/:id", requireAuth, validateId('id'), async (req, res, next) => {
  *       404:
  *         description: Event not found
  */
-router.get("/:id/analytics", requireAuth, async (req, res, next) => {
+router.get("/:id/analytics", requireAuth, validateId('id'), can('event:analytics', eventFromParam('id')), async (req, res, next) => {
   const { id } = req.params;
 
   try {
-    // Verify event belongs to user
-    const eventCheck = await pool.query(
-      `SELECT organizer_id FROM events WHERE id = $1`,
-      [id]
-    );
-
-    if (eventCheck.rows.length === 0) {
-      return res.status(404).json({ message: "Event not found!" });
-    }
-
-    if (eventCheck.rows[0].organizer_id !== req.user.id) {
-      return res.status(403).json({ message: "You can only view analytics for your own events!" });
-    }
     // Get ticket types with sales data
     const ticketTypesResult = await pool.query(
       `SELECT id, type, price, total_tickets, tickets_sold
@@ -703,9 +1301,13 @@ router.get("/:id/analytics", requireAuth, async (req, res, next) => {
 
 /**
  * @swagger
- * /events/{id}:
- *   delete:
- *     summary: Delete an event
+ * /events/{id}/status:
+ *   patch:
+ *     summary: Publish, postpone or complete an event
+ *     description: |
+ *       Allowed changes: draft → published, published → postponed or completed,
+ *       postponed → published. Publishing needs a future start date; completing needs
+ *       the event to have ended. Cancel with POST /events/{id}/cancel instead.
  *     tags: [Events]
  *     parameters:
  *       - in: path
@@ -713,43 +1315,285 @@ router.get("/:id/analytics", requireAuth, async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [published, postponed, completed]
  *     responses:
  *       200:
- *         description: Event deleted successfully
+ *         description: Status changed
+ *       400:
+ *         description: Invalid status or transition
  *       403:
- *         description: Can only delete own events
+ *         description: Not authorized (event owner or manager)
  *       404:
  *         description: Event not found
  */
-router.delete("/:id", requireAuth, async (req, res, next) => {
-  const { id } = req.params;
+router.patch("/:id/status", requireAuth, validateId('id'), can('event:publish', eventFromParam('id')), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const { status } = req.body;
+
+  if (status === 'cancelled') {
+    return res.status(400).json({ message: "Use POST /events/:id/cancel to cancel an event - it refunds all tickets" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const currentResult = await client.query(
+      `SELECT id, status, start_datetime, end_datetime FROM events WHERE id = $1 FOR UPDATE;`,
+      [id]
+    );
+    const current = currentResult.rows[0];
+
+    const transitionValidation = validateTransition(current, status);
+    if (!transitionValidation.valid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: transitionValidation.message });
+    }
+
+    const event = await changeEventStatus(client, current, status, { actorId: req.user.id, ip: req.ip });
+
+    await client.query('COMMIT');
+
+    const messages = {
+      published: "Event published! It is now listed publicly.",
+      postponed: "Event postponed. Ticket sales are paused until you publish it again with a new date.",
+      completed: "Event marked as completed."
+    };
+
+    res.status(200).json({ message: messages[status], event });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error in PATCH /events/:id/status:", err);
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /events/{id}/cancel:
+ *   post:
+ *     summary: Cancel an event and refund all tickets
+ *     description: |
+ *       Refunds every active ticket (and tickets waiting to be returned) at the price it was bought for
+ *       (its share of the purchase transaction), releases waitlist offers, empties the waitlist and
+ *       emails ticket holders and waitlisted users.
+ *       A draft cannot be cancelled - delete it instead.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: The headliner is ill
+ *                 description: Included in the emails and shown on the event
+ *     responses:
+ *       200:
+ *         description: Event cancelled, with the cancellation record
+ *       400:
+ *         description: The event cannot be cancelled in its current status
+ *       403:
+ *         description: Not authorized (event owner)
+ *       404:
+ *         description: Event not found
+ */
+router.post("/:id/cancel", requireAuth, validateId('id'), can('event:cancel', eventFromParam('id')), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const { reason } = req.body;
+
+  let reasonValue = null;
+  if (reason) {
+    const reasonValidation = validateString(reason, 'Reason', 1, 1000);
+    if (!reasonValidation.valid) {
+      return res.status(400).json({ message: reasonValidation.message });
+    }
+    reasonValue = reasonValidation.value;
+  }
+
+  const client = await pool.connect();
+  let outcome;
+
+  try {
+    await client.query('BEGIN');
+
+    // Locked so no ticket can be sold while the refunds are made
+    const currentResult = await client.query(
+      `SELECT id, title, status, start_datetime, end_datetime FROM events WHERE id = $1 FOR UPDATE;`,
+      [id]
+    );
+    const current = currentResult.rows[0];
+
+    const transitionValidation = validateTransition(current, 'cancelled');
+    if (!transitionValidation.valid) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: transitionValidation.message });
+    }
+
+    outcome = await cancelEvent(client, current, { actorId: req.user.id, reason: reasonValue, ip: req.ip });
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error in POST /events/:id/cancel:", err);
+    return next(err);
+  } finally {
+    client.release();
+  }
+
+  try {
+    const cancellation = await notifyEventCancellation(outcome.event, outcome.cancellation, outcome.holders, outcome.waitlisted);
+
+    res.status(200).json({
+      message: `Event cancelled. ${cancellation.tickets_refunded} ticket(s) refunded and ${cancellation.holders_notified + cancellation.waitlist_notified} people notified.`,
+      event: outcome.event,
+      cancellation
+    });
+  } catch (err) {
+    console.error("Error in POST /events/:id/cancel:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /events/{id}/cancellation:
+ *   get:
+ *     summary: Refund and notification report of a cancelled event
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cancellation totals and one refund per ticket
+ *       403:
+ *         description: Not authorized (event owner, manager or finance)
+ *       404:
+ *         description: Event not found or not cancelled
+ */
+router.get("/:id/cancellation", requireAuth, validateId('id'), can('event:analytics', eventFromParam('id')), async (req, res, next) => {
+  const id = req.params.id; // Already validated
 
   try {
-    // Verify event exists and belongs to user
-    const eventCheck = await pool.query(
-      `SELECT id, organizer_id FROM events WHERE id = $1`,
+    const cancellationResult = await pool.query(
+      `SELECT ec.*, CONCAT(u.first_name, ' ', u.last_name) AS cancelled_by_name
+       FROM event_cancellations ec
+       LEFT JOIN users u ON u.id = ec.cancelled_by
+       WHERE ec.event_id = $1;`,
       [id]
     );
 
-    if (eventCheck.rows.length === 0) {
-      return res.status(404).json({ message: "The event was not found!" });
+    if (cancellationResult.rows.length === 0) {
+      return res.status(404).json({ message: "This event has not been cancelled!" });
     }
 
-    const event = eventCheck.rows[0];
+    const cancellation = cancellationResult.rows[0];
+
+    const refunds = await pool.query(
+      `SELECT r.ticket_id, r.user_id, u.email AS user_email, r.amount, r.refund_transaction_id, r.created_at
+       FROM event_cancellation_refunds r
+       LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.cancellation_id = $1
+       ORDER BY r.ticket_id;`,
+      [cancellation.id]
+    );
+
+    res.status(200).json({ ...cancellation, refunds: refunds.rows });
+  } catch (err) {
+    console.error("Error in GET /events/:id/cancellation:", err);
+    next(err);
+  }
+});
 
-    // Check ownership
-    if (event.organizer_id !== req.user.id) {
-      return res.status(403).json({
-        message: "You can only delete your own events!",
+/**
+ * @swagger
+ * /events/{id}:
+ *   delete:
+ *     summary: Delete a draft event
+ *     description: Published events are cancelled with POST /events/{id}/cancel instead, so ticket holders get refunded
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Event deleted successfully
+ *       403:
+ *         description: Can only delete own events
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: The event is not a draft
+ */
+router.delete("/:id", requireAuth, validateId('id'), can('event:delete', eventFromParam('id')), async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    // Only drafts can go - nobody has seen or bought them yet
+    const statusResult = await pool.query(`SELECT status FROM events WHERE id = $1;`, [id]);
+    const { status } = statusResult.rows[0];
+    if (status !== 'draft') {
+      return res.status(409).json({
+        message: `Only draft events can be deleted. This event is ${status} - cancel it instead so ticket holders are refunded.`
       });
     }
 
+    // Image rows go with the event (ON DELETE CASCADE), their files are removed below
+    const imagesResult = await pool.query(`SELECT renditions FROM event_images WHERE event_id = $1;`, [id]);
+
     //  Izbriši dogodek
     const result = await pool.query(
-      `DELETE FROM events WHERE id = $1 RETURNING *`,
+      `DELETE FROM events WHERE id = $1 AND status = 'draft' RETURNING *`,
       [id]
     );
 
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: "The event was published in the meantime - cancel it instead." });
+    }
+
+    for (const image of imagesResult.rows) {
+      await deleteImageFiles(image.renditions);
+    }
+
+    // A deleted occurrence becomes an exception of its series
+    const deleted = result.rows[0];
+    if (deleted?.series_id) {
+      await pool.query(
+        `UPDATE event_series
+         SET exdates = ARRAY(SELECT DISTINCT d FROM UNNEST(array_append(exdates, $2::date)) AS d ORDER BY d),
+             updated_at = NOW()
+         WHERE id = $1;`,
+        [deleted.series_id, deleted.occurrence_date]
+      );
+    }
+
     res.status(200).json({
       message: "Event successfully deleted!",
       deleted: result.rows[0],
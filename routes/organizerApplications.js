@@ -0,0 +1,522 @@
+import express from "express";
+import pool from "../db.js";
+import { requireAuth, can, denyApiKeys } from "../middleware/auth.js";
+import { validateId, validateString, sanitizeBody } from "../middleware/validation.js";
+import { validateApplicationFields, submitApplication, APPLICATION_COLUMNS, APPLICATION_STATUSES } from "../utils/organizerApplications.js";
+import { recordAudit, getAuditTrail } from "../utils/auditLog.js";
+import { sendMail } from "../utils/mailer.js";
+import { organizerApplicationDecisionEmail } from "../utils/emails.js";
+import { grantRole, ROLES_SQL } from "../utils/roles.js";
+import { isAllowed } from "../utils/policy.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(sanitizeBody);
+
+/* --------------------------------------
+  Helper: Approve or reject a pending application
+  Runs in one transaction with the role change and the audit entries.
+  Returns {status, message} on failure or {application, user} on success
+-------------------------------------- */
+async function decideApplication(applicationId, admin, decision, notes, ip) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT a.id, a.status, a.user_id, u.deleted_at
+       FROM organizer_applications a
+       JOIN users u ON a.user_id = u.id
+       WHERE a.id = $1
+       FOR UPDATE OF a;`,
+      [applicationId]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 404, message: "Application not found!" };
+    }
+
+    const { status: fromStatus, user_id: userId, deleted_at } = current.rows[0];
+
+    if (fromStatus !== 'pending') {
+      await client.query('ROLLBACK');
+      return { status: 409, message: `This application was already ${fromStatus}.` };
+    }
+
+    if (decision === 'approved' && deleted_at) {
+      await client.query('ROLLBACK');
+      return { status: 409, message: "The applicant's account has been deleted." };
+    }
+
+    const updated = await client.query(
+      `UPDATE organizer_applications
+       SET status = $1, reviewed_by = $2, reviewed_at = NOW(), review_notes = $3, updated_at = NOW()
+       WHERE id = $4
+       RETURNING ${APPLICATION_COLUMNS};`,
+      [decision, admin.id, notes, applicationId]
+    );
+
+    await recordAudit(client, {
+      actorId: admin.id,
+      action: `organizer_application.${decision}`,
+      targetType: 'organizer_application',
+      targetId: applicationId,
+      metadata: { from_status: fromStatus, to_status: decision, notes },
+      ip
+    });
+
+    // The organizer role is added to whatever roles the account already holds
+    if (decision === 'approved' && await grantRole(client, userId, 'organizer', admin.id)) {
+      await recordAudit(client, {
+        actorId: admin.id,
+        action: 'user.role_granted',
+        targetType: 'user',
+        targetId: userId,
+        metadata: { role: 'organizer', organizer_application_id: applicationId },
+        ip
+      });
+    }
+
+    const userResult = await client.query(
+      `SELECT id, first_name, email, role, ${ROLES_SQL} FROM users u WHERE id = $1;`,
+      [userId]
+    );
+
+    await client.query('COMMIT');
+    return { application: updated.rows[0], user: userResult.rows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Organizer Applications
+ *   description: Apply for the organizer role and admin review
+ */
+
+/**
+ * @swagger
+ * /organizer-applications:
+ *   post:
+ *     summary: Apply to become an organizer
+ *     description: One pending application per user. An admin reviews it; on approval your role becomes organizer.
+ *     tags: [Organizer Applications]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - company_name
+ *               - company_address
+ *               - payout_account_holder
+ *               - payout_iban
+ *             properties:
+ *               company_name:
+ *                 type: string
+ *                 example: Ljubljana Jazz Club d.o.o.
+ *               registration_number:
+ *                 type: string
+ *               vat_number:
+ *                 type: string
+ *                 example: SI12345678
+ *               company_address:
+ *                 type: string
+ *                 example: Trubarjeva 10, 1000 Ljubljana
+ *               website_url:
+ *                 type: string
+ *                 format: uri
+ *               event_description:
+ *                 type: string
+ *                 description: What kind of events you plan to run
+ *               payout_account_holder:
+ *                 type: string
+ *               payout_iban:
+ *                 type: string
+ *                 example: SI56 1910 0000 0123 438
+ *               payout_bic:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Application submitted
+ *       400:
+ *         description: Validation error or already an organizer
+ *       409:
+ *         description: An application is already pending
+ */
+router.post("/", denyApiKeys, can('organizer_application:submit'), async (req, res, next) => {
+  if (req.user.roles.includes('organizer')) {
+    return res.status(400).json({ message: "Your account already has the 'organizer' role." });
+  }
+
+  const validation = validateApplicationFields(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ message: validation.message });
+  }
+
+  try {
+    const application = await submitApplication(pool, req.user.id, validation.value, req.ip);
+
+    res.status(201).json({
+      message: "Application submitted. We'll email you once an admin has reviewed it.",
+      application
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ message: "You already have a pending application." });
+    }
+    console.error("Error in POST /organizer-applications:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /organizer-applications/me:
+ *   get:
+ *     summary: Your organizer applications
+ *     tags: [Organizer Applications]
+ *     responses:
+ *       200:
+ *         description: Your applications, newest first
+ */
+router.get("/me", async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${APPLICATION_COLUMNS} FROM organizer_applications
+       WHERE user_id = $1
+       ORDER BY created_at DESC;`,
+      [req.user.id]
+    );
+
+    res.status(200).json({ applications: result.rows });
+  } catch (err) {
+    console.error("Error in GET /organizer-applications/me:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /organizer-applications:
+ *   get:
+ *     summary: List organizer applications (admin)
+ *     tags: [Organizer Applications]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, withdrawn, all]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *     responses:
+ *       200:
+ *         description: Paginated applications, oldest first
+ *       403:
+ *         description: Missing the organizer_application:review permission (admins)
+ */
+router.get("/", can('organizer_application:review'), async (req, res, next) => {
+  const { status = 'pending' } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 100);
+  const offset = (page - 1) * limit;
+
+  if (status !== 'all' && !APPLICATION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      message: `Invalid status. Allowed values are: ${[...APPLICATION_STATUSES, 'all'].join(", ")}.`
+    });
+  }
+
+  const filter = status === 'all' ? '' : 'WHERE a.status = $1';
+  const params = status === 'all' ? [] : [status];
+
+  try {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM organizer_applications a ${filter};`,
+      params
+    );
+
+    const result = await pool.query(
+      `SELECT ${APPLICATION_COLUMNS.split(',').map(column => `a.${column.trim()}`).join(', ')},
+              u.first_name, u.last_name, u.email, u.email_verified_at
+       FROM organizer_applications a
+       JOIN users u ON a.user_id = u.id
+       ${filter}
+       ORDER BY a.created_at ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
+      [...params, limit, offset]
+    );
+
+    const total = parseInt(countResult.rows[0].count);
+
+    res.status(200).json({
+      applications: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        total_pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error("Error in GET /organizer-applications:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /organizer-applications/{id}:
+ *   get:
+ *     summary: Get an application with its audit history
+ *     description: Visible to the applicant and to admins.
+ *     tags: [Organizer Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Application and history
+ *       404:
+ *         description: Application not found
+ */
+router.get("/:id", validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+
+  try {
+    const result = await pool.query(
+      `SELECT ${APPLICATION_COLUMNS} FROM organizer_applications WHERE id = $1;`,
+      [id]
+    );
+
+    const application = result.rows[0];
+
+    // Other users' applications are reported as missing
+    if (!application || !(await isAllowed(req.user, 'organizer_application:view', { ownerId: application.user_id }))) {
+      return res.status(404).json({ message: "Application not found!" });
+    }
+
+    res.status(200).json({
+      application,
+      history: await getAuditTrail('organizer_application', id)
+    });
+  } catch (err) {
+    console.error("Error in GET /organizer-applications/:id:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /organizer-applications/{id}/withdraw:
+ *   post:
+ *     summary: Withdraw your pending application
+ *     tags: [Organizer Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Application withdrawn
+ *       404:
+ *         description: No pending application with this id
+ */
+router.post("/:id/withdraw", denyApiKeys, validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE organizer_applications
+       SET status = 'withdrawn', updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND status = 'pending'
+       RETURNING ${APPLICATION_COLUMNS};`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: "No pending application found!" });
+    }
+
+    await recordAudit(client, {
+      actorId: req.user.id,
+      action: 'organizer_application.withdrawn',
+      targetType: 'organizer_application',
+      targetId: id,
+      metadata: { from_status: 'pending', to_status: 'withdrawn' },
+      ip: req.ip
+    });
+
+    await client.query('COMMIT');
+
+    res.status(200).json({
+      message: "Application withdrawn.",
+      application: result.rows[0]
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error in POST /organizer-applications/:id/withdraw:", err);
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /organizer-applications/{id}/approve:
+ *   post:
+ *     summary: Approve an application (admin)
+ *     description: The applicant's role changes to organizer and they are notified by email.
+ *     tags: [Organizer Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Application approved
+ *       404:
+ *         description: Application not found
+ *       409:
+ *         description: Application is no longer pending
+ */
+router.post("/:id/approve", can('organizer_application:review'), validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const { notes } = req.body;
+
+  let notesValue = null;
+  if (notes) {
+    const notesValidation = validateString(notes, 'Notes', 1, 1000);
+    if (!notesValidation.valid) {
+      return res.status(400).json({ message: notesValidation.message });
+    }
+    notesValue = notesValidation.value;
+  }
+
+  try {
+    const outcome = await decideApplication(id, req.user, 'approved', notesValue, req.ip);
+    if (outcome.message) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    try {
+      await sendMail(organizerApplicationDecisionEmail(outcome.user, outcome.application));
+    } catch (mailErr) {
+      console.error(`Error sending application decision email to user ${outcome.user.id}:`, mailErr);
+    }
+
+    res.status(200).json({
+      message: "Application approved. The user is now an organizer.",
+      application: outcome.application
+    });
+  } catch (err) {
+    console.error("Error in POST /organizer-applications/:id/approve:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /organizer-applications/{id}/reject:
+ *   post:
+ *     summary: Reject an application (admin)
+ *     description: The reason is shared with the applicant, who may apply again.
+ *     tags: [Organizer Applications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Payout account holder does not match the company name
+ *     responses:
+ *       200:
+ *         description: Application rejected
+ *       400:
+ *         description: Reason missing
+ *       404:
+ *         description: Application not found
+ *       409:
+ *         description: Application is no longer pending
+ */
+router.post("/:id/reject", can('organizer_application:review'), validateId('id'), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+
+  const reasonValidation = validateString(req.body.reason, 'Reason', 1, 1000);
+  if (!reasonValidation.valid) {
+    return res.status(400).json({ message: reasonValidation.message });
+  }
+
+  try {
+    const outcome = await decideApplication(id, req.user, 'rejected', reasonValidation.value, req.ip);
+    if (outcome.message) {
+      return res.status(outcome.status).json({ message: outcome.message });
+    }
+
+    try {
+      await sendMail(organizerApplicationDecisionEmail(outcome.user, outcome.application));
+    } catch (mailErr) {
+      console.error(`Error sending application decision email to user ${outcome.user.id}:`, mailErr);
+    }
+
+    res.status(200).json({
+      message: "Application rejected.",
+      application: outcome.application
+    });
+  } catch (err) {
+    console.error("Error in POST /organizer-applications/:id/reject:", err);
+    next(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,341 @@
+import express from "express";
+import pool from "../db.js";
+import { requireAuth, can } from "../middleware/auth.js";
+import { validateString, validateEmail, validateUrl, validateSlug, sanitizeBody } from "../middleware/validation.js";
+import { slugify, findAvailableSlug } from "../utils/slugs.js";
+
+const router = express.Router();
+
+router.use(sanitizeBody);
+
+const PROFILE_COLUMNS = `slug, display_name, bio, logo_url, website_url, contact_email, social_links, created_at, updated_at`;
+const SOCIAL_PLATFORMS = ["facebook", "instagram", "x", "linkedin", "tiktok", "youtube"];
+const RESERVED_SLUGS = ["me"];
+const UPCOMING_EVENTS_LIMIT = 50;
+const PAST_EVENTS_LIMIT = 20;
+
+/* --------------------------------------
+  Helper: Validate profile fields from a request body
+  Only fields present in the body are validated and returned,
+  null or "" clears an optional field
+-------------------------------------- */
+function validateProfileFields(body) {
+  const fields = {};
+
+  if (body.display_name !== undefined) {
+    const validation = validateString(body.display_name, 'Display name', 2, 100);
+    if (!validation.valid) return { valid: false, message: validation.message };
+    fields.display_name = validation.value;
+  }
+
+  if (body.slug !== undefined) {
+    const validation = validateSlug(body.slug);
+    if (!validation.valid) return { valid: false, message: validation.message };
+    if (RESERVED_SLUGS.includes(validation.value)) {
+      return { valid: false, message: `The slug '${validation.value}' is reserved` };
+    }
+    fields.slug = validation.value;
+  }
+
+  if (body.bio !== undefined) {
+    if (body.bio === null || body.bio === '') {
+      fields.bio = null;
+    } else {
+      const validation = validateString(body.bio, 'Bio', 1, 2000);
+      if (!validation.valid) return { valid: false, message: validation.message };
+      fields.bio = validation.value;
+    }
+  }
+
+  for (const [field, label] of [["logo_url", "Logo URL"], ["website_url", "Website"]]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      fields[field] = null;
+      continue;
+    }
+    const validation = validateUrl(body[field], label);
+    if (!validation.valid) return { valid: false, message: validation.message };
+    fields[field] = validation.value;
+  }
+
+  if (body.contact_email !== undefined) {
+    if (body.contact_email === null || body.contact_email === '') {
+      fields.contact_email = null;
+    } else {
+      const validation = validateEmail(body.contact_email);
+      if (!validation.valid) return { valid: false, message: `Contact email: ${validation.message}` };
+      fields.contact_email = body.contact_email.trim();
+    }
+  }
+
+  if (body.social_links !== undefined) {
+    const links = body.social_links || {};
+    if (typeof links !== 'object' || Array.isArray(links)) {
+      return { valid: false, message: "social_links must be an object, e.g. { \"instagram\": \"https://...\" }" };
+    }
+
+    fields.social_links = {};
+    for (const [platform, url] of Object.entries(links)) {
+      if (!SOCIAL_PLATFORMS.includes(platform)) {
+        return { valid: false, message: `Unknown social platform '${platform}'. Allowed: ${SOCIAL_PLATFORMS.join(", ")}` };
+      }
+      if (url === null || url === '') continue;
+      const validation = validateUrl(url, `${platform} link`);
+      if (!validation.valid) return { valid: false, message: validation.message };
+      fields.social_links[platform] = validation.value;
+    }
+  }
+
+  return { valid: true, value: fields };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Organizers
+ *   description: Public organizer profiles
+ */
+
+/**
+ * @swagger
+ * /organizers/me:
+ *   get:
+ *     summary: Get your organizer profile
+ *     tags: [Organizers]
+ *     responses:
+ *       200:
+ *         description: Your profile
+ *       403:
+ *         description: Missing the organizer_profile:manage permission (organizers)
+ *       404:
+ *         description: No profile yet - create one with PUT /organizers/me
+ */
+router.get("/me", requireAuth, can('organizer_profile:manage'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${PROFILE_COLUMNS} FROM organizer_profiles WHERE user_id = $1`,
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "You don't have an organizer profile yet. Create one with PUT /organizers/me." });
+    }
+
+    res.status(200).json({ profile: result.rows[0] });
+  } catch (err) {
+    console.error("Error in GET /organizers/me:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /organizers/me:
+ *   put:
+ *     summary: Create or update your organizer profile
+ *     description: |
+ *       Only the fields sent are changed; send null to clear an optional field.
+ *       display_name is required when creating. Without a slug, one is generated from the display name.
+ *     tags: [Organizers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               display_name:
+ *                 type: string
+ *                 example: Ljubljana Jazz Club
+ *               slug:
+ *                 type: string
+ *                 example: ljubljana-jazz-club
+ *               bio:
+ *                 type: string
+ *               logo_url:
+ *                 type: string
+ *                 format: uri
+ *               website_url:
+ *                 type: string
+ *                 format: uri
+ *               contact_email:
+ *                 type: string
+ *                 format: email
+ *               social_links:
+ *                 type: object
+ *                 example: { "instagram": "https://instagram.com/ljjazz" }
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       201:
+ *         description: Profile created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Slug already taken
+ */
+router.put("/me", requireAuth, can('organizer_profile:manage'), async (req, res, next) => {
+  const validation = validateProfileFields(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ message: validation.message });
+  }
+
+  const fields = validation.value;
+
+  try {
+    const existingResult = await pool.query(
+      "SELECT * FROM organizer_profiles WHERE user_id = $1",
+      [req.user.id]
+    );
+    const existing = existingResult.rows[0];
+
+    if (!existing && !fields.display_name) {
+      return res.status(400).json({ message: "Display name is required" });
+    }
+
+    if (fields.slug) {
+      const taken = await pool.query(
+        "SELECT id FROM organizer_profiles WHERE slug = $1 AND user_id <> $2",
+        [fields.slug, req.user.id]
+      );
+      if (taken.rows.length > 0) {
+        return res.status(409).json({ message: `The slug '${fields.slug}' is already taken` });
+      }
+    }
+
+    const profile = { ...existing, ...fields };
+    if (!profile.slug) {
+      profile.slug = await findAvailableSlug('organizer_profiles', slugify(profile.display_name) || `organizer-${req.user.id}`);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO organizer_profiles (user_id, slug, display_name, bio, logo_url, website_url, contact_email, social_links)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (user_id) DO UPDATE SET
+         slug = EXCLUDED.slug,
+         display_name = EXCLUDED.display_name,
+         bio = EXCLUDED.bio,
+         logo_url = EXCLUDED.logo_url,
+         website_url = EXCLUDED.website_url,
+         contact_email = EXCLUDED.contact_email,
+         social_links = EXCLUDED.social_links,
+         updated_at = NOW()
+       RETURNING ${PROFILE_COLUMNS};`,
+      [
+        req.user.id,
+        profile.slug,
+        profile.display_name,
+        profile.bio ?? null,
+        profile.logo_url ?? null,
+        profile.website_url ?? null,
+        profile.contact_email ?? null,
+        JSON.stringify(profile.social_links || {})
+      ]
+    );
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? "Organizer profile updated." : "Organizer profile created.",
+      profile: result.rows[0]
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ message: "That slug is already taken" });
+    }
+    console.error("Error in PUT /organizers/me:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /organizers/{slug}:
+ *   get:
+ *     summary: Public organizer page
+ *     description: Profile, upcoming and recent past events, and stats (events hosted, total attendees).
+ *     tags: [Organizers]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Organizer profile with events and stats
+ *       404:
+ *         description: Organizer not found
+ */
+router.get("/:slug", async (req, res, next) => {
+  const slug = String(req.params.slug).toLowerCase();
+
+  try {
+    const profileResult = await pool.query(
+      `SELECT op.user_id, ${PROFILE_COLUMNS.split(', ').map(column => `op.${column}`).join(', ')}
+       FROM organizer_profiles op
+       JOIN users u ON u.id = op.user_id
+       WHERE op.slug = $1
+       AND EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = u.id AND r.role = 'organizer')
+       AND u.suspended_at IS NULL
+       AND u.deleted_at IS NULL;`,
+      [slug]
+    );
+
+    if (profileResult.rows.length === 0) {
+      return res.status(404).json({ message: "Organizer not found!" });
+    }
+
+    const { user_id: organizerId, ...profile } = profileResult.rows[0];
+
+    const [upcoming, past, stats] = await Promise.all([
+      pool.query(
+        `SELECT id, title, description, start_datetime, end_datetime, location, total_tickets, tickets_sold
+         FROM events
+         WHERE organizer_id = $1 AND status = 'published' AND COALESCE(end_datetime, start_datetime) >= NOW()
+         ORDER BY start_datetime ASC
+         LIMIT $2;`,
+        [organizerId, UPCOMING_EVENTS_LIMIT]
+      ),
+      pool.query(
+        `SELECT id, title, description, start_datetime, end_datetime, location, total_tickets, tickets_sold
+         FROM events
+         WHERE organizer_id = $1 AND status IN ('published', 'completed') AND COALESCE(end_datetime, start_datetime) < NOW()
+         ORDER BY start_datetime DESC
+         LIMIT $2;`,
+        [organizerId, PAST_EVENTS_LIMIT]
+      ),
+      pool.query(
+        `SELECT
+           COUNT(*) FILTER (WHERE COALESCE(e.end_datetime, e.start_datetime) < NOW()) AS events_hosted,
+           COUNT(*) FILTER (WHERE COALESCE(e.end_datetime, e.start_datetime) >= NOW()) AS upcoming_events,
+           (
+             SELECT COUNT(*)
+             FROM tickets t
+             JOIN events pe ON t.event_id = pe.id
+             WHERE pe.organizer_id = $1
+             AND t.status IN ('active', 'pending_return')
+             AND COALESCE(pe.end_datetime, pe.start_datetime) < NOW()
+           ) AS total_attendees
+         FROM events e
+         WHERE e.organizer_id = $1 AND e.status IN ('published', 'completed');`,
+        [organizerId]
+      )
+    ]);
+
+    res.status(200).json({
+      profile,
+      stats: {
+        events_hosted: parseInt(stats.rows[0].events_hosted),
+        upcoming_events: parseInt(stats.rows[0].upcoming_events),
+        total_attendees: parseInt(stats.rows[0].total_attendees)
+      },
+      upcoming_events: upcoming.rows,
+      past_events: past.rows
+    });
+  } catch (err) {
+    console.error("Error in GET /organizers/:slug:", err);
+    next(err);
+  }
+});
+
+export default router;
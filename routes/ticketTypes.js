@@ -1,8 +1,11 @@
 import express from "express";
 import pool from "../db.js";
-import { requireAuth } from "../middleware/auth.js";
+import { requireAuth, can } from "../middleware/auth.js";
 import { validateId, validateString, validateNumber, sanitizeBody } from "../middleware/validation.js";
-import { eventExists, userOwnsEvent } from "../utils/dbHelpers.js";
+import { eventExists, syncAllTicketCounts } from "../utils/dbHelpers.js";
+import { isAllowed, ticketTypeFromParam } from "../utils/policy.js";
+import { lockEventCapacity, getAllocatedTickets, validateCapacity } from "../utils/venues.js";
+import { lockEditableEvent } from "../utils/eventStatus.js";
 
 const router = express.Router();
 
@@ -109,8 +112,12 @@ router.get("/:event_id", validateId('event_id'), async (req, res, next) => {
  *     responses:
  *       201:
  *         description: Ticket type created successfully
+ *       400:
+ *         description: Validation error, or the ticket types would exceed the venue capacity
  *       403:
  *         description: Not authorized - must be event owner
+ *       409:
+ *         description: The event is cancelled or completed
  */
 router.post("/", requireAuth, async (req, res, next) => {
   const { event_id, type, price, total_tickets } = req.body;
@@ -146,36 +153,67 @@ router.post("/", requireAuth, async (req, res, next) => {
   const validTotalTickets = ticketsValidation.value;
 
   try {
-    // Use helper to verify event ownership
-    const ownsEvent = await userOwnsEvent(req.user.id, validEventId);
-    if (!ownsEvent) {
+    // Owners and managers can add ticket types
+    if (!(await isAllowed(req.user, 'ticket_type:manage', { eventId: validEventId }))) {
       return res.status(403).json({ message: "Event not found or you don't have permission to create ticket types for it!" });
     }
 
-    const result = await pool.query(
-      `
-      INSERT INTO ticket_types (event_id, type, price, total_tickets, tickets_sold)
-      VALUES ($1, $2, $3, $4, 0)
-      RETURNING *;
-      `,
-      [validEventId, validType, validPrice, validTotalTickets]
-    );
-
-    // Sync event's total_tickets
-    await pool.query(
-      `UPDATE events
-       SET total_tickets = (
-         SELECT COALESCE(SUM(total_tickets), 0)
-         FROM ticket_types
-         WHERE event_id = $1
-       )
-       WHERE id = $1;`,
-      [validEventId]
-    );
+    const client = await pool.connect();
+    let ticketType;
+
+    try {
+      await client.query('BEGIN');
+
+      const statusValidation = await lockEditableEvent(client, validEventId);
+      if (!statusValidation.valid) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: statusValidation.message });
+      }
+
+      // All ticket types together must fit into the venue
+      const { capacity } = await lockEventCapacity(client, validEventId);
+      if (capacity !== null) {
+        const allocated = await getAllocatedTickets(client, validEventId);
+        const capacityValidation = validateCapacity(capacity, allocated + validTotalTickets);
+        if (!capacityValidation.valid) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: capacityValidation.message });
+        }
+      }
+
+      const result = await client.query(
+        `
+        INSERT INTO ticket_types (event_id, type, price, total_tickets, tickets_sold)
+        VALUES ($1, $2, $3, $4, 0)
+        RETURNING *;
+        `,
+        [validEventId, validType, validPrice, validTotalTickets]
+      );
+      ticketType = result.rows[0];
+
+      // Sync event's total_tickets
+      await client.query(
+        `UPDATE events
+         SET total_tickets = (
+           SELECT COALESCE(SUM(total_tickets), 0)
+           FROM ticket_types
+           WHERE event_id = $1
+         )
+         WHERE id = $1;`,
+        [validEventId]
+      );
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
 
     res.status(201).json({
       message: "Ticket type successfully added!",
-      ticket_type: result.rows[0],
+      ticket_type: ticketType,
     });
   } catch (err) {
     console.error("Error in POST /ticket-types:", err);
@@ -212,10 +250,14 @@ router.post("/", requireAuth, async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Ticket type updated
+ *       400:
+ *         description: Validation error, or the ticket types would exceed the venue capacity
  *       403:
- *         description: Must be event owner
+ *         description: Requires the owner or manager role on the event
+ *       409:
+ *         description: The event is cancelled or completed
  */
-router.patch("/:id", requireAuth, validateId('id'), async (req, res, next) => {
+router.patch("/:id", requireAuth, validateId('id'), can('ticket_type:manage', ticketTypeFromParam('id')), async (req, res, next) => {
   const id = req.params.id; // Already validated
   const { type, price, total_tickets, tickets_sold } = req.body;
 
@@ -248,8 +290,32 @@ router.patch("/:id", requireAuth, validateId('id'), async (req, res, next) => {
     }
   }
 
+  const eventId = req.resource.eventId;
+  const client = await pool.connect();
+
   try {
-    const result = await pool.query(
+    await client.query('BEGIN');
+
+    const statusValidation = await lockEditableEvent(client, eventId);
+    if (!statusValidation.valid) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: statusValidation.message });
+    }
+
+    // A larger ticket type must still fit into the venue
+    if (total_tickets !== undefined) {
+      const { capacity } = await lockEventCapacity(client, eventId);
+      if (capacity !== null) {
+        const allocated = await getAllocatedTickets(client, eventId, id);
+        const capacityValidation = validateCapacity(capacity, allocated + Number(total_tickets));
+        if (!capacityValidation.valid) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: capacityValidation.message });
+        }
+      }
+    }
+
+    const result = await client.query(
       `
       UPDATE ticket_types
       SET 
@@ -264,12 +330,13 @@ router.patch("/:id", requireAuth, validateId('id'), async (req, res, next) => {
     );
 
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ message: "Ticket type not found!" });
     }
 
     // Sync event's total_tickets and tickets_sold
     const ticketTypeRow = result.rows[0];
-    await pool.query(
+    await client.query(
       `UPDATE events
        SET total_tickets = (
          SELECT COALESCE(SUM(total_tickets), 0)
@@ -285,13 +352,18 @@ router.patch("/:id", requireAuth, validateId('id'), async (req, res, next) => {
       [ticketTypeRow.event_id]
     );
 
+    await client.query('COMMIT');
+
     res.status(200).json({
       message: "Ticket type successfully updated!",
       ticket_type: result.rows[0],
     });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Error in PATCH /ticket-types/:id:", err);
     next(err);
+  } finally {
+    client.release();
   }
 });
 
@@ -311,55 +383,51 @@ router.patch("/:id", requireAuth, validateId('id'), async (req, res, next) => {
  *       200:
  *         description: Ticket type deleted
  *       403:
- *         description: Must be event owner
+ *         description: Requires the owner or manager role on the event
  *       404:
  *         description: Ticket type not found
+ *       409:
+ *         description: The event is cancelled or completed
  */
-router.delete("/:id", requireAuth, validateId('id'), async (req, res, next) => {
+router.delete("/:id", requireAuth, validateId('id'), can('ticket_type:manage', ticketTypeFromParam('id')), async (req, res, next) => {
   const id = req.params.id; // Already validated
+  const client = await pool.connect();
 
   try {
-    // Verify ticket type belongs to user's event
-    const ownerCheck = await pool.query(
-      `SELECT tt.id, e.organizer_id 
-       FROM ticket_types tt 
-       JOIN events e ON tt.event_id = e.id 
-       WHERE tt.id = $1`,
-      [id]
-    );
+    await client.query('BEGIN');
 
-    if (ownerCheck.rows.length === 0) {
-      return res.status(404).json({ message: "Ticket type not found!" });
-    }
-
-    if (ownerCheck.rows[0].organizer_id !== req.user.id) {
-      return res.status(403).json({ message: "You can only delete ticket types for your own events!" });
+    const statusValidation = await lockEditableEvent(client, req.resource.eventId);
+    if (!statusValidation.valid) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: statusValidation.message });
     }
 
     // Check if any tickets have been sold for this type
-    const usageCheck = await pool.query(
+    const usageCheck = await client.query(
       `SELECT COUNT(*) AS sold FROM tickets WHERE ticket_type_id = $1;`,
       [id]
     );
 
     if (parseInt(usageCheck.rows[0].sold) > 0) {
+      await client.query('ROLLBACK');
       return res.status(400).json({
         message: "Cannot delete this ticket type because tickets have already been sold!",
       });
     }
 
-    const result = await pool.query(
+    const result = await client.query(
       `DELETE FROM ticket_types WHERE id = $1 RETURNING *;`,
       [id]
     );
 
     if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ message: "Ticket type not found!" });
     }
 
     // Sync event's total_tickets after deletion
     const deletedType = result.rows[0];
-    await pool.query(
+    await client.query(
       `UPDATE events
        SET total_tickets = (
          SELECT COALESCE(SUM(total_tickets), 0)
@@ -375,13 +443,18 @@ router.delete("/:id", requireAuth, validateId('id'), async (req, res, next) => {
       [deletedType.event_id]
     );
 
+    await client.query('COMMIT');
+
     res.status(200).json({
       message: "Ticket type successfully deleted!",
       deleted: result.rows[0],
     });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Error in DELETE /ticket-types/:id:", err);
     next(err);
+  } finally {
+    client.release();
   }
 });
 
@@ -402,58 +475,55 @@ router.delete("/:id", requireAuth, validateId('id'), async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Ticket count refreshed
+ *       403:
+ *         description: Requires the owner or manager role on the event
+ *       404:
+ *         description: Ticket type not found
+ *       409:
+ *         description: The event is cancelled or completed
  */
-router.put("/:id/recount", requireAuth, validateId('id'), async (req, res, next) => {
+router.put("/:id/recount", requireAuth, validateId('id'), can('ticket_type:manage', ticketTypeFromParam('id')), async (req, res, next) => {
   const id = req.params.id; // Already validated
+  const client = await pool.connect();
 
   try {
-    await pool.query(`
+    await client.query('BEGIN');
+
+    // Refunded tickets of a cancelled event would count as sold again
+    const statusValidation = await lockEditableEvent(client, req.resource.eventId);
+    if (!statusValidation.valid) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: statusValidation.message });
+    }
+
+    await client.query(`
       UPDATE ticket_types
       SET tickets_sold = (
         SELECT COUNT(*) FROM tickets WHERE ticket_type_id = $1
       )
       WHERE id = $1;
     `, [id]);
+
+    await client.query('COMMIT');
     res.json({ message: "Number of sold tickets refreshed!" });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Error in PUT /ticket-types/:id/recount:", err);
     next(err);
+  } finally {
+    client.release();
   }
 });
 
-// Sync ALL ticket types and events (useful for fixing data)
-router.post("/sync-all", requireAuth, async (req, res, next) => {
+// Sync ALL ticket types and events (useful for fixing data) - admin only
+router.post("/sync-all", requireAuth, can('maintenance:run'), async (req, res, next) => {
   try {
-    // 1. Update all ticket_types.tickets_sold based on actual tickets
-    const result = await pool.query(`
-      UPDATE ticket_types tt
-      SET tickets_sold = (
-        SELECT COUNT(*) FROM tickets t 
-        WHERE t.ticket_type_id = tt.id
-      )
-      RETURNING id, type, tickets_sold, total_tickets;
-    `);
-
-    // 2. Update all events.total_tickets and tickets_sold from ticket_types
-    await pool.query(`
-      UPDATE events e
-      SET 
-        total_tickets = (
-          SELECT COALESCE(SUM(total_tickets), 0)
-          FROM ticket_types
-          WHERE event_id = e.id
-        ),
-        tickets_sold = (
-          SELECT COALESCE(SUM(tickets_sold), 0)
-          FROM ticket_types
-          WHERE event_id = e.id
-        );
-    `);
+    const updated = await syncAllTicketCounts();
 
     res.json({ 
       message: "All ticket counts synchronized successfully!",
       success: true,
-      ticket_types_updated: result.rows
+      ticket_types_updated: updated
     });
   } catch (err) {
     console.error("Error in sync-all:", err);
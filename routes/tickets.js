@@ -1,9 +1,10 @@
 import express from "express";
 import pool from "../db.js";
-import { requireAuth } from "../middleware/auth.js";
+import { requireAuth, requireVerifiedEmail, can } from "../middleware/auth.js";
 import { assignTicketToWaitlist } from "./waitlist.js";
 import { validateId, validateIds, validateNumber, sanitizeBody } from "../middleware/validation.js";
-import { userExists, eventExists, ticketTypeExists } from "../utils/dbHelpers.js";
+import { userExists, ticketTypeExists, USER_TICKETS_FROM_SQL } from "../utils/dbHelpers.js";
+import { eventFromParam, ticketFromParam } from "../utils/policy.js";
 
 const router = express.Router();
 
@@ -180,6 +181,7 @@ router.get("/user/:user_id", validateId('user_id'), async (req, res, next) => {
         e.location,
         e.start_datetime,
         e.end_datetime,
+        e.status AS event_status,
         e.total_tickets AS event_total_tickets,
         e.tickets_sold AS event_tickets_sold,
         t.ticket_type_id,
@@ -192,11 +194,7 @@ router.get("/user/:user_id", validateId('user_id'), async (req, res, next) => {
           WHEN t.status = 'reserved' THEN t.issued_at + INTERVAL '30 minutes'
           ELSE NULL 
         END as reservation_expires_at
-      FROM tickets t
-      JOIN users u ON t.user_id = u.id
-      JOIN events e ON t.event_id = e.id
-      LEFT JOIN ticket_types tt ON t.ticket_type_id = tt.id
-      WHERE t.user_id = $1
+      ${USER_TICKETS_FROM_SQL}
       ORDER BY t.issued_at DESC;
       `,
       [user_id]
@@ -308,19 +306,15 @@ router.get("/user/:user_id/event/:event_id", validateIds('user_id', 'event_id'),
  *     responses:
  *       200:
  *         description: All tickets for the event
+ *       403:
+ *         description: Requires a role on the event team (or admin)
  *       404:
  *         description: Event not found
  */
-router.get("/event/:event_id", validateId('event_id'), async (req, res, next) => {
+router.get("/event/:event_id", validateId('event_id'), can('attendee:view', eventFromParam('event_id')), async (req, res, next) => {
   const event_id = req.params.event_id; // Already validated
 
   try {
-    // Use helper to check if event exists
-    const exists = await eventExists(event_id);
-    if (!exists) {
-      return res.status(404).json({ message: "Event does not exist!" });
-    }
-
     // Get event info for response
     const eventCheck = await pool.query(
       `SELECT id, title FROM events WHERE id = $1;`,
@@ -408,11 +402,13 @@ router.get("/event/:event_id", validateId('event_id'), async (req, res, next) =>
  *       201:
  *         description: Tickets purchased successfully
  *       400:
- *         description: Not enough tickets available
+ *         description: Not enough tickets available, or the event is not published
+ *       403:
+ *         description: Email not verified (when REQUIRE_VERIFIED_EMAIL=true)
  *       404:
  *         description: Event or ticket type not found
  */
-router.post("/", async (req, res, next) => {
+router.post("/", requireVerifiedEmail, async (req, res, next) => {
   const { event_id, ticket_type_id, quantity = 1, payment_method } = req.body;
   const user_id = req.user.id; // Get user ID from authenticated token
 
@@ -448,7 +444,8 @@ router.post("/", async (req, res, next) => {
     // Use helpers to validate existence
     const [userCheckExists, eventCheck, typeCheck] = await Promise.all([
       userExists(user_id),
-      client.query(`SELECT id, end_datetime, start_datetime FROM events WHERE id = $1`, [validEventId]),
+      // Locked as the tickets_sold update below would - waits for a cancellation in progress and then sees its status
+      client.query(`SELECT id, status, end_datetime, start_datetime FROM events WHERE id = $1 FOR NO KEY UPDATE`, [validEventId]),
       client.query(`SELECT total_tickets, tickets_sold, price FROM ticket_types WHERE id = $1`, [validTicketTypeId]),
     ]);
 
@@ -468,6 +465,12 @@ router.post("/", async (req, res, next) => {
       await client.query('ROLLBACK');
       return res.status(410).json({ message: "Cannot purchase tickets for past events!" });
     }
+
+    // Only published events are on sale
+    if (event.status !== 'published') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: `Tickets are not on sale - this event is ${event.status}.` });
+    }
     
     if (typeCheck.rowCount === 0) {
       await client.query('ROLLBACK');
@@ -636,9 +639,8 @@ router.put("/:id/refund", validateId('id'), async (req, res, next) => {
    - Ticket goes back to normal sale (decrements tickets_sold)
    - If sold out, offers to waitlist with 30-min window
 -------------------------------------- */
-router.put("/:id/organizer-refund", validateId('id'), async (req, res, next) => {
+router.put("/:id/organizer-refund", validateId('id'), can('ticket:refund', ticketFromParam('id')), async (req, res, next) => {
   const id = req.params.id;
-  const organizer_id = req.user.id; // From JWT token
 
   try {
     // Get ticket with event info
@@ -646,7 +648,7 @@ router.put("/:id/organizer-refund", validateId('id'), async (req, res, next) =>
       `
       SELECT 
         t.id, t.ticket_type_id, t.event_id, t.user_id, t.status, t.transaction_id,
-        e.tickets_sold, e.total_tickets, e.organizer_id,
+        e.tickets_sold, e.total_tickets,
         tt.type as ticket_type_name
       FROM tickets t
       JOIN events e ON t.event_id = e.id
@@ -662,11 +664,6 @@ router.put("/:id/organizer-refund", validateId('id'), async (req, res, next) =>
 
     const ticket = ticketCheck.rows[0];
 
-    // Verify user is the event organizer
-    if (ticket.organizer_id !== organizer_id) {
-      return res.status(403).json({ message: "Only the event organizer can refund tickets!" });
-    }
-
     if (ticket.status !== 'active') {
       return res.status(400).json({ message: "Only active tickets can be refunded!" });
     }
@@ -1,13 +1,265 @@
 // src/routes/users.js
 import express from "express";
 import pool from "../db.js";
-import { hashPassword, comparePassword, generateToken, generateRefreshToken, verifyToken } from "../utils/auth.js";
-import { requireAuth } from "../middleware/auth.js";
+import { hashPassword, comparePassword, generateToken, generateOpaqueToken, hashToken, generateEmailVerificationToken, generateTwoFactorChallengeToken, verifyToken } from "../utils/auth.js";
+import { startSession, rotateRefreshToken, revokeRefreshTokenFamily, revokeSession, revokeAllSessions, listSessions } from "../utils/refreshTokens.js";
+import { requireAuth, can, denyApiKeys } from "../middleware/auth.js";
 import { validateId, validateEmail, validatePassword, validateString, sanitizeBody } from "../middleware/validation.js";
-import { userExists, getUserById } from "../utils/dbHelpers.js";
+import { sendMail } from "../utils/mailer.js";
+import { passwordResetEmail, emailVerificationEmail, accountLockedEmail, magicLinkEmail } from "../utils/emails.js";
+import { getLoginRetryAfter, recordLoginFailure, clearLoginFailures, unlockAccount } from "../utils/loginThrottle.js";
+import { consumeMagicLinkQuota, createMagicLink, redeemMagicLink, MAGIC_LINK_TTL_MINUTES } from "../utils/magicLinks.js";
+import { generateTotpSecret, buildOtpauthUri, verifyTotpCode, encryptSecret, decryptSecret, generateRecoveryCodes, normalizeRecoveryCode } from "../utils/totp.js";
+import { listOidcProviders, getOidcProvider, createAuthorizationRequest, completeAuthorization, resolveOidcUser } from "../utils/oidc.js";
+import { buildUserDataExport, createUserDataArchive } from "../utils/dataExport.js";
+import { getErasureBlockers, eraseUser } from "../utils/accountErasure.js";
+import { validateApplicationFields, submitApplication } from "../utils/organizerApplications.js";
+import { assignTicketToWaitlist } from "./waitlist.js";
+import { userExists, getUserById, getUserRelationCounts } from "../utils/dbHelpers.js";
+import { getUserRoles, grantRole, ROLES_SQL } from "../utils/roles.js";
+import { getPermissions, userFromParam } from "../utils/policy.js";
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+// Platform-wide switch: organizers must enroll in 2FA before they can log in
+const ORGANIZER_2FA_REQUIRED = process.env.ORGANIZER_2FA_REQUIRED === 'true';
+const TWO_FACTOR_ROLES = ["organizer", "admin"];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/* --------------------------------------
+  Helper: Access token, refresh token and public user fields
+  returned by every successful login
+-------------------------------------- */
+async function buildLoginPayload(user, req) {
+  const { sessionId, refreshToken } = await startSession(user, req);
+  const roles = await getUserRoles(user.id);
+
+  return {
+    token: generateToken(user, sessionId),
+    refreshToken,
+    user: {
+      id: user.id,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      email: user.email,
+      role: user.role,
+      roles,
+      permissions: getPermissions(roles),
+      email_verified_at: user.email_verified_at
+    }
+  };
+}
+
+/* --------------------------------------
+  Helper: Answer 429 with Retry-After while the account or IP is throttled
+  Returns true when the response has been sent
+-------------------------------------- */
+async function rejectIfLoginThrottled(email, req, res) {
+  const retryAfter = await getLoginRetryAfter(email, req.ip);
+
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      message: `Too many failed login attempts. Please try again in ${retryAfter} seconds.`,
+      retry_after: retryAfter
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/* --------------------------------------
+  Helper: Count a failed login, email an unlock link on lockout
+-------------------------------------- */
+async function handleFailedLogin(email, req) {
+  const outcome = await recordLoginFailure(email, req.ip);
+
+  if (!outcome.accountLocked) {
+    return;
+  }
+
+  const result = await pool.query(
+    "SELECT id, first_name, email FROM users WHERE LOWER(email) = LOWER($1)",
+    [email]
+  );
+
+  if (result.rows.length > 0) {
+    try {
+      await sendMail(accountLockedEmail(result.rows[0], outcome.unlockToken, outcome.lockoutMinutes));
+    } catch (err) {
+      console.error(`Error sending account locked email to user ${result.rows[0].id}:`, err);
+    }
+  }
+}
+
+/* --------------------------------------
+  Helper: Second login step, if the user needs one
+  Returns null when the password alone is enough
+-------------------------------------- */
+async function getTwoFactorChallenge(user) {
+  if (user.totp_enabled_at) {
+    return {
+      message: "Enter the code from your authenticator app.",
+      two_factor_required: true,
+      challengeToken: generateTwoFactorChallengeToken(user, 'login')
+    };
+  }
+
+  if (ORGANIZER_2FA_REQUIRED && (await getUserRoles(user.id)).includes('organizer')) {
+    return {
+      message: "Two-factor authentication is required for organizers. Please set it up to continue.",
+      two_factor_setup_required: true,
+      challengeToken: generateTwoFactorChallengeToken(user, 'enroll')
+    };
+  }
+
+  return null;
+}
+
+/* --------------------------------------
+  Helper: Decode a 2FA challenge token for the given purpose
+  Returns null when missing, expired or for another purpose
+-------------------------------------- */
+function decodeChallengeToken(challengeToken, purpose) {
+  if (!challengeToken || typeof challengeToken !== 'string') {
+    return null;
+  }
+
+  try {
+    const decoded = verifyToken(challengeToken);
+    return decoded.type === '2fa_challenge' && decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/* --------------------------------------
+  Helper middleware: normal session, or an enrollment challenge
+  from a login where 2FA setup is mandatory
+-------------------------------------- */
+function requireAuthOrEnrollment(req, res, next) {
+  if (req.body?.challengeToken) {
+    const decoded = decodeChallengeToken(req.body.challengeToken, 'enroll');
+    if (!decoded) {
+      return res.status(401).json({ message: "Your setup session has expired. Please log in again." });
+    }
+    req.user = { id: decoded.id };
+    req.twoFactorEnrollment = true;
+    return next();
+  }
+
+  return requireAuth(req, res, next);
+}
+
+/* --------------------------------------
+  Helper: Replace a user's recovery codes, returns the plain codes
+-------------------------------------- */
+async function replaceRecoveryCodes(db, userId) {
+  const codes = generateRecoveryCodes();
+
+  await db.query(`DELETE FROM user_recovery_codes WHERE user_id = $1;`, [userId]);
+  for (const code of codes) {
+    await db.query(
+      `INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2);`,
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
+
+/* --------------------------------------
+  Helper: Email a signed verification link
+  Failures are logged, not thrown - the user can always request a resend
+-------------------------------------- */
+async function sendVerificationEmail(user) {
+  try {
+    const token = generateEmailVerificationToken(user);
+    await pool.query(
+      `UPDATE users SET email_verification_sent_at = NOW() WHERE id = $1;`,
+      [user.id]
+    );
+    await sendMail(emailVerificationEmail(user, token));
+  } catch (err) {
+    console.error(`Error sending verification email to user ${user.id}:`, err);
+  }
+}
+
+/* --------------------------------------
+  Helper: Password login for /login and the deprecated /organizer-login
+  requiredRole keeps the old endpoint's contract - it only let organizers in
+-------------------------------------- */
+async function passwordLogin(req, res, next, requiredRole = null) {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({
+      message: "Email and password are required!"
+    });
+  }
+
+  try {
+    if (await rejectIfLoginThrottled(email, req, res)) {
+      return;
+    }
+
+    const result = await pool.query(
+      "SELECT * FROM users WHERE email = $1",
+      [email]
+    );
+
+    if (result.rows.length === 0) {
+      await handleFailedLogin(email, req);
+      return res.status(401).json({
+        message: "Incorrect email or password!"
+      });
+    }
+
+    const user = result.rows[0];
+    const isValidPassword = await comparePassword(password, user.password);
+
+    if (!isValidPassword) {
+      await handleFailedLogin(email, req);
+      return res.status(401).json({
+        message: "Incorrect email or password!"
+      });
+    }
+
+    if (user.suspended_at) {
+      return res.status(403).json({
+        message: "Your account has been suspended."
+      });
+    }
+
+    if (requiredRole && !(await getUserRoles(user.id)).includes(requiredRole)) {
+      return res.status(401).json({
+        message: `Incorrect email or password, or you are not an ${requiredRole}!`
+      });
+    }
+
+    // Password is correct - accounts with 2FA get a challenge instead of tokens
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      return res.status(200).json(challenge);
+    }
+
+    await clearLoginFailures(email);
+
+    res.status(200).json({
+      message: "Login successful!",
+      ...(await buildLoginPayload(user, req))
+    });
+  } catch (err) {
+    console.error("Error in login:", err);
+    next(err);
+  }
+}
+
 // Apply sanitization middleware to all POST/PUT routes
 router.use(sanitizeBody);
 
@@ -53,8 +305,9 @@ router.use(sanitizeBody);
  *                 example: SecurePass123!
  *               role:
  *                 type: string
- *                 enum: [user, organizer, admin]
+ *                 enum: [user]
  *                 default: user
+ *                 description: Organizers apply through /users/organizer-register or /organizer-applications; admin accounts can only be created with the create-admin script
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -114,8 +367,14 @@ router.post("/register", async (req, res, next) => {
       });
     }
 
-    // Allowed roles from frontend for registration
-    const allowedRoles = ["user", "organizer", "admin"];
+    // Organizers go through an application, admins are bootstrapped via CLI
+    if (role === "organizer") {
+      return res.status(400).json({
+        message: "Organizer accounts require an approved application. Register with POST /users/organizer-register or apply with POST /organizer-applications."
+      });
+    }
+
+    const allowedRoles = ["user"];
     if (role && !allowedRoles.includes(role)) {
       return res.status(400).json({
         message: `Invalid role '${role}'. Allowed roles are: ${allowedRoles.join(", ")}.`
@@ -129,7 +388,7 @@ router.post("/register", async (req, res, next) => {
       `
       INSERT INTO users (first_name, last_name, email, password, role)
       VALUES ($1, $2, $3, $4, COALESCE($5, 'user')::user_role)
-      RETURNING id, first_name, last_name, email, role;
+      RETURNING id, first_name, last_name, email, role, email_verified_at;
       `,
       [
         firstNameValidation.value,
@@ -140,11 +399,13 @@ router.post("/register", async (req, res, next) => {
       ]
     );
 
-    const token = generateToken(result.rows[0]);
-    const refreshToken = generateRefreshToken(result.rows[0]);
+    await sendVerificationEmail(result.rows[0]);
+
+    const { sessionId, refreshToken } = await startSession(result.rows[0], req);
+    const token = generateToken(result.rows[0], sessionId);
 
     res.status(201).json({
-      message: "Registration successful!",
+      message: "Registration successful! Please check your email to verify your address.",
       token,
       refreshToken,
       user: result.rows[0]
@@ -180,9 +441,13 @@ router.post("/register", async (req, res, next) => {
  *                 type: string
  *                 format: password
  *                 example: SecurePass123!
+ *               device_name:
+ *                 type: string
+ *                 example: Pixel 8
+ *                 description: Optional label for this device's session
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor challenge (two_factor_required / two_factor_setup_required with challengeToken)
  *         content:
  *           application/json:
  *             schema:
@@ -198,54 +463,174 @@ router.post("/register", async (req, res, next) => {
  *                   $ref: '#/components/schemas/User'
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account suspended
+ *       429:
+ *         description: Too many failed attempts - see Retry-After header
  */
-router.post("/login", async (req, res, next) => {
-  const { email, password } = req.body;
+router.post("/login", (req, res, next) => passwordLogin(req, res, next));
 
-  if (!email || !password) {
-    return res.status(400).json({
-      message: "Email and password are required!"
-    });
+/**
+ * @swagger
+ * /users/magic-link:
+ *   post:
+ *     summary: Email a one-time sign-in link
+ *     description: |
+ *       Always responds with the same message so it cannot be used to find out which emails are registered.
+ *       Limited to a few requests per email address every 15 minutes.
+ *     tags: [Users]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Link sent if the account exists
+ *       400:
+ *         description: Invalid email
+ *       429:
+ *         description: Too many link requests for this email (see Retry-After)
+ */
+router.post("/magic-link", async (req, res, next) => {
+  const { email } = req.body;
+
+  const emailValidation = validateEmail(email);
+  if (!emailValidation.valid) {
+    return res.status(400).json({ message: emailValidation.message });
   }
 
+  const genericResponse = {
+    message: "If an account with that email exists, a sign-in link has been sent."
+  };
+
   try {
+    const quota = await consumeMagicLinkQuota(email);
+    if (!quota.allowed) {
+      res.set('Retry-After', String(quota.retryAfter));
+      return res.status(429).json({
+        message: `Too many sign-in links requested. Please try again in ${quota.retryAfter} seconds.`,
+        retry_after: quota.retryAfter
+      });
+    }
+
     const result = await pool.query(
-      "SELECT * FROM users WHERE email = $1",
-      [email]
+      "SELECT id, first_name, email, suspended_at FROM users WHERE LOWER(email) = LOWER($1)",
+      [email.trim()]
     );
 
+    const user = result.rows[0];
+    if (!user || user.suspended_at) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const token = await createMagicLink(user.id, req.ip);
+
+    // A mail failure must not answer differently from an unknown address
+    try {
+      await sendMail(magicLinkEmail(user, token, MAGIC_LINK_TTL_MINUTES));
+    } catch (err) {
+      console.error(`Error sending magic link email to user ${user.id}:`, err);
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (err) {
+    console.error("Error in magic-link:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/magic-link/verify:
+ *   post:
+ *     summary: Sign in with a magic link token
+ *     description: |
+ *       Exchanges the token from the email for the same payload as POST /users/login.
+ *       The token works once. Accounts with two-factor authentication get a challenge instead.
+ *       Using the link also confirms the email address.
+ *     tags: [Users]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               device_name:
+ *                 type: string
+ *                 description: Optional label for this device's session
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge (two_factor_required / two_factor_setup_required with challengeToken)
+ *       400:
+ *         description: Invalid, expired or already used link
+ *       403:
+ *         description: Account suspended
+ */
+router.post("/magic-link/verify", async (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ message: "Sign-in token is required" });
+  }
+
+  try {
+    const userId = await redeemMagicLink(token);
+
+    const result = userId
+      ? await pool.query("SELECT * FROM users WHERE id = $1 AND deleted_at IS NULL", [userId])
+      : { rows: [] };
+
     if (result.rows.length === 0) {
-      return res.status(401).json({
-        message: "Incorrect email or password!"
+      return res.status(400).json({
+        message: "This sign-in link is invalid, expired or has already been used."
       });
     }
 
-    const user = result.rows[0];
-    const isValidPassword = await comparePassword(password, user.password);
+    let user = result.rows[0];
 
-    if (!isValidPassword) {
-      return res.status(401).json({
-        message: "Incorrect email or password!"
+    if (user.suspended_at) {
+      return res.status(403).json({
+        message: "Your account has been suspended."
       });
     }
 
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // The link was delivered to this address, so it is confirmed
+    if (!user.email_verified_at) {
+      const verified = await pool.query(
+        "UPDATE users SET email_verified_at = NOW() WHERE id = $1 RETURNING *",
+        [user.id]
+      );
+      user = verified.rows[0];
+    }
+
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      return res.status(200).json(challenge);
+    }
+
+    await clearLoginFailures(user.email);
 
     res.status(200).json({
       message: "Login successful!",
-      token,
-      refreshToken,
-      user: {
-        id: user.id,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        email: user.email,
-        role: user.role
-      }
+      ...(await buildLoginPayload(user, req))
     });
   } catch (err) {
-    console.error("Error in login:", err);
+    console.error("Error in magic-link verify:", err);
     next(err);
   }
 });
@@ -254,7 +639,11 @@ router.post("/login", async (req, res, next) => {
  * @swagger
  * /users/organizer-register:
  *   post:
- *     summary: Register as an organizer
+ *     summary: Register and apply to become an organizer
+ *     description: |
+ *       Creates a regular account together with a pending organizer application
+ *       (same fields as POST /organizer-applications). The account becomes an
+ *       organizer once an admin approves the application.
  *     tags: [Users]
  *     security: []
  *     requestBody:
@@ -268,6 +657,10 @@ router.post("/login", async (req, res, next) => {
  *               - last_name
  *               - email
  *               - password
+ *               - company_name
+ *               - company_address
+ *               - payout_account_holder
+ *               - payout_iban
  *             properties:
  *               first_name:
  *                 type: string
@@ -279,9 +672,28 @@ router.post("/login", async (req, res, next) => {
  *               password:
  *                 type: string
  *                 format: password
+ *               company_name:
+ *                 type: string
+ *               registration_number:
+ *                 type: string
+ *               vat_number:
+ *                 type: string
+ *               company_address:
+ *                 type: string
+ *               website_url:
+ *                 type: string
+ *                 format: uri
+ *               event_description:
+ *                 type: string
+ *               payout_account_holder:
+ *                 type: string
+ *               payout_iban:
+ *                 type: string
+ *               payout_bic:
+ *                 type: string
  *     responses:
  *       201:
- *         description: Organizer registered successfully
+ *         description: Account created and organizer application submitted
  *       400:
  *         description: Validation error or email already exists
  */
@@ -309,8 +721,15 @@ router.post("/organizer-register", async (req, res, next) => {
     return res.status(400).json({ message: passwordValidation.message });
   }
 
+  const applicationValidation = validateApplicationFields(req.body);
+  if (!applicationValidation.valid) {
+    return res.status(400).json({ message: applicationValidation.message });
+  }
+
+  const client = await pool.connect();
+
   try {
-    const existing = await pool.query(
+    const existing = await client.query(
       "SELECT id FROM users WHERE email = $1",
       [emailValidation.value || email]
     );
@@ -323,11 +742,14 @@ router.post("/organizer-register", async (req, res, next) => {
 
     const hashedPassword = await hashPassword(password);
 
-    const result = await pool.query(
+    await client.query('BEGIN');
+
+    // The account starts as a regular user until an admin approves the application
+    const result = await client.query(
       `
       INSERT INTO users (first_name, last_name, email, password, role)
-      VALUES ($1, $2, $3, $4, 'organizer'::user_role)
-      RETURNING id, first_name, last_name, email, role;
+      VALUES ($1, $2, $3, $4, 'user'::user_role)
+      RETURNING id, first_name, last_name, email, role, email_verified_at;
       `,
       [
         firstNameValidation.value,
@@ -337,18 +759,28 @@ router.post("/organizer-register", async (req, res, next) => {
       ]
     );
 
-    const token = generateToken(result.rows[0]);
-    const refreshToken = generateRefreshToken(result.rows[0]);
+    const application = await submitApplication(client, result.rows[0].id, applicationValidation.value, req.ip);
+
+    await client.query('COMMIT');
+
+    await sendVerificationEmail(result.rows[0]);
+
+    const { sessionId, refreshToken } = await startSession(result.rows[0], req);
+    const token = generateToken(result.rows[0], sessionId);
 
     res.status(201).json({
-      message: "Organizer registration successful!",
+      message: "Registration successful! Your organizer application is pending review. Please check your email to verify your address.",
       token,
       refreshToken,
-      user: result.rows[0]
+      user: result.rows[0],
+      application
     });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Error in organizer registration:", err);
     next(err);
+  } finally {
+    client.release();
   }
 });
 
@@ -356,7 +788,11 @@ router.post("/organizer-register", async (req, res, next) => {
  * @swagger
  * /users/organizer-login:
  *   post:
- *     summary: Organizer login
+ *     summary: Organizer login (deprecated)
+ *     description: |
+ *       Deprecated - use /users/login, which works for every account and returns its roles and
+ *       permissions. This alias behaves the same but still refuses accounts without the organizer role.
+ *     deprecated: true
  *     tags: [Users]
  *     security: []
  *     requestBody:
@@ -375,9 +811,12 @@ router.post("/organizer-register", async (req, res, next) => {
  *               password:
  *                 type: string
  *                 format: password
+ *               device_name:
+ *                 type: string
+ *                 description: Optional label for this device's session
  *     responses:
  *       200:
- *         description: Organizer login successful
+ *         description: Login successful, or a two-factor challenge (two_factor_required / two_factor_setup_required with challengeToken)
  *         content:
  *           application/json:
  *             schema:
@@ -393,64 +832,710 @@ router.post("/organizer-register", async (req, res, next) => {
  *                   $ref: '#/components/schemas/User'
  *       401:
  *         description: Invalid credentials or not an organizer
+ *       403:
+ *         description: Account suspended
+ *       429:
+ *         description: Too many failed attempts - see Retry-After header
  */
-router.post("/organizer-login", async (req, res, next) => {
-  const { email, password } = req.body;
+router.post("/organizer-login", (req, res, next) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', '</users/login>; rel="successor-version"');
+  passwordLogin(req, res, next, 'organizer');
+});
 
-  if (!email || !password) {
-    return res.status(400).json({
-      message: "Email and password are required!"
-    });
+/**
+ * @swagger
+ * /users/login/2fa:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     description: Second step after /users/login returned two_factor_required. Provide either a TOTP code or an unused recovery code.
+ *     tags: [Users]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recovery_code:
+ *                 type: string
+ *                 example: 3ddc4-a4a68
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Code missing
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       429:
+ *         description: Too many failed attempts - see Retry-After header
+ */
+router.post("/login/2fa", async (req, res, next) => {
+  const { challengeToken, code, recovery_code } = req.body;
+
+  const decoded = decodeChallengeToken(challengeToken, 'login');
+  if (!decoded) {
+    return res.status(401).json({ message: "Your login session has expired. Please log in again." });
+  }
+
+  if (!code && !recovery_code) {
+    return res.status(400).json({ message: "Authentication code or recovery code is required!" });
   }
 
   try {
-    const result = await pool.query(
-      "SELECT * FROM users WHERE email = $1 AND role = 'organizer'",
-      [email]
-    );
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [decoded.id]);
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({
-        message: "Incorrect email or password, or you are not an organizer!"
-      });
+    if (result.rows.length === 0 || !result.rows[0].totp_enabled_at) {
+      return res.status(401).json({ message: "Your login session has expired. Please log in again." });
     }
 
     const user = result.rows[0];
-    const isValidPassword = await comparePassword(password, user.password);
 
-    if (!isValidPassword) {
-      return res.status(401).json({
-        message: "Incorrect email or password!"
-      });
+    if (user.suspended_at) {
+      return res.status(403).json({ message: "Your account has been suspended." });
     }
 
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    if (await rejectIfLoginThrottled(user.email, req, res)) {
+      return;
+    }
 
-    res.status(200).json({
-      message: "Organizer login successful!",
-      token,
-      refreshToken,
-      user: {
-        id: user.id,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        email: user.email,
-        role: user.role
-      }
-    });
-  } catch (err) {
-    console.error("Error in organizer login:", err);
-    next(err);
-  }
-});
+    let usedRecoveryCode = false;
+
+    if (code) {
+      const step = verifyTotpCode(decryptSecret(user.totp_secret), String(code), user.totp_last_used_step);
+
+      // Conditional update so the same code cannot be redeemed twice in parallel
+      const stepUpdate = step === null ? { rowCount: 0 } : await pool.query(
+        `UPDATE users SET totp_last_used_step = $1
+         WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1);`,
+        [step, user.id]
+      );
+
+      if (stepUpdate.rowCount === 0) {
+        await handleFailedLogin(user.email, req);
+        return res.status(401).json({ message: "Invalid authentication code!" });
+      }
+    } else {
+      const recoveryResult = await pool.query(
+        `UPDATE user_recovery_codes SET used_at = NOW()
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         RETURNING id;`,
+        [user.id, hashToken(normalizeRecoveryCode(recovery_code))]
+      );
+
+      if (recoveryResult.rows.length === 0) {
+        await handleFailedLogin(user.email, req);
+        return res.status(401).json({ message: "Invalid recovery code!" });
+      }
+      usedRecoveryCode = true;
+    }
+
+    await clearLoginFailures(user.email);
+
+    const payload = await buildLoginPayload(user, req);
+
+    if (usedRecoveryCode) {
+      const remaining = await pool.query(
+        `SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL;`,
+        [user.id]
+      );
+      payload.recovery_codes_remaining = parseInt(remaining.rows[0].count);
+    }
+
+    res.status(200).json({
+      message: "Login successful!",
+      ...payload
+    });
+  } catch (err) {
+    console.error("Error in POST /users/login/2fa:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret and otpauth URI (for a QR code). 2FA is not active until confirmed. Authenticate with a Bearer token, or with the challengeToken from a login that returned two_factor_setup_required.
+ *     tags: [Users]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *       400:
+ *         description: 2FA already enabled
+ *       403:
+ *         description: Only organizer and admin accounts can use 2FA
+ */
+router.post("/2fa/setup", requireAuthOrEnrollment, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      "SELECT id, email, role, totp_enabled_at FROM users WHERE id = $1",
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "User not found!" });
+    }
+
+    const user = result.rows[0];
+
+    const roles = await getUserRoles(user.id);
+    if (!roles.some(role => TWO_FACTOR_ROLES.includes(role))) {
+      return res.status(403).json({ message: "Two-factor authentication is available for organizer accounts only." });
+    }
+
+    if (user.totp_enabled_at) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled." });
+    }
+
+    const secret = generateTotpSecret();
+
+    // Stored as pending until /2fa/confirm proves the app is set up
+    await pool.query(
+      "UPDATE users SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2",
+      [encryptSecret(secret), user.id]
+    );
+
+    res.status(200).json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code.",
+      secret,
+      otpauth_uri: buildOtpauthUri(secret, user.email)
+    });
+  } catch (err) {
+    console.error("Error in POST /users/2fa/setup:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Activates 2FA and returns recovery codes (shown only once). When authenticated with an enrollment challengeToken, also returns the login tokens.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *       400:
+ *         description: No pending setup or invalid code
+ */
+router.post("/2fa/confirm", requireAuthOrEnrollment, async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: "Authentication code is required!" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      "SELECT * FROM users WHERE id = $1 FOR UPDATE",
+      [req.user.id]
+    );
+
+    const user = result.rows[0];
+
+    if (!user || !user.totp_secret || user.totp_enabled_at) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: "There is no pending two-factor setup. Start with /users/2fa/setup." });
+    }
+
+    const step = verifyTotpCode(decryptSecret(user.totp_secret), String(code));
+    if (step === null) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: "Invalid authentication code!" });
+    }
+
+    await client.query(
+      "UPDATE users SET totp_enabled_at = NOW(), totp_last_used_step = $1 WHERE id = $2",
+      [step, user.id]
+    );
+    const recoveryCodes = await replaceRecoveryCodes(client, user.id);
+
+    await client.query('COMMIT');
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      recovery_codes: recoveryCodes,
+      ...(req.twoFactorEnrollment ? await buildLoginPayload(user, req) : {})
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error in POST /users/2fa/confirm:", err);
+    next(err);
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @swagger
+ * /users/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Invalidates all previous recovery codes.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: 2FA not enabled or invalid code
+ */
+router.post("/2fa/recovery-codes", requireAuth, async (req, res, next) => {
+  const { code } = req.body;
+
+  try {
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [req.user.id]);
+    const user = result.rows[0];
+
+    if (!user?.totp_enabled_at) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+    }
+
+    if (verifyTotpCode(decryptSecret(user.totp_secret), String(code ?? '')) === null) {
+      return res.status(400).json({ message: "Invalid authentication code!" });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(pool, user.id);
+
+    res.status(200).json({
+      message: "New recovery codes generated. Previous codes no longer work.",
+      recovery_codes: recoveryCodes
+    });
+  } catch (err) {
+    console.error("Error in POST /users/2fa/recovery-codes:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: 2FA not enabled, mandatory for organizers, or invalid code
+ *       401:
+ *         description: Wrong password
+ */
+router.post("/2fa/disable", requireAuth, async (req, res, next) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return res.status(400).json({ message: "Password and authentication code are required!" });
+  }
+
+  try {
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [req.user.id]);
+    const user = result.rows[0];
+
+    if (!user?.totp_enabled_at) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled." });
+    }
+
+    if (ORGANIZER_2FA_REQUIRED && (await getUserRoles(user.id)).includes('organizer')) {
+      return res.status(400).json({ message: "Two-factor authentication is mandatory for organizer accounts." });
+    }
+
+    const isValidPassword = await comparePassword(password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ message: "Incorrect password!" });
+    }
+
+    if (verifyTotpCode(decryptSecret(user.totp_secret), String(code)) === null) {
+      return res.status(400).json({ message: "Invalid authentication code!" });
+    }
+
+    await pool.query(
+      "UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL WHERE id = $1",
+      [user.id]
+    );
+    await pool.query("DELETE FROM user_recovery_codes WHERE user_id = $1", [user.id]);
+
+    res.status(200).json({ message: "Two-factor authentication disabled." });
+  } catch (err) {
+    console.error("Error in POST /users/2fa/disable:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/oidc/providers:
+ *   get:
+ *     summary: List the configured social login providers
+ *     tags: [Users]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Provider names for the authorize and callback endpoints
+ */
+router.get("/oidc/providers", (req, res) => {
+  res.status(200).json({ providers: listOidcProviders() });
+});
+
+/**
+ * @swagger
+ * /users/oidc/{provider}/authorize:
+ *   get:
+ *     summary: Start a social login
+ *     description: Returns the provider's authorization URL (authorization code flow with PKCE). Redirect the browser there; the provider sends it back to the configured redirect URI with `code` and `state`.
+ *     tags: [Users]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL and state
+ *       404:
+ *         description: Unknown provider
+ */
+router.get("/oidc/:provider/authorize", async (req, res, next) => {
+  const provider = getOidcProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({ message: `Login provider '${req.params.provider}' is not configured` });
+  }
+
+  try {
+    const request = await createAuthorizationRequest(provider);
+    res.status(200).json(request);
+  } catch (err) {
+    console.error(`Error in GET /users/oidc/${provider.name}/authorize:`, err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/oidc/{provider}/callback:
+ *   post:
+ *     summary: Finish a social login
+ *     description: |
+ *       Exchanges the authorization code and verifies the ID token. Known identities log in
+ *       to their user; otherwise a user with the same verified email is linked, or a new
+ *       user is created. Responds like `/users/login`, including the 2FA challenge.
+ *     tags: [Users]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or a 2FA challenge
+ *       201:
+ *         description: New user created and logged in
+ *       400:
+ *         description: Invalid state, code or ID token
+ *       403:
+ *         description: Account suspended
+ *       404:
+ *         description: Unknown provider
+ *       409:
+ *         description: Email belongs to an account that cannot be linked automatically
+ */
+router.post("/oidc/:provider/callback", async (req, res, next) => {
+  const provider = getOidcProvider(req.params.provider);
+  const { code, state } = req.body;
+
+  if (!provider) {
+    return res.status(404).json({ message: `Login provider '${req.params.provider}' is not configured` });
+  }
+
+  if (!code || !state || typeof code !== 'string' || typeof state !== 'string') {
+    return res.status(400).json({ message: "Code and state are required!" });
+  }
+
+  try {
+    const authorization = await completeAuthorization(provider, code, state);
+
+    if (!authorization.valid) {
+      return res.status(400).json({ message: authorization.message });
+    }
+
+    const resolved = await resolveOidcUser(provider, authorization.claims);
+
+    if (!resolved.valid) {
+      return res.status(resolved.status).json({ message: resolved.message });
+    }
+
+    const { user, created } = resolved;
+
+    if (user.suspended_at) {
+      return res.status(403).json({ message: "Your account has been suspended." });
+    }
+
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      return res.status(200).json(challenge);
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: created ? "Account created and logged in!" : "Login successful!",
+      provider: provider.name,
+      ...(await buildLoginPayload(user, req))
+    });
+  } catch (err) {
+    console.error(`Error in POST /users/oidc/${provider.name}/callback:`, err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/unlock-account:
+ *   post:
+ *     summary: Unlock an account locked after failed logins
+ *     description: Uses the token from the lockout email. Only lifts the account lock, not limits on the caller's IP address.
+ *     tags: [Users]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post("/unlock-account", async (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ message: "Unlock token is required" });
+  }
+
+  try {
+    const unlocked = await unlockAccount(token);
+
+    if (!unlocked) {
+      return res.status(400).json({ message: "This unlock link is invalid or the lock has already expired." });
+    }
+
+    res.status(200).json({ message: "Your account has been unlocked. You can log in again." });
+  } catch (err) {
+    console.error("Error in POST /users/unlock-account:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/verify-email:
+ *   get:
+ *     summary: Verify an email address
+ *     description: Target of the signed link sent by email. Links expire after 24 hours and stop working if the email is changed.
+ *     tags: [Users]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified (or already verified)
+ *       400:
+ *         description: Invalid or expired link
+ */
+router.get("/verify-email", async (req, res, next) => {
+  const { token } = req.query;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ message: "Verification token is required" });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (err) {
+    return res.status(400).json({ message: "This verification link is invalid or has expired." });
+  }
+
+  if (decoded.type !== 'email_verification') {
+    return res.status(400).json({ message: "This verification link is invalid or has expired." });
+  }
+
+  try {
+    // The email must still match - links for a previous address are void
+    const result = await pool.query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = $1 AND email = $2
+       RETURNING id, email, email_verified_at;`,
+      [decoded.id, decoded.email]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: "This verification link is invalid or has expired." });
+    }
+
+    res.status(200).json({
+      message: "Email address verified!",
+      user: result.rows[0]
+    });
+  } catch (err) {
+    console.error("Error in GET /users/verify-email:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       429:
+ *         description: A link was sent too recently - see Retry-After header
+ */
+router.post("/resend-verification", requireAuth, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, first_name, email, email_verified_at,
+              EXTRACT(EPOCH FROM (NOW() - email_verification_sent_at)) AS seconds_since_sent
+       FROM users WHERE id = $1;`,
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "User not found!" });
+    }
+
+    const user = result.rows[0];
+
+    if (user.email_verified_at) {
+      return res.status(400).json({ message: "Your email address is already verified." });
+    }
+
+    const secondsSinceSent = user.seconds_since_sent === null ? null : parseFloat(user.seconds_since_sent);
+    if (secondsSinceSent !== null && secondsSinceSent < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - secondsSinceSent);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: `Please wait ${retryAfter} seconds before requesting another email.`
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({ message: "Verification email sent." });
+  } catch (err) {
+    console.error("Error in POST /users/resend-verification:", err);
+    next(err);
+  }
+});
 
 /**
  * @swagger
  * /users:
  *   get:
- *     summary: Get all users
+ *     summary: Get all users (admin)
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: role
@@ -472,36 +1557,200 @@ router.post("/organizer-login", async (req, res, next) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Missing the user:list permission (admins)
+ */
+router.get("/", requireAuth, denyApiKeys, can('user:list'), async (req, res, next) => {
+  const { role } = req.query;
+
+  // Everyone is a user - role=user means accounts without any granted role
+  let roleFilter = "";
+  if (role === "user") {
+    roleFilter = "WHERE NOT EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = u.id)";
+  } else if (role) {
+    roleFilter = "WHERE EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = u.id AND r.role::text = $1)";
+  }
+
+  try {
+    const result = await pool.query(
+      `
+      SELECT id, first_name, last_name, email, role, ${ROLES_SQL}, created_at
+      FROM users u
+      ${roleFilter}
+      ORDER BY created_at DESC;
+      `,
+      role && role !== "user" ? [role] : []
+    );
+
+    res.status(200).json({
+      message: role ? `Users with role '${role}' found.` : "All users found.",
+      users: result.rows
+    });
+  } catch (err) {
+    console.error("Error in GET /users:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   get:
+ *     summary: Get user by ID
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Can only access own profile (admins have user:view)
+ *       404:
+ *         description: User not found
+ */
+router.get("/:id", requireAuth, validateId('id'), can('user:view', userFromParam('id')), async (req, res, next) => {
+  const id = req.params.id; // Already validated and converted to number
+
+  try {
+    const result = await pool.query(
+      `
+      SELECT id, first_name, last_name, email, role, ${ROLES_SQL}, created_at, email_verified_at
+      FROM users u
+      WHERE id = $1;
+      `,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: "User not found!" });
+    }
+
+    res.status(200).json({
+      user: { ...result.rows[0], permissions: getPermissions(result.rows[0].roles) },
+      related_counts: await getUserRelationCounts(id)
+    });
+  } catch (err) {
+    console.error("Error in GET /users/:id:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/export:
+ *   get:
+ *     summary: Download all personal data for a user (GDPR)
+ *     description: |
+ *       Profile, tickets, transactions, waitlist entries, organized events, sessions,
+ *       linked logins and API key metadata as a JSON download, or as a ZIP with one file
+ *       per section. Available to the user themselves and to admins. Not available with API keys.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Export file (attachment)
+ *       400:
+ *         description: Unknown format
+ *       403:
+ *         description: Can only export own data
+ *       404:
+ *         description: User not found
+ */
+router.get("/:id/export", requireAuth, denyApiKeys, validateId('id'), can('user:export', userFromParam('id')), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const format = req.query.format || 'json';
+
+  if (!['json', 'zip'].includes(format)) {
+    return res.status(400).json({ message: "Format must be 'json' or 'zip'" });
+  }
+
+  try {
+    const data = await buildUserDataExport(id);
+
+    if (!data) {
+      return res.status(404).json({ message: "User not found!" });
+    }
+
+    const fileName = `eventgo-data-export-user-${id}-${data.generated_at.slice(0, 10)}`;
+    res.set('Cache-Control', 'no-store');
+
+    if (format === 'zip') {
+      res.attachment(`${fileName}.zip`);
+      res.type('application/zip');
+      return res.status(200).send(createUserDataArchive(data));
+    }
+
+    res.attachment(`${fileName}.json`);
+    res.status(200).send(JSON.stringify(data, null, 2));
+  } catch (err) {
+    console.error("Error in GET /users/:id/export:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   get:
+ *     summary: List where you are logged in
+ *     description: Active login sessions (devices) with user agent, IP address, and created and last-seen times.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Active sessions, the one making the request marked as current
+ *       403:
+ *         description: Can only view own sessions
  */
-router.get("/", requireAuth, async (req, res, next) => {
-  const { role } = req.query;
+router.get("/:id/sessions", requireAuth, denyApiKeys, validateId('id'), can('user:sessions', userFromParam('id')), async (req, res, next) => {
+  const id = req.params.id; // Already validated
 
   try {
-    const result = await pool.query(
-      `
-      SELECT id, first_name, last_name, email, role, created_at
-      FROM users
-      ${role ? "WHERE role = $1" : ""}
-      ORDER BY created_at DESC;
-      `,
-      role ? [role] : []
-    );
+    const sessions = await listSessions(id);
 
     res.status(200).json({
-      message: role ? `Users with role '${role}' found.` : "All users found.",
-      users: result.rows
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sid
+      }))
     });
   } catch (err) {
-    console.error("Error in GET /users:", err);
+    console.error("Error in GET /users/:id/sessions:", err);
     next(err);
   }
 });
 
 /**
  * @swagger
- * /users/{id}:
- *   get:
- *     summary: Get user by ID
+ * /users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: End a session
+ *     description: Logs that device out - its refresh token stops working and its access tokens are rejected immediately.
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -509,58 +1758,43 @@ router.get("/", requireAuth, async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: integer
- *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     responses:
  *       200:
- *         description: User details
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/User'
+ *         description: Session ended
+ *       400:
+ *         description: Invalid session ID
  *       403:
- *         description: Can only access own profile
+ *         description: Can only end own sessions
  *       404:
- *         description: User not found
+ *         description: Session not found or already ended
  */
-router.get("/:id", requireAuth, validateId('id'), async (req, res, next) => {
-  const id = req.params.id; // Already validated and converted to number
+router.delete("/:id/sessions/:sessionId", requireAuth, denyApiKeys, validateId('id'), can('user:sessions', userFromParam('id')), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+  const { sessionId } = req.params;
 
-  // Verify user is accessing their own profile
-  if (req.user.id !== id) {
-    return res.status(403).json({ message: "You can only access your own profile!" });
+  if (!UUID_PATTERN.test(sessionId)) {
+    return res.status(400).json({ message: "Invalid session ID" });
   }
 
   try {
-    const result = await pool.query(
-      `
-      SELECT id, first_name, last_name, email, role, created_at
-      FROM users
-      WHERE id = $1;
-      `,
-      [id]
-    );
+    const revoked = await revokeSession(id, sessionId);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: "User not found!" });
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found or already ended." });
     }
 
-    const counts = await pool.query(
-      `
-      SELECT 
-        (SELECT COUNT(*) FROM events WHERE organizer_id = $1) AS event_count,
-        (SELECT COUNT(*) FROM transactions WHERE user_id = $1) AS transaction_count,
-        (SELECT COUNT(*) FROM tickets WHERE user_id = $1) AS ticket_count,
-        (SELECT COUNT(*) FROM waitlist WHERE user_id = $1) AS waitlist_count;
-      `,
-      [id]
-    );
-
     res.status(200).json({
-      user: result.rows[0],
-      related_counts: counts.rows[0]
+      message: sessionId === req.user.sid ? "You have been logged out." : "Session ended.",
+      session_id: sessionId
     });
   } catch (err) {
-    console.error("Error in GET /users/:id:", err);
+    console.error("Error in DELETE /users/:id/sessions/:sessionId:", err);
     next(err);
   }
 });
@@ -597,14 +1831,16 @@ router.get("/:id", requireAuth, validateId('id'), async (req, res, next) => {
  *                 format: password
  *               role:
  *                 type: string
- *                 enum: [user, organizer, admin]
+ *                 enum: [user, organizer]
  *     responses:
  *       201:
  *         description: User created successfully
  *       400:
  *         description: Validation error or email already exists
+ *       403:
+ *         description: Missing the user:create permission (admins)
  */
-router.post("/", requireAuth, async (req, res, next) => {
+router.post("/", requireAuth, denyApiKeys, can('user:create'), async (req, res, next) => {
   const { first_name, last_name, email, password, role } = req.body;
 
   // Validate all fields
@@ -628,15 +1864,18 @@ router.post("/", requireAuth, async (req, res, next) => {
     return res.status(400).json({ message: passwordValidation.message });
   }
 
-  const validRoles = ["user", "organizer", "admin"];
+  // Admin is granted to existing users through /admin/users/:id/roles instead
+  const validRoles = ["user", "organizer"];
   if (role && !validRoles.includes(role)) {
     return res.status(400).json({
       message: `Invalid role '${role}'.`
     });
   }
 
+  const client = await pool.connect();
+
   try {
-    const check = await pool.query(
+    const check = await client.query(
       "SELECT id FROM users WHERE email = $1",
       [emailValidation.value || email]
     );
@@ -649,28 +1888,43 @@ router.post("/", requireAuth, async (req, res, next) => {
 
     const hashedPassword = await hashPassword(password);
 
-    const result = await pool.query(
+    await client.query('BEGIN');
+
+    const result = await client.query(
       `
       INSERT INTO users (first_name, last_name, email, password, role)
-      VALUES ($1, $2, $3, $4, COALESCE($5,'user')::user_role)
-      RETURNING id, first_name, last_name, email, role, created_at;
+      VALUES ($1, $2, $3, $4, 'user'::user_role)
+      RETURNING id, first_name, last_name, email, role, created_at, email_verified_at;
       `,
       [
         firstNameValidation.value,
         lastNameValidation.value,
         emailValidation.value || email,
-        hashedPassword,
-        role
+        hashedPassword
       ]
     );
 
+    const user = result.rows[0];
+
+    if (role && role !== 'user') {
+      await grantRole(client, user.id, role, req.user.id);
+      user.role = role;
+    }
+
+    await client.query('COMMIT');
+
+    await sendVerificationEmail(user);
+
     res.status(201).json({
       message: "User successfully added!",
-      user: result.rows[0]
+      user: { ...user, roles: await getUserRoles(user.id) }
     });
   } catch (err) {
+    await client.query('ROLLBACK');
     console.error("Error in POST /users:", err);
     next(err);
+  } finally {
+    client.release();
   }
 });
 
@@ -679,6 +1933,7 @@ router.post("/", requireAuth, async (req, res, next) => {
  * /users/refresh-token:
  *   post:
  *     summary: Refresh access token
+ *     description: Rotates the refresh token. The presented token stops working; reusing it afterwards revokes the whole login session.
  *     tags: [Users]
  *     security: []
  *     requestBody:
@@ -692,7 +1947,7 @@ router.post("/", requireAuth, async (req, res, next) => {
  *             properties:
  *               refreshToken:
  *                 type: string
- *                 description: The refresh token received during login
+ *                 description: The most recent refresh token received from login or refresh
  *     responses:
  *       200:
  *         description: Token refreshed successfully
@@ -711,31 +1966,34 @@ router.post("/", requireAuth, async (req, res, next) => {
  *                   $ref: '#/components/schemas/User'
  *       401:
  *         description: Invalid or expired refresh token
+ *       403:
+ *         description: Account suspended
  *       404:
  *         description: User not found
  */
 router.post("/refresh-token", async (req, res, next) => {
   const { refreshToken } = req.body;
 
-  if (!refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
     return res.status(401).json({
       message: "Refresh token is required"
     });
   }
 
   try {
-    const decoded = verifyToken(refreshToken);
+    // Rotate: the presented token is revoked and a new one issued in the same family
+    const rotation = await rotateRefreshToken(refreshToken, req);
 
-    if (decoded.type !== 'refresh') {
+    if (!rotation.valid) {
       return res.status(401).json({
-        message: "Invalid refresh token"
+        message: rotation.message
       });
     }
 
     // Get fresh user data
     const result = await pool.query(
-      "SELECT id, first_name, last_name, email, role FROM users WHERE id = $1",
-      [decoded.id]
+      "SELECT id, first_name, last_name, email, role, suspended_at FROM users WHERE id = $1",
+      [rotation.userId]
     );
 
     if (result.rows.length === 0) {
@@ -744,21 +2002,281 @@ router.post("/refresh-token", async (req, res, next) => {
       });
     }
 
-    const user = result.rows[0];
-    const newToken = generateToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+    const { suspended_at, ...user } = result.rows[0];
+
+    if (suspended_at) {
+      await revokeAllSessions(user.id);
+      return res.status(403).json({
+        message: "Your account has been suspended."
+      });
+    }
+
+    const newToken = generateToken(user, rotation.sessionId);
 
     res.status(200).json({
       message: "Token refreshed successfully",
       token: newToken,
-      refreshToken: newRefreshToken,
+      refreshToken: rotation.token,
       user
     });
   } catch (err) {
     console.error("Error refreshing token:", err);
-    return res.status(401).json({
-      message: err.message || "Invalid or expired refresh token"
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/logout:
+ *   post:
+ *     summary: Log out the current device
+ *     description: Revokes the given refresh token and every token rotated from the same login.
+ *     tags: [Users]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       400:
+ *         description: Refresh token missing
+ */
+router.post("/logout", async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({
+      message: "Refresh token is required"
+    });
+  }
+
+  try {
+    // Respond the same whether or not the token was known, so logout is idempotent
+    await revokeRefreshTokenFamily(refreshToken);
+
+    res.status(200).json({
+      message: "Logged out successfully."
+    });
+  } catch (err) {
+    console.error("Error in logout:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     description: Ends every session of the authenticated user, including the current one.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revoked:
+ *                   type: integer
+ *                   description: Number of sessions ended
+ *       401:
+ *         description: Not logged in
+ */
+router.post("/logout-all", requireAuth, async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+
+    res.status(200).json({
+      message: "Logged out of all devices.",
+      revoked
+    });
+  } catch (err) {
+    console.error("Error in logout-all:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds with the same message so it cannot be used to find out which emails are registered.
+ *     tags: [Users]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Invalid email
+ */
+router.post("/forgot-password", async (req, res, next) => {
+  const { email } = req.body;
+
+  const emailValidation = validateEmail(email);
+  if (!emailValidation.valid) {
+    return res.status(400).json({ message: emailValidation.message });
+  }
+
+  const genericResponse = {
+    message: "If an account with that email exists, a password reset link has been sent."
+  };
+
+  try {
+    const result = await pool.query(
+      "SELECT id, first_name, email FROM users WHERE LOWER(email) = LOWER($1)",
+      [email.trim()]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const user = result.rows[0];
+    const token = generateOpaqueToken();
+
+    // Only the newest link should work
+    await pool.query(
+      `UPDATE password_reset_tokens SET used_at = NOW()
+       WHERE user_id = $1 AND used_at IS NULL;`,
+      [user.id]
+    );
+
+    await pool.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, NOW() + ($3 || ' minutes')::INTERVAL);`,
+      [user.id, hashToken(token), PASSWORD_RESET_TTL_MINUTES]
+    );
+
+    // A mail failure must not answer differently from an unknown address
+    try {
+      await sendMail(passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES));
+    } catch (err) {
+      console.error(`Error sending password reset email to user ${user.id}:`, err);
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (err) {
+    console.error("Error in forgot-password:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /users/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: The token is single-use. On success all existing sessions of the user are logged out.
+ *     tags: [Users]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the reset link
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 example: NewSecurePass123!
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid, expired or already used token, or weak password
+ */
+router.post("/reset-password", async (req, res, next) => {
+  const { token, password } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ message: "Reset token is required" });
+  }
+
+  const passwordValidation = validatePassword(password);
+  if (!passwordValidation.valid) {
+    return res.status(400).json({ message: passwordValidation.message });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the token row so it can only be redeemed once
+    const tokenResult = await client.query(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE;`,
+      [hashToken(token)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: "This reset link is invalid or has expired." });
+    }
+
+    const { id: tokenId, user_id } = tokenResult.rows[0];
+    const hashedPassword = await hashPassword(password);
+
+    await client.query(
+      `UPDATE users SET password = $1, password_changed_at = NOW() WHERE id = $2;`,
+      [hashedPassword, user_id]
+    );
+
+    await client.query(
+      `UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1;`,
+      [tokenId]
+    );
+
+    // Log out every device - sessions are revoked, older access tokens rejected by requireAuth
+    await revokeAllSessions(user_id, client);
+
+    await client.query('COMMIT');
+
+    res.status(200).json({
+      message: "Password has been reset. Please log in with your new password."
     });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error("Error in reset-password:", err);
+    next(err);
+  } finally {
+    client.release();
   }
 });
 
@@ -808,15 +2326,10 @@ router.post("/refresh-token", async (req, res, next) => {
  *       404:
  *         description: User not found
  */
-router.put("/:id", requireAuth, validateId('id'), sanitizeBody, async (req, res, next) => {
+router.put("/:id", requireAuth, validateId('id'), can('user:update', userFromParam('id')), sanitizeBody, async (req, res, next) => {
   const id = req.params.id; // Already validated and converted to number
   const { first_name, last_name, email, password, oldPassword } = req.body;
 
-  // Verify user is updating their own account
-  if (req.user.id !== id) {
-    return res.status(403).json({ message: "You can only update your own profile!" });
-  }
-
   // Validate at least one field is provided
   if (!first_name && !last_name && !email && !password) {
     return res.status(400).json({ message: "At least one field must be provided to update." });
@@ -882,8 +2395,11 @@ router.put("/:id", requireAuth, validateId('id'), sanitizeBody, async (req, res,
         return res.status(409).json({ message: "Email already in use by another account!" });
       }
       
-      updates.push(`email = $${paramIndex++}`);
-      values.push(sanitizedEmail);
+      // A changed address has to be verified again
+      if (sanitizedEmail !== userCheck.rows[0].email) {
+        updates.push(`email = $${paramIndex++}`, `email_verified_at = NULL`);
+        values.push(sanitizedEmail);
+      }
     }
 
     if (password !== undefined && password.trim() !== '') {
@@ -909,11 +2425,15 @@ router.put("/:id", requireAuth, validateId('id'), sanitizeBody, async (req, res,
       UPDATE users 
       SET ${updates.join(', ')}
       WHERE id = $${paramIndex}
-      RETURNING id, first_name, last_name, email, role, created_at;
+      RETURNING id, first_name, last_name, email, role, created_at, email_verified_at;
     `;
 
     const result = await pool.query(query, values);
 
+    if (result.rows[0].email_verified_at === null && result.rows[0].email !== userCheck.rows[0].email) {
+      await sendVerificationEmail(result.rows[0]);
+    }
+
     res.status(200).json({
       message: "Profile updated successfully!",
       user: result.rows[0]
@@ -928,7 +2448,13 @@ router.put("/:id", requireAuth, validateId('id'), sanitizeBody, async (req, res,
  * @swagger
  * /users/{id}:
  *   delete:
- *     summary: Delete user account
+ *     summary: Delete user account (right to erasure)
+ *     description: |
+ *       Users without any history are deleted. Users with tickets, transactions, waitlist
+ *       entries or events are anonymized instead: name, email, password, 2FA, sessions,
+ *       linked logins and API keys are removed, waitlist entries and pending waitlist offers
+ *       are cancelled, and financial records are kept under the anonymous account.
+ *       Blocked while the user holds active tickets for, or organizes, upcoming events.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -941,34 +2467,20 @@ router.put("/:id", requireAuth, validateId('id'), sanitizeBody, async (req, res,
  *         description: User ID
  *     responses:
  *       200:
- *         description: User deleted successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                 deleted:
- *                   $ref: '#/components/schemas/User'
- *       400:
- *         description: Cannot delete - user has related records
+ *         description: Account deleted or anonymized
  *       403:
  *         description: Can only delete own account
  *       404:
  *         description: User not found
+ *       409:
+ *         description: Blocked by upcoming tickets or events (see code and listed items)
  */
-router.delete("/:id", requireAuth, validateId('id'), async (req, res, next) => {
+router.delete("/:id", requireAuth, denyApiKeys, validateId('id'), can('user:delete', userFromParam('id')), async (req, res, next) => {
   const id = req.params.id; // Already validated
 
-  // Verify user is deleting their own account
-  if (req.user.id !== id) {
-    return res.status(403).json({ message: "You can only delete your own account!" });
-  }
-
   try {
     const check = await pool.query(
-      "SELECT id FROM users WHERE id = $1",
+      "SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL",
       [id]
     );
 
@@ -978,43 +2490,24 @@ router.delete("/:id", requireAuth, validateId('id'), async (req, res, next) => {
       });
     }
 
-    const rel = await pool.query(
-      `
-      SELECT 
-        (SELECT COUNT(*) FROM events WHERE organizer_id = $1) AS event_count,
-        (SELECT COUNT(*) FROM transactions WHERE user_id = $1) AS transaction_count,
-        (SELECT COUNT(*) FROM tickets WHERE user_id = $1) AS ticket_count,
-        (SELECT COUNT(*) FROM waitlist WHERE user_id = $1) AS waitlist_count;
-      `,
-      [id]
-    );
+    const blockers = await getErasureBlockers(id);
+    if (blockers) {
+      return res.status(409).json(blockers);
+    }
 
-    const { event_count, transaction_count, ticket_count, waitlist_count } = rel.rows[0];
+    const { released_reservations, ...erasure } = await eraseUser(id);
 
-    if (
-      parseInt(event_count) > 0 ||
-      parseInt(transaction_count) > 0 ||
-      parseInt(ticket_count) > 0 ||
-      parseInt(waitlist_count) > 0
-    ) {
-      return res.status(400).json({
-        message: "Cannot delete user - has related records.",
-        relations: rel.rows[0]
-      });
+    // Cancelled waitlist offers go to the next person in line
+    for (const reservation of released_reservations) {
+      await assignTicketToWaitlist(reservation.event_id, reservation.ticket_type_id);
     }
 
-    const deleted = await pool.query(
-      `
-      DELETE FROM users
-      WHERE id = $1
-      RETURNING id, first_name, last_name, email, role, created_at;
-      `,
-      [id]
-    );
-
     res.status(200).json({
-      message: "User successfully deleted!",
-      deleted: deleted.rows[0]
+      message: erasure.mode === 'deleted'
+        ? "User successfully deleted!"
+        : "Your personal data has been erased. Purchase records are kept anonymously for accounting.",
+      ...erasure,
+      reservations_cancelled: released_reservations.length
     });
   } catch (err) {
     console.error("Error in DELETE /users/:id:", err);
@@ -0,0 +1,425 @@
+import express from "express";
+import pool from "../db.js";
+import { requireAuth, can } from "../middleware/auth.js";
+import { validateId, validateNumber, sanitizeBody } from "../middleware/validation.js";
+import { venueFromParam } from "../utils/policy.js";
+import { geocode } from "../utils/geocoder.js";
+import { VENUE_COLUMNS, validateVenueFields, venueAddress, venueLocation, findVenue } from "../utils/venues.js";
+import { EDITABLE_STATUSES } from "../utils/eventStatus.js";
+
+const router = express.Router();
+
+router.use(sanitizeBody);
+
+const UPCOMING_EVENTS_LIMIT = 50;
+const ADDRESS_FIELDS = ["address_line", "postal_code", "city", "country"];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Venues
+ *   description: Reusable venues with address, coordinates and capacity
+ */
+
+/**
+ * @swagger
+ * /venues:
+ *   get:
+ *     summary: List venues
+ *     tags: [Venues]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the venue name
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: min_capacity
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Venues ordered by name, with pagination
+ */
+router.get("/", async (req, res, next) => {
+  const { search, city, min_capacity } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  let minCapacity = null;
+  if (min_capacity !== undefined) {
+    const validation = validateNumber(min_capacity, 'min_capacity', 1);
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.message });
+    }
+    minCapacity = validation.value;
+  }
+
+  const params = [
+    search ? `%${String(search).toLowerCase()}%` : null,
+    city ? String(city).toLowerCase() : null,
+    minCapacity
+  ];
+  const whereClause = `
+    WHERE ($1::text IS NULL OR LOWER(name) LIKE $1)
+    AND ($2::text IS NULL OR LOWER(city) = $2)
+    AND ($3::numeric IS NULL OR capacity >= $3)`;
+
+  try {
+    const [countResult, result] = await Promise.all([
+      pool.query(`SELECT COUNT(*) FROM venues ${whereClause};`, params),
+      pool.query(
+        `SELECT ${VENUE_COLUMNS} FROM venues ${whereClause}
+         ORDER BY name, id
+         LIMIT $4 OFFSET $5;`,
+        [...params, limit, (page - 1) * limit]
+      )
+    ]);
+    const totalVenues = parseInt(countResult.rows[0].count);
+
+    res.status(200).json({
+      venues: result.rows,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalVenues / limit),
+        totalVenues,
+        venuesPerPage: limit
+      }
+    });
+  } catch (err) {
+    console.error("Error in GET /venues:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /venues/{id}:
+ *   get:
+ *     summary: Get a venue and its upcoming events
+ *     tags: [Venues]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Venue details
+ *       404:
+ *         description: Venue not found
+ */
+router.get("/:id", validateId('id'), async (req, res, next) => {
+  try {
+    const venue = await findVenue(req.params.id);
+    if (!venue) {
+      return res.status(404).json({ message: "Venue not found!" });
+    }
+
+    const events = await pool.query(
+      `SELECT id, title, start_datetime, end_datetime, total_tickets, tickets_sold
+       FROM events
+       WHERE venue_id = $1 AND status = 'published' AND COALESCE(end_datetime, start_datetime) >= NOW()
+       ORDER BY start_datetime ASC
+       LIMIT $2;`,
+      [venue.id, UPCOMING_EVENTS_LIMIT]
+    );
+
+    res.status(200).json({ ...venue, upcoming_events: events.rows });
+  } catch (err) {
+    console.error("Error in GET /venues/:id:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /venues:
+ *   post:
+ *     summary: Create a venue
+ *     description: Without latitude/longitude the address is geocoded.
+ *     tags: [Venues]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, address_line, city, country, capacity]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Cankarjev dom
+ *               address_line:
+ *                 type: string
+ *                 example: Prešernova cesta 10
+ *               postal_code:
+ *                 type: string
+ *                 example: "1000"
+ *               city:
+ *                 type: string
+ *                 example: Ljubljana
+ *               country:
+ *                 type: string
+ *                 example: SI
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               capacity:
+ *                 type: integer
+ *                 example: 1500
+ *               accessibility:
+ *                 type: object
+ *                 example: { "wheelchair_accessible": true, "hearing_loop": true, "notes": "Lift at the side entrance" }
+ *     responses:
+ *       201:
+ *         description: Venue created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Missing the venue:create permission (organizers)
+ */
+router.post("/", requireAuth, can('venue:create'), async (req, res, next) => {
+  const validation = validateVenueFields(req.body, { creating: true });
+  if (!validation.valid) {
+    return res.status(400).json({ message: validation.message });
+  }
+
+  const venue = validation.value;
+
+  try {
+    if (venue.latitude === undefined) {
+      const coordinates = await geocode(venueAddress(venue));
+      venue.latitude = coordinates?.latitude ?? null;
+      venue.longitude = coordinates?.longitude ?? null;
+    }
+
+    const result = await pool.query(
+      `INSERT INTO venues (name, address_line, postal_code, city, country, latitude, longitude, capacity, accessibility, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING ${VENUE_COLUMNS};`,
+      [
+        venue.name,
+        venue.address_line,
+        venue.postal_code ?? null,
+        venue.city,
+        venue.country,
+        venue.latitude,
+        venue.longitude,
+        venue.capacity,
+        JSON.stringify(venue.accessibility || {}),
+        req.user.id
+      ]
+    );
+
+    res.status(201).json({
+      message: "Venue successfully added!",
+      venue: result.rows[0]
+    });
+  } catch (err) {
+    console.error("Error in POST /venues:", err);
+    next(err);
+  }
+});
+
+/**
+ * @swagger
+ * /venues/{id}:
+ *   patch:
+ *     summary: Update a venue
+ *     description: |
+ *       Only the fields sent are changed. Changing the address without coordinates geocodes it again.
+ *       Events at the venue take over its new location and coordinates.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Venue updated
+ *       403:
+ *         description: Only the venue's creator or an admin can change it
+ *       404:
+ *         description: Venue not found
+ *       409:
+ *         description: The new capacity is below the tickets of an upcoming event at the venue
+ */
+router.patch("/:id", requireAuth, validateId('id'), can('venue:manage', venueFromParam('id')), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+
+  const validation = validateVenueFields(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ message: validation.message });
+  }
+
+  const fields = validation.value;
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ message: "Nothing to update" });
+  }
+
+  let client;
+
+  try {
+    // A moved venue is looked up again unless coordinates were sent along.
+    // Geocoding can take seconds, so it happens before the transaction
+    const before = await findVenue(id);
+    const addressChanged = ADDRESS_FIELDS.some(field => fields[field] !== undefined && fields[field] !== before[field]);
+    const coordinates = addressChanged && fields.latitude === undefined
+      ? await geocode(venueAddress({ ...before, ...fields }))
+      : undefined;
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const current = await client.query(`SELECT ${VENUE_COLUMNS} FROM venues WHERE id = $1 FOR UPDATE;`, [id]);
+    const venue = { ...current.rows[0], ...fields };
+    if (coordinates !== undefined) {
+      venue.latitude = coordinates?.latitude ?? null;
+      venue.longitude = coordinates?.longitude ?? null;
+    }
+
+    // Lock the venue's upcoming events so ticket types cannot grow past the new capacity meanwhile.
+    // An event needs its total_tickets or its ticket types, whichever is more
+    if (fields.capacity !== undefined && fields.capacity < current.rows[0].capacity) {
+      const overbooked = await client.query(
+        `SELECT e.id, e.title,
+                GREATEST(e.total_tickets,
+                  (SELECT COALESCE(SUM(tt.total_tickets), 0) FROM ticket_types tt WHERE tt.event_id = e.id))::int AS total_tickets
+         FROM events e
+         WHERE e.venue_id = $1
+         AND e.status <> 'cancelled'
+         AND COALESCE(e.end_datetime, e.start_datetime) >= NOW()
+         ORDER BY e.id
+         FOR UPDATE OF e;`,
+        [id]
+      );
+      const conflicts = overbooked.rows.filter(event => event.total_tickets > fields.capacity);
+
+      if (conflicts.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          message: `Capacity ${fields.capacity} is below the tickets of ${conflicts.length} upcoming event(s) at this venue.`,
+          events: conflicts
+        });
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE venues
+       SET name = $1, address_line = $2, postal_code = $3, city = $4, country = $5,
+           latitude = $6, longitude = $7, capacity = $8, accessibility = $9, updated_at = NOW()
+       WHERE id = $10
+       RETURNING ${VENUE_COLUMNS};`,
+      [
+        venue.name,
+        venue.address_line,
+        venue.postal_code,
+        venue.city,
+        venue.country,
+        venue.latitude,
+        venue.longitude,
+        venue.capacity,
+        JSON.stringify(venue.accessibility || {}),
+        id
+      ]
+    );
+
+    // Past, cancelled and completed events keep the address they took place at,
+    // and only the venue creator's own events are rewritten
+    await client.query(
+      `UPDATE events SET location = $1, latitude = $2, longitude = $3
+       WHERE venue_id = $4
+       AND organizer_id = $5
+       AND status = ANY($6::text[])
+       AND COALESCE(end_datetime, start_datetime) >= NOW();`,
+      [venueLocation(venue), venue.latitude, venue.longitude, id, venue.created_by, EDITABLE_STATUSES]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(200).json({
+      message: "Venue successfully updated!",
+      venue: result.rows[0]
+    });
+  } catch (err) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error("Error in PATCH /venues/:id:", err);
+    next(err);
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * @swagger
+ * /venues/{id}:
+ *   delete:
+ *     summary: Delete a venue
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Venue deleted
+ *       403:
+ *         description: Only the venue's creator or an admin can delete it
+ *       404:
+ *         description: Venue not found
+ *       409:
+ *         description: Events are still held at the venue
+ */
+router.delete("/:id", requireAuth, validateId('id'), can('venue:manage', venueFromParam('id')), async (req, res, next) => {
+  const id = req.params.id; // Already validated
+
+  try {
+    const usage = await pool.query(`SELECT COUNT(*) AS events FROM events WHERE venue_id = $1;`, [id]);
+    if (parseInt(usage.rows[0].events) > 0) {
+      return res.status(409).json({
+        message: `Cannot delete this venue because ${usage.rows[0].events} event(s) are held there!`
+      });
+    }
+
+    const result = await pool.query(`DELETE FROM venues WHERE id = $1 RETURNING ${VENUE_COLUMNS};`, [id]);
+
+    res.status(200).json({
+      message: "Venue successfully deleted!",
+      deleted: result.rows[0]
+    });
+  } catch (err) {
+    // An event was added to the venue in the meantime
+    if (err.code === '23503') {
+      return res.status(409).json({ message: "Cannot delete this venue because events are held there!" });
+    }
+    console.error("Error in DELETE /venues/:id:", err);
+    next(err);
+  }
+});
+
+export default router;
@@ -342,7 +342,7 @@ router.post("/", async (req, res, next) => {
     const [userCheckExists, eventCheck] = await Promise.all([
       userExists(userIdValidation.value),
       pool.query(
-        `SELECT id, total_tickets, tickets_sold, end_datetime, start_datetime FROM events WHERE id = $1`,
+        `SELECT id, status, total_tickets, tickets_sold, end_datetime, start_datetime FROM events WHERE id = $1`,
         [eventIdValidation.value]
       )
     ]);
@@ -365,6 +365,10 @@ router.post("/", async (req, res, next) => {
       return res.status(410).json({ message: "Cannot join waitlist for past events!" });
     }
 
+    if (event.status !== 'published') {
+      return res.status(400).json({ message: `Cannot join the waitlist - this event is ${event.status}.` });
+    }
+
     // Check if sold out
     if (event.tickets_sold < event.total_tickets) {
       return res.status(400).json({
@@ -0,0 +1,72 @@
+// Bootstraps an admin account - the only way to create the first admin.
+// Usage: npm run create-admin -- --email admin@eventgo.com --password 'Secret123!' [--first-name Ada] [--last-name Admin]
+// Grants the admin role instead if a user with that email already exists (other roles are kept).
+import { parseArgs } from "util";
+import pool from "../db.js";
+import { hashPassword } from "../utils/auth.js";
+import { grantRole } from "../utils/roles.js";
+import { validateEmail, validatePassword, validateString } from "../middleware/validation.js";
+
+async function createAdmin() {
+  const { values } = parseArgs({
+    options: {
+      email: { type: "string" },
+      password: { type: "string" },
+      "first-name": { type: "string", default: "Admin" },
+      "last-name": { type: "string", default: "EventGo" },
+    },
+  });
+
+  const emailValidation = validateEmail(values.email);
+  if (!emailValidation.valid) {
+    throw new Error(emailValidation.message);
+  }
+  const email = values.email.toLowerCase().trim();
+
+  const existing = await pool.query("SELECT id FROM users WHERE email = $1", [email]);
+
+  if (existing.rows.length > 0) {
+    await pool.query(
+      "UPDATE users SET suspended_at = NULL, suspended_reason = NULL WHERE id = $1",
+      [existing.rows[0].id]
+    );
+    await grantRole(pool, existing.rows[0].id, 'admin');
+    console.log(`User ${email} (id ${existing.rows[0].id}) promoted to admin.`);
+    return;
+  }
+
+  const passwordValidation = validatePassword(values.password);
+  if (!passwordValidation.valid) {
+    throw new Error(passwordValidation.message);
+  }
+
+  const firstNameValidation = validateString(values["first-name"], "First name", 1, 50);
+  if (!firstNameValidation.valid) {
+    throw new Error(firstNameValidation.message);
+  }
+
+  const lastNameValidation = validateString(values["last-name"], "Last name", 1, 50);
+  if (!lastNameValidation.valid) {
+    throw new Error(lastNameValidation.message);
+  }
+
+  const hashedPassword = await hashPassword(values.password);
+  const result = await pool.query(
+    `
+    INSERT INTO users (first_name, last_name, email, password, role)
+    VALUES ($1, $2, $3, $4, 'user'::user_role)
+    RETURNING id;
+    `,
+    [firstNameValidation.value, lastNameValidation.value, email, hashedPassword]
+  );
+  await grantRole(pool, result.rows[0].id, 'admin');
+
+  console.log(`Admin ${email} created with id ${result.rows[0].id}.`);
+}
+
+createAdmin()
+  .catch(err => {
+    console.error("Could not create admin:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
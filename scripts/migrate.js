@@ -0,0 +1,54 @@
+// Applies pending schema migrations from ./migrations in filename order
+import { readdir } from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import pool from "../db.js";
+
+const migrationsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "migrations");
+
+async function migrate() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+    );
+  `);
+
+  const applied = await pool.query("SELECT name FROM schema_migrations");
+  const appliedNames = new Set(applied.rows.map(row => row.name));
+
+  const files = (await readdir(migrationsDir))
+    .filter(file => file.endsWith(".js"))
+    .sort();
+
+  for (const file of files) {
+    if (appliedNames.has(file)) continue;
+
+    const { up } = await import(pathToFileURL(path.join(migrationsDir, file)).href);
+    const client = await pool.connect();
+
+    try {
+      await client.query("BEGIN");
+      await client.query(up);
+      await client.query("INSERT INTO schema_migrations (name) VALUES ($1)", [file]);
+      await client.query("COMMIT");
+      console.log(`Applied migration ${file}`);
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw new Error(`Migration ${file} failed: ${err.message}`);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log("Database is up to date.");
+    return pool.end();
+  })
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+    return pool.end();
+  });
@@ -30,6 +30,12 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Enter your JWT token'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Organizer API key (evgo_...)'
         }
       },
       schemas: {
@@ -40,7 +46,9 @@ const options = {
             first_name: { type: 'string', example: 'John' },
             last_name: { type: 'string', example: 'Doe' },
             email: { type: 'string', format: 'email', example: 'john.doe@example.com' },
-            role: { type: 'string', enum: ['user', 'organizer', 'admin'], example: 'user' },
+            role: { type: 'string', enum: ['user', 'organizer', 'admin'], example: 'organizer', description: 'Highest role, kept for display' },
+            roles: { type: 'array', items: { type: 'string', enum: ['user', 'organizer', 'admin'] }, example: ['user', 'organizer'] },
+            permissions: { type: 'array', items: { type: 'string' }, example: ['event:create', 'organizer_profile:manage'] },
             created_at: { type: 'string', format: 'date-time' }
           }
         },
@@ -53,6 +61,16 @@ const options = {
             start_datetime: { type: 'string', format: 'date-time', example: '2025-12-15T09:00:00' },
             end_datetime: { type: 'string', format: 'date-time', example: '2025-12-15T18:00:00' },
             location: { type: 'string', example: 'Convention Center, Ljubljana' },
+            venue_id: { type: 'integer', nullable: true, example: 3 },
+            series_id: { type: 'integer', nullable: true, description: 'Set on occurrences of an event series', example: 7 },
+            status: { type: 'string', enum: ['draft', 'published', 'postponed', 'cancelled', 'completed'], example: 'published' },
+            latitude: { type: 'number', nullable: true, example: 46.0569 },
+            longitude: { type: 'number', nullable: true, example: 14.5058 },
+            distance_km: { type: 'number', description: 'Only with a lat/lng search', example: 2.4 },
+            category: { type: 'string', nullable: true, example: 'conference' },
+            tags: { type: 'array', items: { type: 'string' }, example: ['tech', 'networking'] },
+            cover_image: { allOf: [{ $ref: '#/components/schemas/EventImage' }], nullable: true },
+            gallery: { type: 'array', items: { $ref: '#/components/schemas/EventImage' }, description: 'Only on GET /events/{id}' },
             total_tickets: { type: 'integer', example: 500 },
             tickets_sold: { type: 'integer', example: 250 },
             organizer_id: { type: 'integer', example: 1 },
@@ -61,6 +79,64 @@ const options = {
             created_at: { type: 'string', format: 'date-time' }
           }
         },
+        EventImage: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 12 },
+            kind: { type: 'string', enum: ['cover', 'gallery'], example: 'cover' },
+            position: { type: 'integer', description: 'Order within the gallery', example: 0 },
+            alt_text: { type: 'string', nullable: true, example: 'Main stage during the keynote' },
+            width: { type: 'integer', example: 2400 },
+            height: { type: 'integer', example: 1600 },
+            urls: {
+              type: 'object',
+              properties: {
+                original: { type: 'string', example: 'http://localhost:5000/uploads/events/1/5b1c.../original.jpg' },
+                thumbnail: { type: 'string', description: '320x180, cropped', example: 'http://localhost:5000/uploads/events/1/5b1c.../thumbnail.jpg' },
+                card: { type: 'string', description: '800x450, cropped', example: 'http://localhost:5000/uploads/events/1/5b1c.../card.jpg' },
+                large: { type: 'string', description: 'Fits in 1920x1920', example: 'http://localhost:5000/uploads/events/1/5b1c.../large.jpg' }
+              }
+            }
+          }
+        },
+        Venue: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 3 },
+            name: { type: 'string', example: 'Cankarjev dom' },
+            address_line: { type: 'string', example: 'Prešernova cesta 10' },
+            postal_code: { type: 'string', nullable: true, example: '1000' },
+            city: { type: 'string', example: 'Ljubljana' },
+            country: { type: 'string', example: 'SI' },
+            latitude: { type: 'number', nullable: true, example: 46.0569 },
+            longitude: { type: 'number', nullable: true, example: 14.5058 },
+            capacity: { type: 'integer', example: 1500 },
+            accessibility: { type: 'object', example: { wheelchair_accessible: true, notes: 'Lift at the side entrance' } },
+            created_by: { type: 'integer', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        EventSeries: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 7 },
+            organizer_id: { type: 'integer', example: 1 },
+            title: { type: 'string', example: 'Hamlet' },
+            description: { type: 'string', nullable: true },
+            location: { type: 'string', example: 'Cankarjev dom, Prešernova cesta 10, Ljubljana' },
+            venue_id: { type: 'integer', nullable: true, example: 3 },
+            category: { type: 'string', nullable: true, example: 'theatre' },
+            tags: { type: 'array', items: { type: 'string' }, example: ['drama'] },
+            rrule: { type: 'string', example: 'FREQ=WEEKLY;BYDAY=TH,FR,SA;UNTIL=20261220' },
+            timezone: { type: 'string', example: 'Europe/Ljubljana' },
+            first_start: { type: 'string', format: 'date-time', example: '2026-11-05T18:30:00' },
+            duration_minutes: { type: 'integer', example: 150 },
+            exdates: { type: 'array', items: { type: 'string', format: 'date' }, example: ['2026-12-24'] },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        },
         TicketType: {
           type: 'object',
           properties: {
@@ -91,8 +167,8 @@ const options = {
             id: { type: 'integer', example: 1 },
             user_id: { type: 'integer', example: 1 },
             total_price: { type: 'number', format: 'decimal', example: 199.98 },
-            status: { type: 'string', enum: ['completed', 'pending', 'cancelled', 'expired'], example: 'completed' },
-            payment_method: { type: 'string', enum: ['card', 'paypal', 'waitlist'], example: 'card' },
+            status: { type: 'string', enum: ['completed', 'pending', 'cancelled', 'expired', 'refunded'], example: 'completed' },
+            payment_method: { type: 'string', enum: ['card', 'paypal', 'waitlist', 'waitlist_return', 'event_cancellation'], example: 'card' },
             created_at: { type: 'string', format: 'date-time' }
           }
         },
@@ -118,6 +194,9 @@ const options = {
     security: [
       {
         bearerAuth: []
+      },
+      {
+        apiKeyAuth: []
       }
     ]
   },
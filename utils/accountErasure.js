@@ -0,0 +1,160 @@
+// Account erasure (GDPR right to erasure)
+// Users without history are deleted. Everyone else is anonymized in place:
+// personal data is scrubbed while transactions and tickets stay attached to
+// the now anonymous user row (the tombstone) for accounting.
+import pool from '../db.js';
+import { getUserRelationCounts } from './dbHelpers.js';
+
+const TOMBSTONE_FIRST_NAME = 'Deleted';
+const TOMBSTONE_LAST_NAME = 'User';
+
+export const tombstoneEmail = (userId) => `deleted-user-${userId}@deleted.invalid`;
+
+/* --------------------------------------
+   Reasons the account cannot be erased yet
+   Returns null when nothing blocks the erasure
+-------------------------------------- */
+export async function getErasureBlockers(userId) {
+  const [tickets, events] = await Promise.all([
+    pool.query(
+      `SELECT t.id, t.event_id, e.title AS event_name, e.start_datetime
+       FROM tickets t
+       JOIN events e ON t.event_id = e.id
+       WHERE t.user_id = $1
+       AND t.status = 'active'
+       AND COALESCE(e.end_datetime, e.start_datetime) >= NOW()
+       ORDER BY e.start_datetime;`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT id, title, start_datetime
+       FROM events
+       WHERE organizer_id = $1
+       AND status NOT IN ('cancelled', 'completed')
+       AND COALESCE(end_datetime, start_datetime) >= NOW()
+       ORDER BY start_datetime;`,
+      [userId]
+    )
+  ]);
+
+  if (events.rows.length > 0) {
+    return {
+      code: 'UPCOMING_EVENTS',
+      message: "You are organizing upcoming events. Delete or finish them before deleting your account.",
+      events: events.rows
+    };
+  }
+
+  if (tickets.rows.length > 0) {
+    return {
+      code: 'UPCOMING_TICKETS',
+      message: "You still hold tickets for upcoming events. Return them or wait until the events are over before deleting your account.",
+      tickets: tickets.rows
+    };
+  }
+
+  return null;
+}
+
+/* --------------------------------------
+   Erase an account - call getErasureBlockers first
+   Returns { mode: 'deleted' | 'anonymized', ... }
+   released_reservations lists waitlist offers that were cancelled and
+   should be offered to the next person (assignTicketToWaitlist)
+-------------------------------------- */
+export async function eraseUser(userId) {
+  const relations = await getUserRelationCounts(userId);
+  const hasHistory = Object.values(relations).some(count => parseInt(count) > 0);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Pending event team invitations addressed to this email
+    await client.query(
+      `DELETE FROM event_invitations
+       WHERE accepted_at IS NULL AND LOWER(email) = (SELECT LOWER(email) FROM users WHERE id = $1);`,
+      [userId]
+    );
+
+    if (!hasHistory) {
+      await client.query('DELETE FROM users WHERE id = $1;', [userId]);
+      await client.query('COMMIT');
+      return { mode: 'deleted', released_reservations: [] };
+    }
+
+    // Pending waitlist offers are cancelled like a decline
+    const reserved = await client.query(
+      `SELECT t.id, t.event_id, t.ticket_type_id, t.transaction_id
+       FROM tickets t
+       JOIN transactions tx ON t.transaction_id = tx.id
+       WHERE t.user_id = $1 AND t.status = 'reserved' AND tx.status = 'pending'
+       FOR UPDATE OF t;`,
+      [userId]
+    );
+
+    for (const ticket of reserved.rows) {
+      await client.query(`UPDATE transactions SET status = 'cancelled' WHERE id = $1;`, [ticket.transaction_id]);
+      await client.query(`DELETE FROM tickets WHERE id = $1;`, [ticket.id]);
+    }
+
+    const waitlist = await client.query('DELETE FROM waitlist WHERE user_id = $1;', [userId]);
+
+    // Credentials, sessions and linked logins
+    await client.query('DELETE FROM refresh_tokens WHERE user_id = $1;', [userId]);
+    await client.query('DELETE FROM user_sessions WHERE user_id = $1;', [userId]);
+    await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1;', [userId]);
+    await client.query('DELETE FROM magic_link_tokens WHERE user_id = $1;', [userId]);
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1;', [userId]);
+    await client.query('DELETE FROM user_identities WHERE user_id = $1;', [userId]);
+    await client.query('DELETE FROM api_keys WHERE user_id = $1;', [userId]);
+    await client.query('DELETE FROM calendar_feeds WHERE user_id = $1;', [userId]);
+    await client.query('DELETE FROM organizer_profiles WHERE user_id = $1;', [userId]);
+    await client.query('DELETE FROM organizer_applications WHERE user_id = $1;', [userId]);
+    await client.query('DELETE FROM user_roles WHERE user_id = $1;', [userId]);
+    // Team roles on other people's events; owned events keep their owner row
+    await client.query(`DELETE FROM event_members WHERE user_id = $1 AND role <> 'owner';`, [userId]);
+    await client.query(
+      `DELETE FROM login_attempts
+       WHERE scope = 'account' AND key = (SELECT LOWER(email) FROM users WHERE id = $1);`,
+      [userId]
+    );
+
+    await client.query(
+      `UPDATE users
+       SET first_name = $2,
+           last_name = $3,
+           email = $4,
+           password = NULL,
+           totp_secret = NULL,
+           totp_enabled_at = NULL,
+           totp_last_used_step = NULL,
+           email_verified_at = NULL,
+           email_verification_sent_at = NULL,
+           suspended_reason = NULL,
+           role = 'user'::user_role,
+           deleted_at = NOW()
+       WHERE id = $1;`,
+      [userId, TOMBSTONE_FIRST_NAME, TOMBSTONE_LAST_NAME, tombstoneEmail(userId)]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      mode: 'anonymized',
+      kept_for_accounting: {
+        transactions: parseInt(relations.transaction_count),
+        tickets: parseInt(relations.ticket_count) - reserved.rows.length,
+        events: parseInt(relations.event_count)
+      },
+      waitlist_entries_removed: waitlist.rowCount,
+      released_reservations: reserved.rows
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
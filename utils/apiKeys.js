@@ -0,0 +1,81 @@
+// Organizer API keys - long-lived credentials for machine-to-machine access
+// Keys look like "evgo_<random>" and are only stored as SHA-256 hashes.
+import crypto from 'crypto';
+import pool from '../db.js';
+import { hashToken } from './auth.js';
+import { ROLES_SQL } from './roles.js';
+
+export const API_KEY_PREFIX = 'evgo_';
+
+// What each scope allows (enforced in middleware/auth.js)
+export const API_KEY_SCOPES = {
+  'read': 'Read events, ticket types, tickets and analytics',
+  'events:write': 'Create, update and delete events, event series, their ticket types, images and venues',
+  'tickets:refund': 'Refund tickets for your events'
+};
+
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+/* --------------------------------------
+   Key generation
+-------------------------------------- */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, keyPrefix: key.slice(0, 12), keyHash: hashToken(key) };
+}
+
+export function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+/* --------------------------------------
+   Scope validation - returns {valid, message, value}
+-------------------------------------- */
+export function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return {
+      valid: false,
+      message: `At least one scope is required. Available scopes: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+    };
+  }
+
+  const unknown = scopes.filter(scope => !Object.hasOwn(API_KEY_SCOPES, scope));
+  if (unknown.length > 0) {
+    return {
+      valid: false,
+      message: `Unknown scope(s): ${unknown.join(', ')}. Available scopes: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+    };
+  }
+
+  return { valid: true, value: [...new Set(scopes)] };
+}
+
+/* --------------------------------------
+   Look up an active key and its owner
+   last_used_at is only written once per minute to keep reads cheap
+-------------------------------------- */
+export async function findApiKey(key, ip) {
+  const result = await pool.query(
+    `SELECT k.id AS api_key_id, k.scopes, u.id, u.email, u.role, ${ROLES_SQL},
+            u.suspended_at, u.email_verified_at
+     FROM api_keys k
+     JOIN users u ON u.id = k.user_id
+     WHERE k.key_hash = $1
+     AND k.revoked_at IS NULL
+     AND (k.expires_at IS NULL OR k.expires_at > NOW());`,
+    [hashToken(key)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+     WHERE id = $1
+     AND (last_used_at IS NULL OR last_used_at < NOW() - ($3 || ' seconds')::INTERVAL);`,
+    [result.rows[0].api_key_id, ip || null, LAST_USED_RESOLUTION_SECONDS]
+  );
+
+  return result.rows[0];
+}
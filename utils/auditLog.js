@@ -0,0 +1,31 @@
+// Append-only audit trail for sensitive state changes
+// Pass a transaction client as db so the entry commits together with the change.
+import pool from '../db.js';
+
+/* --------------------------------------
+   Record one audit entry
+-------------------------------------- */
+export async function recordAudit(db, { actorId, action, targetType, targetId = null, metadata = {}, ip = null }) {
+  await db.query(
+    `INSERT INTO audit_log (actor_id, action, target_type, target_id, metadata, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6);`,
+    [actorId ?? null, action, targetType, targetId, JSON.stringify(metadata), ip]
+  );
+}
+
+/* --------------------------------------
+   Audit entries for one record, oldest first
+-------------------------------------- */
+export async function getAuditTrail(targetType, targetId) {
+  const result = await pool.query(
+    `SELECT a.id, a.action, a.actor_id,
+            (u.first_name || ' ' || u.last_name) AS actor_name,
+            a.metadata, a.created_at
+     FROM audit_log a
+     LEFT JOIN users u ON a.actor_id = u.id
+     WHERE a.target_type = $1 AND a.target_id = $2
+     ORDER BY a.created_at ASC, a.id ASC;`,
+    [targetType, targetId]
+  );
+  return result.rows;
+}
@@ -1,4 +1,5 @@
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 
 if (!process.env.JWT_SECRET) {
@@ -12,31 +13,74 @@ export const hashPassword = async (password) => {
 };
 
 export const comparePassword = async (password, hashedPassword) => {
+  // Accounts created through social login have no password yet
+  if (!hashedPassword) {
+    return false;
+  }
   return bcrypt.compare(password, hashedPassword);
 };
 
-export const generateToken = (user) => {
+// Opaque tokens (refresh, password reset, ...) are only stored as SHA-256 hashes
+export const generateOpaqueToken = () => {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Access token for a login session - sid lets requireAuth reject revoked sessions
+export const generateToken = (user, sessionId) => {
   return jwt.sign(
     { 
       id: user.id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      sid: sessionId
     },
     JWT_SECRET,
     { expiresIn: '1h' } // Token expires in 1 hour
   );
 };
 
-export const generateRefreshToken = (user) => {
+// Signed link token - carries the email so changing it invalidates old links
+export const generateEmailVerificationToken = (user) => {
   return jwt.sign(
-    { 
+    {
+      id: user.id,
+      email: user.email,
+      type: 'email_verification'
+    },
+    JWT_SECRET,
+    { expiresIn: '24h' }
+  );
+};
+
+// Short-lived token proving the password step of a two-factor login (or a pending enrollment)
+export const generateTwoFactorChallengeToken = (user, purpose = 'login') => {
+  return jwt.sign(
+    {
+      id: user.id,
+      type: '2fa_challenge',
+      purpose
+    },
+    JWT_SECRET,
+    { expiresIn: purpose === 'enroll' ? '15m' : '5m' }
+  );
+};
+
+// Support access token: acts as the user, act.sub names the admin behind it (RFC 8693)
+export const generateImpersonationToken = (user, admin, impersonationId, expiresInMinutes) => {
+  return jwt.sign(
+    {
       id: user.id,
       email: user.email,
       role: user.role,
-      type: 'refresh'
+      act: { sub: admin.id, email: admin.email },
+      imp: impersonationId
     },
     JWT_SECRET,
-    { expiresIn: '7d' } // Refresh token expires in 7 days
+    { expiresIn: `${expiresInMinutes}m` }
   );
 };
 
@@ -0,0 +1,244 @@
+// iCalendar (RFC 5545) output for events and secret-URL calendar feeds
+// Each event is one VEVENT with a UID that never changes, so calendar apps
+// update their copy on every refresh. Times are written in UTC. Cancelled
+// events stay in the feeds with STATUS:CANCELLED until they are over.
+// Feed URLs are built from API_PUBLIC_URL (default http://localhost:PORT).
+import crypto from 'crypto';
+import pool from '../db.js';
+import { hashToken } from './auth.js';
+import { USER_TICKETS_FROM_SQL } from './dbHelpers.js';
+
+export const CALENDAR_FEED_KINDS = {
+  tickets: 'Events you hold tickets for',
+  organizer: 'Events you organize or work on'
+};
+
+// Past events stay in feeds this long
+const FEED_HISTORY_DAYS = 365;
+const LAST_USED_RESOLUTION_SECONDS = 3600;
+
+const PRODID = '-//EventGo//EventGo API//EN';
+const UID_DOMAIN = 'eventgo';
+const MAX_LINE_OCTETS = 75;
+
+const VEVENT_STATUS = {
+  draft: 'TENTATIVE',
+  published: 'CONFIRMED',
+  postponed: 'TENTATIVE',
+  cancelled: 'CANCELLED',
+  completed: 'CONFIRMED'
+};
+
+// Columns calendarEvent() needs, for queries on "events e"
+export const CALENDAR_EVENT_COLUMNS = `e.id, e.title, e.description, e.location, e.start_datetime, e.end_datetime,
+  e.latitude, e.longitude, e.category, e.status, e.created_at, e.calendar_sequence, e.calendar_modified_at,
+  (SELECT ec.reason FROM event_cancellations ec WHERE ec.event_id = e.id) AS cancellation_reason`;
+
+/* --------------------------------------
+   Formatting
+-------------------------------------- */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// 20261105T173000Z
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function eventUrl(eventId) {
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+  return `${frontendUrl}/events/${eventId}`;
+}
+
+export function eventUid(eventId) {
+  return `event-${eventId}@${UID_DOMAIN}`;
+}
+
+/* --------------------------------------
+   One VEVENT - notes are extra lines for the description,
+   e.g. the tickets a user holds
+-------------------------------------- */
+function calendarEvent(event, stamp, notes = []) {
+  const description = [
+    event.status === 'cancelled' ? `This event has been cancelled.${event.cancellation_reason ? ` ${event.cancellation_reason}` : ''}` : null,
+    event.status === 'postponed' ? 'This event has been postponed. The new date will follow.' : null,
+    event.description,
+    ...notes
+  ].filter(Boolean).join('\n\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(event.id)}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(event.start_datetime)}`,
+    event.end_datetime ? `DTEND:${formatDateTime(event.end_datetime)}` : null,
+    `SUMMARY:${escapeText(event.title)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    event.location ? `LOCATION:${escapeText(event.location)}` : null,
+    event.latitude !== null && event.latitude !== undefined ? `GEO:${event.latitude};${event.longitude}` : null,
+    event.category ? `CATEGORIES:${escapeText(event.category)}` : null,
+    `URL:${eventUrl(event.id)}`,
+    `STATUS:${VEVENT_STATUS[event.status] || 'CONFIRMED'}`,
+    `SEQUENCE:${event.calendar_sequence || 0}`,
+    event.created_at ? `CREATED:${formatDateTime(event.created_at)}` : null,
+    event.calendar_modified_at ? `LAST-MODIFIED:${formatDateTime(event.calendar_modified_at)}` : null,
+    'END:VEVENT'
+  ];
+
+  return lines.filter(Boolean);
+}
+
+/* --------------------------------------
+   A complete calendar
+   events: rows with CALENDAR_EVENT_COLUMNS, each with optional notes: [string]
+   refresh: suggest how often subscribed calendars refresh (feeds only)
+-------------------------------------- */
+export function buildCalendar({ name, events, refresh = false }) {
+  const stamp = formatDateTime(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `NAME:${escapeText(name)}`,
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(refresh ? ['REFRESH-INTERVAL;VALUE=DURATION:PT1H', 'X-PUBLISHED-TTL:PT1H'] : []),
+    ...events.flatMap(event => calendarEvent(event, stamp, event.notes)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/* --------------------------------------
+   Feed tokens
+-------------------------------------- */
+export function feedUrls(token) {
+  const apiUrl = (process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+  const url = `${apiUrl}/calendar/${token}.ics`;
+  return { url, webcal_url: url.replace(/^https?:/, 'webcal:') };
+}
+
+/* --------------------------------------
+   Create a feed, or give an existing one a new secret URL
+   (the old URL stops working) - returns the token, shown only once
+-------------------------------------- */
+export async function createFeed(userId, kind) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const result = await pool.query(
+    `INSERT INTO calendar_feeds (user_id, kind, token_hash)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id, kind) DO UPDATE
+     SET token_hash = EXCLUDED.token_hash, created_at = NOW(), last_used_at = NULL
+     RETURNING id, kind, created_at, last_used_at;`,
+    [userId, kind, hashToken(token)]
+  );
+
+  return { token, feed: result.rows[0] };
+}
+
+/* --------------------------------------
+   Look up a feed by its token - null if unknown or the owner is suspended
+   last_used_at is only written once an hour; calendar apps poll often
+-------------------------------------- */
+export async function findFeed(token) {
+  const result = await pool.query(
+    `SELECT f.id, f.kind, f.user_id
+     FROM calendar_feeds f
+     JOIN users u ON u.id = f.user_id
+     WHERE f.token_hash = $1 AND u.suspended_at IS NULL;`,
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await pool.query(
+    `UPDATE calendar_feeds SET last_used_at = NOW()
+     WHERE id = $1
+     AND (last_used_at IS NULL OR last_used_at < NOW() - ($2 || ' seconds')::INTERVAL);`,
+    [result.rows[0].id, LAST_USED_RESOLUTION_SECONDS]
+  );
+
+  return result.rows[0];
+}
+
+/* --------------------------------------
+   Feed contents
+-------------------------------------- */
+
+// Events with an active ticket of the user, and events cancelled after the user
+// was refunded for them so the cancellation reaches the calendar
+export async function getTicketFeedEvents(userId) {
+  const result = await pool.query(
+    `SELECT ${CALENDAR_EVENT_COLUMNS},
+            ARRAY_AGG(COALESCE(tt.type, 'Ticket') ORDER BY tt.type) FILTER (WHERE t.status = 'active') AS ticket_types
+     ${USER_TICKETS_FROM_SQL}
+     AND (
+       t.status = 'active'
+       OR (e.status = 'cancelled' AND EXISTS (SELECT 1 FROM event_cancellation_refunds r WHERE r.ticket_id = t.id))
+     )
+     AND COALESCE(e.end_datetime, e.start_datetime) > NOW() - ($2 || ' days')::INTERVAL
+     GROUP BY e.id
+     ORDER BY e.start_datetime;`,
+    [userId, FEED_HISTORY_DAYS]
+  );
+
+  return result.rows.map(({ ticket_types, ...event }) => {
+    const counts = {};
+    for (const type of ticket_types || []) {
+      counts[type] = (counts[type] || 0) + 1;
+    }
+    const summary = Object.entries(counts).map(([type, count]) => `${count} x ${type}`).join(', ');
+    return { ...event, notes: summary ? [`Your tickets: ${summary}`] : [] };
+  });
+}
+
+// Every event the user is on the team of, drafts included
+export async function getOrganizerFeedEvents(userId) {
+  const result = await pool.query(
+    `SELECT ${CALENDAR_EVENT_COLUMNS}, m.role, e.tickets_sold, e.total_tickets
+     FROM events e
+     JOIN event_members m ON m.event_id = e.id AND m.user_id = $1
+     WHERE COALESCE(e.end_datetime, e.start_datetime) > NOW() - ($2 || ' days')::INTERVAL
+     ORDER BY e.start_datetime;`,
+    [userId, FEED_HISTORY_DAYS]
+  );
+
+  return result.rows.map(({ role, tickets_sold, total_tickets, ...event }) => ({
+    ...event,
+    notes: [`Status: ${event.status}. Your role: ${role}. Tickets sold: ${tickets_sold} of ${total_tickets}.`]
+  }));
+}
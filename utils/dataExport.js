@@ -0,0 +1,139 @@
+// Personal data export (GDPR right of access)
+// Collects every record tied to a user. Secrets (password hash, TOTP secret,
+// token hashes) are never included.
+import pool from '../db.js';
+import { getUserRelationCounts } from './dbHelpers.js';
+import { createZip } from './zip.js';
+import { APPLICATION_COLUMNS } from './organizerApplications.js';
+import { ROLES_SQL } from './roles.js';
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+/* --------------------------------------
+   Build the export - returns null when the user does not exist
+-------------------------------------- */
+export async function buildUserDataExport(userId) {
+  const profileResult = await pool.query(
+    `SELECT id, first_name, last_name, email, role, ${ROLES_SQL}, created_at, email_verified_at,
+            password_changed_at, totp_enabled_at, suspended_at, suspended_reason
+     FROM users u WHERE id = $1;`,
+    [userId]
+  );
+
+  if (profileResult.rows.length === 0) {
+    return null;
+  }
+
+  const [tickets, transactions, waitlist, events, sessions, identities, apiKeys, organizerProfile, teamMemberships, applications, calendarFeeds] = await Promise.all([
+    pool.query(
+      `SELECT t.id, t.event_id, e.title AS event_name, e.location, e.start_datetime, e.end_datetime,
+              t.ticket_type_id, tt.type AS ticket_type, tt.price AS ticket_price,
+              t.transaction_id, t.status, t.issued_at
+       FROM tickets t
+       JOIN events e ON t.event_id = e.id
+       LEFT JOIN ticket_types tt ON t.ticket_type_id = tt.id
+       WHERE t.user_id = $1
+       ORDER BY t.issued_at;`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT * FROM transactions WHERE user_id = $1 ORDER BY created_at;`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT w.*, e.title AS event_name
+       FROM waitlist w
+       JOIN events e ON w.event_id = e.id
+       WHERE w.user_id = $1
+       ORDER BY w.id;`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT e.*,
+              COALESCE(
+                (SELECT json_agg(tt ORDER BY tt.id) FROM ticket_types tt WHERE tt.event_id = e.id),
+                '[]'
+              ) AS ticket_types
+       FROM events e
+       WHERE e.organizer_id = $1
+       ORDER BY e.id;`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT device_name, user_agent, ip_address, created_at, last_seen_at, expires_at, revoked_at
+       FROM user_sessions WHERE user_id = $1
+       ORDER BY created_at;`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT provider, subject, email, created_at, last_login_at
+       FROM user_identities WHERE user_id = $1
+       ORDER BY created_at;`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT name, key_prefix, scopes, created_at, expires_at, last_used_at, last_used_ip, revoked_at
+       FROM api_keys WHERE user_id = $1
+       ORDER BY created_at;`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT slug, display_name, bio, logo_url, website_url, contact_email, social_links, created_at, updated_at
+       FROM organizer_profiles WHERE user_id = $1;`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT m.event_id, e.title AS event_name, m.role, m.created_at
+       FROM event_members m
+       JOIN events e ON m.event_id = e.id
+       WHERE m.user_id = $1
+       ORDER BY m.created_at;`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT ${APPLICATION_COLUMNS} FROM organizer_applications
+       WHERE user_id = $1
+       ORDER BY created_at;`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT kind, created_at, last_used_at
+       FROM calendar_feeds WHERE user_id = $1
+       ORDER BY kind;`,
+      [userId]
+    )
+  ]);
+
+  return {
+    export_format_version: EXPORT_FORMAT_VERSION,
+    generated_at: new Date().toISOString(),
+    profile: profileResult.rows[0],
+    organizer_profile: organizerProfile.rows[0] || null,
+    related_counts: await getUserRelationCounts(userId),
+    tickets: tickets.rows,
+    transactions: transactions.rows,
+    waitlist: waitlist.rows,
+    organized_events: events.rows,
+    sessions: sessions.rows,
+    linked_identities: identities.rows,
+    api_keys: apiKeys.rows,
+    event_team_memberships: teamMemberships.rows,
+    organizer_applications: applications.rows,
+    calendar_feeds: calendarFeeds.rows
+  };
+}
+
+/* --------------------------------------
+   ZIP archive: the full export plus one file per section
+-------------------------------------- */
+export function createUserDataArchive(data) {
+  const sections = ['profile', 'organizer_profile', 'tickets', 'transactions', 'waitlist', 'organized_events', 'sessions', 'linked_identities', 'api_keys', 'event_team_memberships', 'organizer_applications', 'calendar_feeds'];
+
+  return createZip([
+    { name: 'export.json', content: JSON.stringify(data, null, 2) },
+    ...sections.map(section => ({
+      name: `${section}.json`,
+      content: JSON.stringify(data[section], null, 2)
+    }))
+  ]);
+}
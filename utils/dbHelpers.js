@@ -1,6 +1,16 @@
 // Database helper functions to eliminate code duplication
 import pool from '../db.js';
 
+/* --------------------------------------
+   A user's tickets with their event and ticket type ($1 = user id)
+   Shared by GET /tickets/user/:user_id and the calendar feed
+-------------------------------------- */
+export const USER_TICKETS_FROM_SQL = `FROM tickets t
+      JOIN users u ON t.user_id = u.id
+      JOIN events e ON t.event_id = e.id
+      LEFT JOIN ticket_types tt ON t.ticket_type_id = tt.id
+      WHERE t.user_id = $1`;
+
 /* --------------------------------------
    Check if User Exists
 -------------------------------------- */
@@ -68,14 +78,57 @@ export async function getTicketTypeById(ticketTypeId) {
 }
 
 /* --------------------------------------
-   Check if User Owns Event
+   Count the records tied to a user
 -------------------------------------- */
-export async function userOwnsEvent(userId, eventId) {
+export async function getUserRelationCounts(userId) {
   const result = await pool.query(
-    'SELECT id FROM events WHERE id = $1 AND organizer_id = $2',
-    [eventId, userId]
+    `
+    SELECT
+      (SELECT COUNT(*) FROM events WHERE organizer_id = $1) AS event_count,
+      (SELECT COUNT(*) FROM transactions WHERE user_id = $1) AS transaction_count,
+      (SELECT COUNT(*) FROM tickets WHERE user_id = $1) AS ticket_count,
+      (SELECT COUNT(*) FROM waitlist WHERE user_id = $1) AS waitlist_count;
+    `,
+    [userId]
   );
-  return result.rows.length > 0;
+  return result.rows[0];
+}
+
+/* --------------------------------------
+   Resync All Ticket Counts from actual tickets
+-------------------------------------- */
+export async function syncAllTicketCounts() {
+  // 1. Update all ticket_types.tickets_sold based on actual tickets
+  const result = await pool.query(`
+    UPDATE ticket_types tt
+    SET tickets_sold = (
+      SELECT COUNT(*) FROM tickets t 
+      WHERE t.ticket_type_id = tt.id
+    )
+    -- Tickets of cancelled events are all refunded
+    WHERE NOT EXISTS (
+      SELECT 1 FROM events e WHERE e.id = tt.event_id AND e.status = 'cancelled'
+    )
+    RETURNING id, type, tickets_sold, total_tickets;
+  `);
+
+  // 2. Update all events.total_tickets and tickets_sold from ticket_types
+  await pool.query(`
+    UPDATE events e
+    SET 
+      total_tickets = (
+        SELECT COALESCE(SUM(total_tickets), 0)
+        FROM ticket_types
+        WHERE event_id = e.id
+      ),
+      tickets_sold = (
+        SELECT COALESCE(SUM(tickets_sold), 0)
+        FROM ticket_types
+        WHERE event_id = e.id
+      );
+  `);
+
+  return result.rows;
 }
 
 /* --------------------------------------
@@ -0,0 +1,194 @@
+// Transactional email content - delivered through utils/mailer.js
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Names, titles and notes come from users and identity providers - never trust them as HTML
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/* --------------------------------------
+   Password Reset
+-------------------------------------- */
+export function passwordResetEmail(user, token, expiresInMinutes) {
+  const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Reset your EventGo password',
+    text: `Hi ${user.first_name},\n\n`
+      + `We received a request to reset your EventGo password. Open the link below to choose a new one:\n\n`
+      + `${link}\n\n`
+      + `The link expires in ${expiresInMinutes} minutes and can only be used once. `
+      + `If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>`
+      + `<p>We received a request to reset your EventGo password.</p>`
+      + `<p><a href="${escapeHtml(link)}">Choose a new password</a></p>`
+      + `<p>The link expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once. `
+      + `If you didn't ask for this, you can ignore this email.</p>`
+  };
+}
+
+/* --------------------------------------
+   Email Verification
+-------------------------------------- */
+export function emailVerificationEmail(user, token) {
+  const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Confirm your EventGo email address',
+    text: `Hi ${user.first_name},\n\n`
+      + `Please confirm that this is your email address so we can deliver your tickets and waitlist offers:\n\n`
+      + `${link}\n\n`
+      + `The link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>`
+      + `<p>Please confirm that this is your email address so we can deliver your tickets and waitlist offers.</p>`
+      + `<p><a href="${escapeHtml(link)}">Confirm email address</a></p>`
+      + `<p>The link expires in 24 hours.</p>`
+  };
+}
+
+/* --------------------------------------
+   Account Locked (too many failed logins)
+-------------------------------------- */
+export function accountLockedEmail(user, token, lockoutMinutes) {
+  const link = `${FRONTEND_URL}/unlock-account?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Your EventGo account was temporarily locked',
+    text: `Hi ${user.first_name},\n\n`
+      + `We locked your EventGo account for ${lockoutMinutes} minutes after several failed login attempts.\n\n`
+      + `If this was you, you can unlock it right away:\n\n`
+      + `${link}\n\n`
+      + `If it wasn't you, someone may be guessing your password. Consider resetting it.`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>`
+      + `<p>We locked your EventGo account for ${escapeHtml(lockoutMinutes)} minutes after several failed login attempts.</p>`
+      + `<p>If this was you, you can <a href="${escapeHtml(link)}">unlock it right away</a>.</p>`
+      + `<p>If it wasn't you, someone may be guessing your password. Consider resetting it.</p>`
+  };
+}
+
+/* --------------------------------------
+   Event Team Invitation
+-------------------------------------- */
+export function eventInvitationEmail(invitation, event, inviter, expiresInDays) {
+  const link = `${FRONTEND_URL}/event-invitations/accept?token=${encodeURIComponent(invitation.token)}`;
+  const inviterName = `${inviter.first_name} ${inviter.last_name}`;
+
+  return {
+    to: invitation.email,
+    subject: `You're invited to help run "${event.title}" on EventGo`,
+    text: `Hi,\n\n`
+      + `${inviterName} invited you to join the team for "${event.title}" as ${invitation.role}.\n\n`
+      + `Log in to EventGo with this email address and open the link below to accept:\n\n`
+      + `${link}\n\n`
+      + `The invitation expires in ${expiresInDays} days. If you weren't expecting it, you can ignore this email.`,
+    html: `<p>Hi,</p>`
+      + `<p>${escapeHtml(inviterName)} invited you to join the team for "${escapeHtml(event.title)}" as ${escapeHtml(invitation.role)}.</p>`
+      + `<p>Log in to EventGo with this email address, then <a href="${escapeHtml(link)}">accept the invitation</a>.</p>`
+      + `<p>The invitation expires in ${escapeHtml(expiresInDays)} days. If you weren't expecting it, you can ignore this email.</p>`
+  };
+}
+
+/* --------------------------------------
+   Organizer Application Decision
+-------------------------------------- */
+export function organizerApplicationDecisionEmail(user, application) {
+  const approved = application.status === 'approved';
+  const link = `${FRONTEND_URL}/organizer`;
+  const reason = application.review_notes ? `\n\nReviewer notes: ${application.review_notes}` : '';
+
+  return {
+    to: user.email,
+    subject: approved
+      ? 'Your EventGo organizer application was approved'
+      : 'Your EventGo organizer application was not approved',
+    text: `Hi ${user.first_name},\n\n`
+      + (approved
+        ? `Good news - your organizer application for ${application.company_name} was approved. `
+          + `You can start creating events right away:\n\n${link}`
+        : `Unfortunately we could not approve your organizer application for ${application.company_name}.`
+          + `${reason}\n\nYou are welcome to submit a new application with updated details.`),
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>`
+      + (approved
+        ? `<p>Good news - your organizer application for ${escapeHtml(application.company_name)} was approved.</p>`
+          + `<p><a href="${escapeHtml(link)}">Start creating events</a></p>`
+        : `<p>Unfortunately we could not approve your organizer application for ${escapeHtml(application.company_name)}.</p>`
+          + (application.review_notes ? `<p>Reviewer notes: ${escapeHtml(application.review_notes)}</p>` : '')
+          + `<p>You are welcome to submit a new application with updated details.</p>`)
+  };
+}
+
+/* --------------------------------------
+   Magic Link Sign-in
+-------------------------------------- */
+export function magicLinkEmail(user, token, expiresInMinutes) {
+  const link = `${FRONTEND_URL}/magic-link?token=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Your EventGo sign-in link',
+    text: `Hi ${user.first_name},\n\n`
+      + `Open the link below to sign in to EventGo - no password needed:\n\n`
+      + `${link}\n\n`
+      + `The link expires in ${expiresInMinutes} minutes and can only be used once. `
+      + `If you didn't ask for it, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>`
+      + `<p><a href="${escapeHtml(link)}">Sign in to EventGo</a> - no password needed.</p>`
+      + `<p>The link expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once. `
+      + `If you didn't ask for it, you can ignore this email.</p>`
+  };
+}
+
+/* --------------------------------------
+   Event Cancelled - ticket holders
+   refund: { tickets, amount } for this user
+-------------------------------------- */
+export function eventCancelledEmail(user, event, cancellation, refund) {
+  const link = `${FRONTEND_URL}/my-tickets`;
+  const amount = `€${refund.amount.toFixed(2)}`;
+  const ticketCount = refund.tickets === 1 ? '1 ticket' : `${refund.tickets} tickets`;
+
+  return {
+    to: user.email,
+    subject: `"${event.title}" has been cancelled`,
+    text: `Hi ${user.first_name},\n\n`
+      + `We're sorry - "${event.title}" has been cancelled by the organizer.`
+      + (cancellation.reason ? `\n\nReason: ${cancellation.reason}` : '')
+      + `\n\nYour ${ticketCount} have been refunded in full (${amount}). `
+      + `You can see the refund in your tickets:\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>`
+      + `<p>We're sorry - "${escapeHtml(event.title)}" has been cancelled by the organizer.</p>`
+      + (cancellation.reason ? `<p>Reason: ${escapeHtml(cancellation.reason)}</p>` : '')
+      + `<p>Your ${escapeHtml(ticketCount)} have been refunded in full (${escapeHtml(amount)}). `
+      + `You can see the refund in <a href="${escapeHtml(link)}">your tickets</a>.</p>`
+  };
+}
+
+/* --------------------------------------
+   Event Cancelled - waitlisted users
+-------------------------------------- */
+export function eventCancelledWaitlistEmail(user, event, cancellation) {
+  const link = `${FRONTEND_URL}/events`;
+
+  return {
+    to: user.email,
+    subject: `"${event.title}" has been cancelled`,
+    text: `Hi ${user.first_name},\n\n`
+      + `"${event.title}", which you were on the waitlist for, has been cancelled by the organizer.`
+      + (cancellation.reason ? `\n\nReason: ${cancellation.reason}` : '')
+      + `\n\nYou have been removed from the waitlist and nothing was charged. `
+      + `Have a look at other upcoming events:\n\n${link}`,
+    html: `<p>Hi ${escapeHtml(user.first_name)},</p>`
+      + `<p>"${escapeHtml(event.title)}", which you were on the waitlist for, has been cancelled by the organizer.</p>`
+      + (cancellation.reason ? `<p>Reason: ${escapeHtml(cancellation.reason)}</p>` : '')
+      + `<p>You have been removed from the waitlist and nothing was charged. `
+      + `Have a look at <a href="${escapeHtml(link)}">other upcoming events</a>.</p>`
+  };
+}
@@ -0,0 +1,144 @@
+// Event images - validation, resizing and storage
+// Every upload is checked by decoding it (the Content-Type header is not trusted),
+// turned upright, stripped of metadata such as GPS position, and stored as the
+// original plus fixed-size JPEG renditions through utils/storage.js.
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { putFile, deleteFile, fileUrl } from './storage.js';
+
+// Accepted uploads: Content-Type -> format reported by sharp
+export const IMAGE_CONTENT_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+export const MAX_GALLERY_IMAGES = 30;
+export const MAX_IMAGES_PER_UPLOAD = 10;
+
+const MIN_IMAGE_DIMENSION = 200;
+// Refuse decompression bombs before decoding (about 8000 x 5000)
+const MAX_IMAGE_PIXELS = 40000000;
+
+// Standard sizes: cover-cropped 16:9 for listings, and a large one that keeps the aspect ratio
+export const RENDITIONS = {
+  thumbnail: { width: 320, height: 180, fit: 'cover' },
+  card: { width: 800, height: 450, fit: 'cover' },
+  large: { width: 1920, height: 1920, fit: 'inside' }
+};
+
+/* --------------------------------------
+   Image Validation + resizing - returns {valid, message, value}
+   file: { buffer, mimetype, size } from multer
+   value: { format, width, height, files: { original, thumbnail, ... } }
+   where each file is { buffer, width, height, extension }
+-------------------------------------- */
+export async function processImage(file) {
+  const allowed = Object.keys(IMAGE_CONTENT_TYPES).map(type => type.replace('image/', '').toUpperCase()).join(', ');
+
+  if (!Object.hasOwn(IMAGE_CONTENT_TYPES, file.mimetype)) {
+    return { valid: false, message: `'${file.originalname}' is not an accepted image. Allowed: ${allowed}` };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).metadata();
+  } catch {
+    return { valid: false, message: `'${file.originalname}' could not be read as an image, or it is larger than ${MAX_IMAGE_PIXELS / 1000000} megapixels` };
+  }
+
+  if (metadata.format !== IMAGE_CONTENT_TYPES[file.mimetype]) {
+    return { valid: false, message: `'${file.originalname}' is not a valid ${IMAGE_CONTENT_TYPES[file.mimetype].toUpperCase()} file. Allowed: ${allowed}` };
+  }
+
+  // EXIF orientations 5-8 are stored sideways
+  const [width, height] = metadata.orientation >= 5
+    ? [metadata.height, metadata.width]
+    : [metadata.width, metadata.height];
+
+  if (Math.min(width, height) < MIN_IMAGE_DIMENSION) {
+    return { valid: false, message: `'${file.originalname}' is too small - images need to be at least ${MIN_IMAGE_DIMENSION} x ${MIN_IMAGE_DIMENSION} pixels` };
+  }
+
+  const image = () => sharp(file.buffer, { limitInputPixels: MAX_IMAGE_PIXELS }).rotate();
+
+  const original = await image().toFormat(metadata.format).toBuffer({ resolveWithObject: true });
+  const files = {
+    original: { buffer: original.data, width: original.info.width, height: original.info.height, extension: metadata.format === 'jpeg' ? 'jpg' : metadata.format }
+  };
+
+  for (const [name, size] of Object.entries(RENDITIONS)) {
+    const rendition = await image()
+      .resize({ width: size.width, height: size.height, fit: size.fit, withoutEnlargement: size.fit === 'inside' })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 82, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+    files[name] = { buffer: rendition.data, width: rendition.info.width, height: rendition.info.height, extension: 'jpg' };
+  }
+
+  return { valid: true, value: { format: metadata.format, width, height, files } };
+}
+
+/* --------------------------------------
+   Store the files of a processed image
+   Returns the renditions map for event_images.renditions:
+   { original: { key, width, height }, thumbnail: { ... }, ... }
+-------------------------------------- */
+export async function storeImageFiles(eventId, processed) {
+  const prefix = `events/${eventId}/${crypto.randomUUID()}`;
+  const renditions = {};
+
+  try {
+    for (const [name, file] of Object.entries(processed.files)) {
+      const key = `${prefix}/${name}.${file.extension}`;
+      await putFile(key, file.buffer, name === 'original' ? `image/${processed.format}` : 'image/jpeg');
+      renditions[name] = { key, width: file.width, height: file.height };
+    }
+  } catch (err) {
+    await deleteImageFiles(renditions);
+    throw err;
+  }
+
+  return renditions;
+}
+
+/* --------------------------------------
+   Remove an image's files - failures are logged, never thrown,
+   so a storage hiccup cannot undo a database change
+-------------------------------------- */
+export async function deleteImageFiles(renditions) {
+  for (const { key } of Object.values(renditions || {})) {
+    try {
+      await deleteFile(key);
+    } catch (err) {
+      console.error(`Error deleting stored image file ${key}:`, err);
+    }
+  }
+}
+
+// Cover image of an event as JSON, for event queries with alias e
+export const EVENT_COVER_SQL = `(
+  SELECT json_build_object('id', i.id, 'kind', i.kind, 'position', i.position, 'alt_text', i.alt_text,
+                           'width', i.width, 'height', i.height, 'renditions', i.renditions)
+  FROM event_images i WHERE i.event_id = e.id AND i.kind = 'cover'
+) AS cover_image`;
+
+/* --------------------------------------
+   event_images row (or EVENT_COVER_SQL object) -> API shape with URLs
+-------------------------------------- */
+export function imageResponse(image) {
+  if (!image) {
+    return null;
+  }
+
+  return {
+    id: image.id,
+    kind: image.kind,
+    position: image.position,
+    alt_text: image.alt_text,
+    width: image.width,
+    height: image.height,
+    urls: Object.fromEntries(Object.entries(image.renditions).map(([name, file]) => [name, fileUrl(file.key)]))
+  };
+}
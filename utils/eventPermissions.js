@@ -0,0 +1,47 @@
+// Per-event permissions for event teams - used by utils/policy.js
+// events.organizer_id is always the owner; other members come from event_members.
+import pool from '../db.js';
+
+export const EVENT_ROLES = ['owner', 'manager', 'finance', 'scanner'];
+
+const ROLE_PERMISSIONS = {
+  owner: ['event:edit', 'event:publish', 'event:cancel', 'event:delete', 'ticket_type:manage', 'event:analytics', 'ticket:refund', 'attendee:view', 'team:view', 'team:manage'],
+  manager: ['event:edit', 'event:publish', 'ticket_type:manage', 'event:analytics', 'attendee:view', 'team:view', 'team:manage'],
+  finance: ['event:analytics', 'ticket:refund', 'attendee:view'],
+  scanner: ['attendee:view']
+};
+
+// Roles a member may hand out - managers cannot create other managers
+export const ASSIGNABLE_ROLES = {
+  owner: ['manager', 'finance', 'scanner'],
+  manager: ['finance', 'scanner']
+};
+
+export function roleHasPermission(role, permission) {
+  return Boolean(role && ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+export function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/* --------------------------------------
+   A user's role on an event
+   Returns { found: false } when the event does not exist
+-------------------------------------- */
+export async function getEventRole(userId, eventId) {
+  const result = await pool.query(
+    `SELECT e.organizer_id, m.role
+     FROM events e
+     LEFT JOIN event_members m ON m.event_id = e.id AND m.user_id = $1
+     WHERE e.id = $2;`,
+    [userId, eventId]
+  );
+
+  if (result.rows.length === 0) {
+    return { found: false, role: null };
+  }
+
+  const { organizer_id, role } = result.rows[0];
+  return { found: true, role: organizer_id === userId ? 'owner' : role };
+}
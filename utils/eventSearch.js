@@ -0,0 +1,31 @@
+// Full-text event search
+// event_search_documents is maintained by triggers (migrations/017_event_search.js).
+// Every search term is matched as a prefix so results show up while typing.
+export const SEARCH_CONFIG = 'english';
+
+const MAX_SEARCH_TERMS = 8;
+
+// ts_headline options - the whole title, but only the matching fragments of the description
+export const TITLE_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+export const SNIPPET_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+/* --------------------------------------
+   Turn user input into a prefix tsquery
+   "Jazz fest" becomes "jazz:* & fest:*". Only letters and digits are kept,
+   so the result is always valid tsquery syntax. Returns null if nothing is left.
+-------------------------------------- */
+export function buildPrefixQuery(search) {
+  if (!search || typeof search !== 'string') {
+    return null;
+  }
+
+  const terms = search.toLowerCase().match(/[\p{L}\p{N}]+/gu);
+  if (!terms) {
+    return null;
+  }
+
+  return terms
+    .slice(0, MAX_SEARCH_TERMS)
+    .map(term => `${term}:*`)
+    .join(' & ');
+}
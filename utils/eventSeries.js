@@ -0,0 +1,201 @@
+// Event series - generating and editing occurrences
+// Occurrences are ordinary events (events.series_id), so tickets, waitlists,
+// analytics and search work on them unchanged.
+import { validateString, validateNumber } from '../middleware/validation.js';
+import { replaceEventTags } from './eventTaxonomy.js';
+
+export const SERIES_COLUMNS = `id, organizer_id, title, description, location, venue_id, category, tags, rrule, timezone, first_start, duration_minutes, exdates::text[] AS exdates, created_at, updated_at`;
+
+export const MAX_TEMPLATE_TICKET_TYPES = 20;
+
+/* --------------------------------------
+   Template ticket types Validation - returns {valid, message, value}
+   [{ "type": "Parterre", "price": 35, "total_tickets": 300 }, ...]
+-------------------------------------- */
+export function validateTicketTypeTemplates(ticketTypes) {
+  if (!Array.isArray(ticketTypes) || ticketTypes.length === 0) {
+    return { valid: false, message: 'ticket_types must list at least one ticket type, e.g. [{ "type": "Standard", "price": 20, "total_tickets": 100 }]' };
+  }
+
+  if (ticketTypes.length > MAX_TEMPLATE_TICKET_TYPES) {
+    return { valid: false, message: `A series can have at most ${MAX_TEMPLATE_TICKET_TYPES} ticket types` };
+  }
+
+  const value = [];
+  for (const ticketType of ticketTypes) {
+    const typeValidation = validateString(ticketType?.type, 'Ticket type name', 2, 100);
+    if (!typeValidation.valid) return typeValidation;
+
+    const priceValidation = validateNumber(ticketType.price, 'Price', 0, 1000000);
+    if (!priceValidation.valid) return priceValidation;
+
+    const ticketsValidation = validateNumber(ticketType.total_tickets, 'Total tickets', 1, 100000);
+    if (!ticketsValidation.valid) return ticketsValidation;
+
+    value.push({ type: typeValidation.value, price: priceValidation.value, total_tickets: Math.floor(ticketsValidation.value) });
+  }
+
+  return { valid: true, value };
+}
+
+/* --------------------------------------
+   Exceptions Validation - returns {valid, message, value}
+   ["2026-12-24", "2026-12-31"] - local dates in the series' time zone
+-------------------------------------- */
+export function validateExdates(exdates) {
+  if (exdates === undefined || exdates === null) {
+    return { valid: true, value: [] };
+  }
+
+  if (!Array.isArray(exdates) || exdates.some(date => typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) {
+    return { valid: false, message: 'exdates must be a list of dates like "2026-12-24"' };
+  }
+
+  return { valid: true, value: [...new Set(exdates)].sort() };
+}
+
+/* --------------------------------------
+   Create the occurrences of a new series - call inside a transaction
+   series: row from event_series, occurrences: [{ start: Date, date }] from expandOccurrences
+   Each occurrence gets the series' details, an owner membership, the tags
+   and its own copy of the template ticket types. status: 'draft' or 'published'
+   Returns the new events: [{ event_id, occurrence_date, start_datetime, end_datetime }]
+-------------------------------------- */
+export async function createOccurrences(db, series, occurrences, { latitude = null, longitude = null, totalTickets, status = 'draft' }) {
+  const durationMs = series.duration_minutes * 60 * 1000;
+
+  const inserted = await db.query(
+    `INSERT INTO events (title, description, start_datetime, end_datetime, location, total_tickets, organizer_id,
+                         category, latitude, longitude, venue_id, series_id, occurrence_date, status, published_at)
+     SELECT $1, $2, o.start_datetime, o.end_datetime, $3, $4, $5, $6, $7, $8, $9, $10, o.occurrence_date,
+            $14, CASE WHEN $14 = 'published' THEN NOW() END
+     FROM UNNEST($11::timestamp[], $12::timestamp[], $13::date[]) AS o(start_datetime, end_datetime, occurrence_date)
+     ORDER BY o.start_datetime
+     RETURNING id AS event_id, occurrence_date::text AS occurrence_date, start_datetime, end_datetime, status;`,
+    [
+      series.title,
+      series.description,
+      series.location,
+      totalTickets,
+      series.organizer_id,
+      series.category,
+      latitude,
+      longitude,
+      series.venue_id,
+      series.id,
+      occurrences.map(occurrence => occurrence.start.toISOString()),
+      occurrences.map(occurrence => new Date(occurrence.start.getTime() + durationMs).toISOString()),
+      occurrences.map(occurrence => occurrence.date),
+      status
+    ]
+  );
+  const eventIds = inserted.rows.map(row => row.event_id);
+
+  await db.query(
+    `INSERT INTO event_members (event_id, user_id, role)
+     SELECT id, $2, 'owner' FROM UNNEST($1::int[]) AS id;`,
+    [eventIds, series.organizer_id]
+  );
+
+  await db.query(
+    `INSERT INTO event_tags (event_id, tag)
+     SELECT id, tag FROM UNNEST($1::int[]) AS id CROSS JOIN UNNEST($2::text[]) AS tag;`,
+    [eventIds, series.tags]
+  );
+
+  await db.query(
+    `INSERT INTO ticket_types (event_id, type, price, total_tickets, tickets_sold)
+     SELECT e.id, st.type, st.price, st.total_tickets, 0
+     FROM UNNEST($1::int[]) AS e(id)
+     CROSS JOIN series_ticket_types st
+     WHERE st.series_id = $2
+     ORDER BY e.id, st.id;`,
+    [eventIds, series.id]
+  );
+
+  return inserted.rows;
+}
+
+/* --------------------------------------
+   Lock an occurrence and every later one for a venue capacity check - returns the
+   most tickets any of them needs (its total_tickets or its ticket types, whichever is more)
+-------------------------------------- */
+export async function lockFutureOccurrences(db, event) {
+  await db.query(
+    `SELECT id FROM events WHERE series_id = $1 AND start_datetime >= $2 AND status <> 'cancelled' FOR UPDATE;`,
+    [event.series_id, event.start_datetime]
+  );
+
+  const result = await db.query(
+    `SELECT COALESCE(MAX(GREATEST(e.total_tickets,
+              (SELECT COALESCE(SUM(tt.total_tickets), 0) FROM ticket_types tt WHERE tt.event_id = e.id))), 0)::int AS requested
+     FROM events e
+     WHERE e.series_id = $1 AND e.start_datetime >= $2 AND e.status <> 'cancelled';`,
+    [event.series_id, event.start_datetime]
+  );
+  return result.rows[0].requested;
+}
+
+/* --------------------------------------
+   Apply an edit to an occurrence and every later one - call inside a transaction
+   changes: fields as in PUT /events/:id (undefined = unchanged); startShiftMs and
+   endShiftMs move each occurrence by the same amount. Cancelled and completed occurrences
+   are left alone. The series template is updated too, so it keeps describing its
+   future occurrences. Returns the changed event ids.
+-------------------------------------- */
+export async function updateFutureOccurrences(db, event, changes) {
+  const { title, description, location, category, tags, coordinates, venueId, startShiftMs = 0, endShiftMs = 0 } = changes;
+
+  const result = await db.query(
+    `UPDATE events
+     SET title = COALESCE($3, title),
+         description = COALESCE($4, description),
+         location = COALESCE($5, location),
+         category = CASE WHEN $6 THEN $7 ELSE category END,
+         latitude = CASE WHEN $8 THEN $9 ELSE latitude END,
+         longitude = CASE WHEN $8 THEN $10 ELSE longitude END,
+         venue_id = CASE WHEN $11 THEN $12 ELSE venue_id END,
+         start_datetime = start_datetime + $13::float8 * INTERVAL '1 millisecond',
+         end_datetime = end_datetime + $14::float8 * INTERVAL '1 millisecond'
+     WHERE series_id = $1 AND start_datetime >= $2 AND status IN ('draft', 'published', 'postponed')
+     RETURNING id;`,
+    [
+      event.series_id,
+      event.start_datetime,
+      title,
+      description,
+      location,
+      category !== undefined,
+      category ?? null,
+      coordinates !== undefined,
+      coordinates?.latitude ?? null,
+      coordinates?.longitude ?? null,
+      venueId !== undefined,
+      venueId ?? null,
+      startShiftMs,
+      endShiftMs
+    ]
+  );
+  const eventIds = result.rows.map(row => row.id);
+
+  if (tags) {
+    for (const eventId of eventIds) {
+      await replaceEventTags(db, eventId, tags);
+    }
+  }
+
+  await db.query(
+    `UPDATE event_series
+     SET title = COALESCE($2, title),
+         description = COALESCE($3, description),
+         location = COALESCE($4, location),
+         category = CASE WHEN $5 THEN $6 ELSE category END,
+         tags = COALESCE($7, tags),
+         venue_id = CASE WHEN $8 THEN $9 ELSE venue_id END,
+         updated_at = NOW()
+     WHERE id = $1;`,
+    [event.series_id, title, description, location, category !== undefined, category ?? null, tags ?? null, venueId !== undefined, venueId ?? null]
+  );
+
+  return eventIds;
+}
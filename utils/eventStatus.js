@@ -0,0 +1,285 @@
+// Event lifecycle
+// draft -> published -> postponed | cancelled | completed; a postponed event can be
+// published again once it has a new date. Only published events are listed publicly.
+// Cancelling refunds every sold ticket, releases waitlist offers and tells everyone
+// affected by email; event_cancellations keeps the totals.
+import pool from '../db.js';
+import { recordAudit } from './auditLog.js';
+import { sendMail } from './mailer.js';
+import { eventCancelledEmail, eventCancelledWaitlistEmail } from './emails.js';
+
+export const EVENT_STATUSES = ['draft', 'published', 'postponed', 'cancelled', 'completed'];
+
+const TRANSITIONS = {
+  draft: ['published'],
+  published: ['postponed', 'cancelled', 'completed'],
+  postponed: ['published', 'cancelled'],
+  cancelled: [],
+  completed: []
+};
+
+// Statuses in which event details can still be changed
+export const EDITABLE_STATUSES = ['draft', 'published', 'postponed'];
+
+/* --------------------------------------
+   Lock an event against status changes until the transaction ends
+   Returns {valid, message} - a cancellation in progress is waited for
+-------------------------------------- */
+export async function lockEditableEvent(db, eventId) {
+  const result = await db.query(
+    `SELECT status FROM events WHERE id = $1 FOR NO KEY UPDATE;`,
+    [eventId]
+  );
+  const status = result.rows[0]?.status;
+
+  if (status && !EDITABLE_STATUSES.includes(status)) {
+    return { valid: false, message: `A ${status} event can no longer be edited` };
+  }
+  return { valid: true };
+}
+
+/* --------------------------------------
+   Status Transition Validation - returns {valid, message}
+   event: { status, start_datetime, end_datetime }
+-------------------------------------- */
+export function validateTransition(event, status) {
+  if (!EVENT_STATUSES.includes(status)) {
+    return { valid: false, message: `status must be one of ${EVENT_STATUSES.join(', ')}` };
+  }
+
+  if (!TRANSITIONS[event.status].includes(status)) {
+    const allowed = TRANSITIONS[event.status];
+    return {
+      valid: false,
+      message: allowed.length > 0
+        ? `A ${event.status} event can only become ${allowed.join(' or ')}`
+        : `A ${event.status} event cannot change status any more`
+    };
+  }
+
+  const endsAt = new Date(event.end_datetime || event.start_datetime);
+  if (status === 'published' && new Date(event.start_datetime) < new Date()) {
+    return { valid: false, message: "Move the event to a future date before publishing it" };
+  }
+  if (status === 'completed' && endsAt > new Date()) {
+    return { valid: false, message: "An event can only be completed after it has ended" };
+  }
+
+  return { valid: true };
+}
+
+/* --------------------------------------
+   Change an event's status and audit it - call inside a transaction
+   after validateTransition. Cancelling goes through cancelEvent instead.
+-------------------------------------- */
+export async function changeEventStatus(db, event, status, { actorId, ip }) {
+  const result = await db.query(
+    `UPDATE events
+     SET status = $2,
+         status_changed_at = NOW(),
+         published_at = CASE WHEN $2 = 'published' THEN COALESCE(published_at, NOW()) ELSE published_at END
+     WHERE id = $1
+     RETURNING *;`,
+    [event.id, status]
+  );
+
+  await recordAudit(db, {
+    actorId,
+    action: `event.${status}`,
+    targetType: 'event',
+    targetId: event.id,
+    metadata: { from_status: event.status, to_status: status },
+    ip
+  });
+
+  return result.rows[0];
+}
+
+/* --------------------------------------
+   Cancel an event - call inside a transaction after validateTransition
+   - active and pending_return tickets are refunded at what was paid for them (their
+     share of the purchase transaction), with one refund transaction per buyer
+   - waitlist offers (reserved tickets) are released and the waitlist emptied
+   Returns { event, cancellation, holders, waitlisted } - pass the last three
+   to notifyEventCancellation after COMMIT
+-------------------------------------- */
+export async function cancelEvent(db, event, { actorId, reason = null, ip }) {
+  const eventResult = await db.query(
+    `UPDATE events SET status = 'cancelled', status_changed_at = NOW(), tickets_sold = 0
+     WHERE id = $1
+     RETURNING *;`,
+    [event.id]
+  );
+
+  const cancellationResult = await db.query(
+    `INSERT INTO event_cancellations (event_id, cancelled_by, reason)
+     VALUES ($1, $2, $3)
+     RETURNING id;`,
+    [event.id, actorId, reason]
+  );
+  const cancellationId = cancellationResult.rows[0].id;
+
+  // 1. Refund sold tickets at what was paid - a purchase is one transaction
+  //    for all its tickets, and ticket types may have changed price since
+  const refundedResult = await db.query(
+    `WITH refunded AS (
+       UPDATE tickets SET status = 'refunded'
+       WHERE event_id = $1 AND status IN ('active', 'pending_return')
+       RETURNING id, user_id, transaction_id
+     )
+     SELECT r.id, r.user_id, r.transaction_id,
+            COALESCE(ROUND(tx.total_price / NULLIF(
+              (SELECT COUNT(*) FROM tickets t WHERE t.transaction_id = tx.id), 0
+            ), 2), 0) AS amount
+     FROM refunded r
+     LEFT JOIN transactions tx ON tx.id = r.transaction_id
+     ORDER BY r.id;`,
+    [event.id]
+  );
+  const refunded = refundedResult.rows;
+
+  // One refund per buyer, in cents to avoid rounding drift
+  const perUser = new Map();
+  for (const ticket of refunded) {
+    const entry = perUser.get(ticket.user_id) || { tickets: 0, cents: 0 };
+    entry.tickets++;
+    entry.cents += Math.round(Number(ticket.amount) * 100);
+    perUser.set(ticket.user_id, entry);
+  }
+  const userIds = [...perUser.keys()];
+
+  const refundTransactions = await db.query(
+    `INSERT INTO transactions (user_id, total_price, status, payment_method)
+     SELECT r.user_id, -r.amount, 'refunded', 'event_cancellation'
+     FROM UNNEST($1::int[], $2::numeric[]) AS r(user_id, amount)
+     RETURNING id, user_id;`,
+    [userIds, userIds.map(userId => perUser.get(userId).cents / 100)]
+  );
+  const refundTransactionIds = new Map(refundTransactions.rows.map(row => [row.user_id, row.id]));
+
+  await db.query(
+    `INSERT INTO event_cancellation_refunds (cancellation_id, ticket_id, user_id, amount, refund_transaction_id)
+     SELECT $1, r.ticket_id, r.user_id, r.amount, r.refund_transaction_id
+     FROM UNNEST($2::int[], $3::int[], $4::numeric[], $5::int[]) AS r(ticket_id, user_id, amount, refund_transaction_id);`,
+    [
+      cancellationId,
+      refunded.map(ticket => ticket.id),
+      refunded.map(ticket => ticket.user_id),
+      refunded.map(ticket => ticket.amount),
+      refunded.map(ticket => refundTransactionIds.get(ticket.user_id))
+    ]
+  );
+
+  await db.query(
+    `UPDATE transactions SET status = 'refunded' WHERE id = ANY($1::int[]);`,
+    [[...new Set(refunded.map(ticket => ticket.transaction_id))]]
+  );
+
+  await db.query(`UPDATE ticket_types SET tickets_sold = 0 WHERE event_id = $1;`, [event.id]);
+
+  // 2. Release waitlist offers - nothing was paid for them yet
+  const releasedResult = await db.query(
+    `WITH released AS (
+       DELETE FROM tickets WHERE event_id = $1 AND status = 'reserved'
+       RETURNING transaction_id
+     )
+     UPDATE transactions SET status = 'cancelled'
+     WHERE id IN (SELECT transaction_id FROM released)
+     RETURNING id;`,
+    [event.id]
+  );
+
+  const waitlistResult = await db.query(
+    `WITH removed AS (
+       DELETE FROM waitlist WHERE event_id = $1
+       RETURNING user_id
+     )
+     SELECT DISTINCT u.id, u.email, u.first_name
+     FROM removed r
+     JOIN users u ON u.id = r.user_id
+     WHERE u.deleted_at IS NULL;`,
+    [event.id]
+  );
+
+  // 3. Who gets told about the refund
+  const holdersResult = await db.query(
+    `SELECT id, email, first_name FROM users WHERE id = ANY($1::int[]) AND deleted_at IS NULL;`,
+    [userIds]
+  );
+  const holders = holdersResult.rows.map(user => ({
+    user,
+    tickets: perUser.get(user.id).tickets,
+    amount: perUser.get(user.id).cents / 100
+  }));
+
+  const totalCents = [...perUser.values()].reduce((sum, entry) => sum + entry.cents, 0);
+  const cancellation = await db.query(
+    `UPDATE event_cancellations
+     SET tickets_refunded = $2, amount_refunded = $3, reservations_released = $4
+     WHERE id = $1
+     RETURNING *;`,
+    [cancellationId, refunded.length, totalCents / 100, releasedResult.rowCount]
+  );
+
+  await recordAudit(db, {
+    actorId,
+    action: 'event.cancelled',
+    targetType: 'event',
+    targetId: event.id,
+    metadata: {
+      from_status: event.status,
+      to_status: 'cancelled',
+      reason,
+      tickets_refunded: refunded.length,
+      amount_refunded: totalCents / 100
+    },
+    ip
+  });
+
+  return {
+    event: eventResult.rows[0],
+    cancellation: cancellation.rows[0],
+    holders,
+    waitlisted: waitlistResult.rows
+  };
+}
+
+/* --------------------------------------
+   Email ticket holders and the waitlist about a cancellation
+   Failed emails are logged and counted, never thrown.
+   Returns the updated cancellation record
+-------------------------------------- */
+export async function notifyEventCancellation(event, cancellation, holders, waitlisted) {
+  let holdersNotified = 0;
+  let waitlistNotified = 0;
+  let failures = 0;
+
+  for (const holder of holders) {
+    try {
+      await sendMail(eventCancelledEmail(holder.user, event, cancellation, holder));
+      holdersNotified++;
+    } catch (err) {
+      failures++;
+      console.error(`Error sending cancellation email for event ${event.id} to user ${holder.user.id}:`, err);
+    }
+  }
+
+  for (const user of waitlisted) {
+    try {
+      await sendMail(eventCancelledWaitlistEmail(user, event, cancellation));
+      waitlistNotified++;
+    } catch (err) {
+      failures++;
+      console.error(`Error sending cancellation email for event ${event.id} to waitlisted user ${user.id}:`, err);
+    }
+  }
+
+  const result = await pool.query(
+    `UPDATE event_cancellations
+     SET holders_notified = $2, waitlist_notified = $3, notification_failures = $4, notified_at = NOW()
+     WHERE id = $1
+     RETURNING *;`,
+    [cancellation.id, holdersNotified, waitlistNotified, failures]
+  );
+  return result.rows[0];
+}
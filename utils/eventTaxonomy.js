@@ -0,0 +1,107 @@
+// Event categories and tags
+// Categories come from the event_categories table; tags are free-form but
+// normalized to lowercase slugs ("Live Music" -> "live-music").
+import pool from '../db.js';
+import { slugify } from './slugs.js';
+
+export const MAX_TAGS = 10;
+const MIN_TAG_LENGTH = 2;
+const MAX_TAG_LENGTH = 30;
+
+// SQL fragment for a query on "events e"
+export const EVENT_TAGS_SQL = `ARRAY(SELECT t.tag FROM event_tags t WHERE t.event_id = e.id ORDER BY t.tag) AS tags`;
+
+export async function getCategories() {
+  const result = await pool.query(
+    `SELECT slug, name FROM event_categories ORDER BY sort_order, name;`
+  );
+  return result.rows;
+}
+
+/* --------------------------------------
+   Category Validation - returns {valid, message, value}
+   null/'' clears the category
+-------------------------------------- */
+export async function validateCategory(value) {
+  if (value === null || value === '') {
+    return { valid: true, value: null };
+  }
+
+  if (typeof value !== 'string') {
+    return { valid: false, message: 'Category must be a string' };
+  }
+
+  const slug = value.trim().toLowerCase();
+  const result = await pool.query(`SELECT slug FROM event_categories WHERE slug = $1;`, [slug]);
+
+  if (result.rows.length === 0) {
+    const categories = await getCategories();
+    return {
+      valid: false,
+      message: `Unknown category '${slug}'. Available categories: ${categories.map(category => category.slug).join(', ')}`
+    };
+  }
+
+  return { valid: true, value: slug };
+}
+
+/* --------------------------------------
+   Tags Validation - returns {valid, message, value}
+   value is a sorted list of unique, normalized tags
+-------------------------------------- */
+export function validateTags(tags) {
+  if (!Array.isArray(tags)) {
+    return { valid: false, message: 'Tags must be an array of strings' };
+  }
+
+  const normalized = new Set();
+
+  for (const tag of tags) {
+    if (typeof tag !== 'string') {
+      return { valid: false, message: 'Tags must be an array of strings' };
+    }
+
+    const slug = slugify(tag, MAX_TAG_LENGTH);
+    if (slug.length < MIN_TAG_LENGTH) {
+      return { valid: false, message: `Tag '${tag}' must be at least ${MIN_TAG_LENGTH} letters or digits long` };
+    }
+    normalized.add(slug);
+  }
+
+  if (normalized.size > MAX_TAGS) {
+    return { valid: false, message: `An event can have at most ${MAX_TAGS} tags` };
+  }
+
+  return { valid: true, value: [...normalized].sort() };
+}
+
+/* --------------------------------------
+   Comma-separated (or repeated) query parameter -> normalized list
+   ?tags=jazz,Live Music and ?tags=jazz&tags=live-music both work
+-------------------------------------- */
+export function parseListParam(value) {
+  const values = Array.isArray(value) ? value : [value];
+
+  return [...new Set(
+    values
+      .filter(item => typeof item === 'string')
+      .flatMap(item => item.split(','))
+      .map(item => slugify(item, MAX_TAG_LENGTH))
+      .filter(Boolean)
+  )];
+}
+
+/* --------------------------------------
+   Replace an event's tags - db can be a transaction client
+-------------------------------------- */
+export async function replaceEventTags(db, eventId, tags) {
+  await db.query(`DELETE FROM event_tags WHERE event_id = $1;`, [eventId]);
+
+  if (tags.length > 0) {
+    await db.query(
+      `INSERT INTO event_tags (event_id, tag)
+       SELECT $1, UNNEST($2::text[]);`,
+      [eventId, tags]
+    );
+  }
+}
@@ -0,0 +1,64 @@
+// Coordinates and radius search for events
+// Distances use the geo_distance_km() SQL function (migration 019_event_coordinates.js).
+
+export const DEFAULT_RADIUS_KM = 25;
+export const MAX_RADIUS_KM = 500;
+
+// One degree of latitude is ~111 km everywhere, which gives a cheap,
+// indexable band to narrow down to before measuring exact distances
+export const KM_PER_DEGREE_LATITUDE = 111.045;
+
+/* --------------------------------------
+   Coordinates Validation - returns {valid, message, value}
+   Both must be given together; both null clears them
+-------------------------------------- */
+export function validateCoordinates(latitude, longitude) {
+  if (latitude === null && longitude === null) {
+    return { valid: true, value: { latitude: null, longitude: null } };
+  }
+
+  if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) {
+    return { valid: false, message: 'Latitude and longitude must be given together' };
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (latitude === '' || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return { valid: false, message: 'Latitude must be a number between -90 and 90' };
+  }
+
+  if (longitude === '' || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    return { valid: false, message: 'Longitude must be a number between -180 and 180' };
+  }
+
+  return { valid: true, value: { latitude: lat, longitude: lng } };
+}
+
+/* --------------------------------------
+   lat/lng/radius_km query parameters - returns {valid, message, value}
+   value is null when no geo search was requested
+-------------------------------------- */
+export function parseGeoQuery({ lat, lng, radius_km }) {
+  if (lat === undefined && lng === undefined) {
+    if (radius_km !== undefined) {
+      return { valid: false, message: 'radius_km requires lat and lng' };
+    }
+    return { valid: true, value: null };
+  }
+
+  const coordinates = validateCoordinates(lat ?? null, lng ?? null);
+  if (!coordinates.valid || coordinates.value.latitude === null) {
+    return { valid: false, message: coordinates.message || 'Latitude and longitude must be given together' };
+  }
+
+  let radiusKm = DEFAULT_RADIUS_KM;
+  if (radius_km !== undefined) {
+    radiusKm = Number(radius_km);
+    if (radius_km === '' || !Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return { valid: false, message: `radius_km must be a number greater than 0 and at most ${MAX_RADIUS_KM}` };
+    }
+  }
+
+  return { valid: true, value: { ...coordinates.value, radiusKm } };
+}
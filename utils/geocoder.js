@@ -0,0 +1,121 @@
+// Geocoding abstraction - turns an event's free-text location into coordinates
+// GEOCODER_DRIVER selects the backend:
+//   - stub:      looks up known city names in the location (default, no network)
+//   - nominatim: OpenStreetMap Nominatim at GEOCODER_URL (default https://nominatim.openstreetmap.org)
+//   - none:      never geocodes; coordinates must be sent explicitly
+// Geocoding is best effort: failures are logged and the event is saved without coordinates.
+
+const GEOCODER_USER_AGENT = process.env.GEOCODER_USER_AGENT || 'EventGo/1.0';
+const GEOCODER_TIMEOUT_MS = 5000;
+
+// City centres known to the stub driver
+const KNOWN_PLACES = [
+  { name: 'Ljubljana', latitude: 46.0569, longitude: 14.5058 },
+  { name: 'Maribor', latitude: 46.5547, longitude: 15.6459 },
+  { name: 'Celje', latitude: 46.2397, longitude: 15.2677 },
+  { name: 'Kranj', latitude: 46.2389, longitude: 14.3556 },
+  { name: 'Koper', latitude: 45.5481, longitude: 13.7302 },
+  { name: 'Novo Mesto', latitude: 45.8011, longitude: 15.1711 },
+  { name: 'Velenje', latitude: 46.3592, longitude: 15.1103 },
+  { name: 'Nova Gorica', latitude: 45.9560, longitude: 13.6484 },
+  { name: 'Ptuj', latitude: 46.4199, longitude: 15.8697 },
+  { name: 'Murska Sobota', latitude: 46.6625, longitude: 16.1664 },
+  { name: 'Bled', latitude: 46.3683, longitude: 14.1146 },
+  { name: 'Piran', latitude: 45.5283, longitude: 13.5683 },
+  { name: 'Zagreb', latitude: 45.8150, longitude: 15.9819 },
+  { name: 'Trieste', latitude: 45.6495, longitude: 13.7768 },
+  { name: 'Vienna', latitude: 48.2082, longitude: 16.3738 },
+  { name: 'London', latitude: 51.5074, longitude: -0.1278 },
+  { name: 'New York', latitude: 40.7128, longitude: -74.0060 }
+];
+
+// "Novo mesto, Glavni trg" -> "novo mesto glavni trg"
+function normalizePlace(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/* --------------------------------------
+   Drivers
+-------------------------------------- */
+function createStubDriver() {
+  // Longest names first so "Novo Mesto" wins over a shorter match
+  const places = KNOWN_PLACES
+    .map(place => ({ ...place, key: normalizePlace(place.name) }))
+    .sort((a, b) => b.key.length - a.key.length);
+
+  return {
+    geocode: async (address) => {
+      const haystack = ` ${normalizePlace(address)} `;
+      const place = places.find(candidate => haystack.includes(` ${candidate.key} `));
+      return place ? { latitude: place.latitude, longitude: place.longitude } : null;
+    }
+  };
+}
+
+function createNominatimDriver() {
+  const baseUrl = (process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org').replace(/\/+$/, '');
+
+  return {
+    geocode: async (address) => {
+      const url = `${baseUrl}/search?${new URLSearchParams({ q: address, format: 'jsonv2', limit: '1' })}`;
+      const response = await fetch(url, {
+        headers: { 'User-Agent': GEOCODER_USER_AGENT, Accept: 'application/json' },
+        signal: AbortSignal.timeout(GEOCODER_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Nominatim responded with ${response.status}`);
+      }
+
+      const [match] = await response.json();
+      return match ? { latitude: Number(match.lat), longitude: Number(match.lon) } : null;
+    }
+  };
+}
+
+function createNoneDriver() {
+  return {
+    geocode: async () => null
+  };
+}
+
+const drivers = {
+  stub: createStubDriver,
+  nominatim: createNominatimDriver,
+  none: createNoneDriver
+};
+
+let activeDriver = null;
+
+function getDriver() {
+  if (!activeDriver) {
+    const name = process.env.GEOCODER_DRIVER || 'stub';
+    if (!drivers[name]) {
+      throw new Error(`Unknown GEOCODER_DRIVER '${name}'. Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    activeDriver = drivers[name]();
+  }
+  return activeDriver;
+}
+
+/* --------------------------------------
+   Geocode
+   Returns { latitude, longitude } or null when the address is unknown
+-------------------------------------- */
+export async function geocode(address) {
+  if (!address) {
+    return null;
+  }
+
+  try {
+    return await getDriver().geocode(address);
+  } catch (err) {
+    console.error(`Geocoding failed for "${address}":`, err.message);
+    return null;
+  }
+}
@@ -0,0 +1,132 @@
+// Admin impersonation for support
+// An admin gets a short-lived, read-only token that acts as another user.
+// The token carries an act claim naming the admin; every request made with it
+// is written to the audit log, and anything other than GET/HEAD is refused.
+import crypto from 'crypto';
+import pool from '../db.js';
+import { generateImpersonationToken } from './auth.js';
+import { recordAudit } from './auditLog.js';
+import { ROLES_SQL } from './roles.js';
+
+export const IMPERSONATION_TTL_MINUTES = 15;
+
+const READ_ONLY_METHODS = ['GET', 'HEAD'];
+
+export const IMPERSONATION_COLUMNS = `id, admin_id, user_id, reason, ip_address, created_at, expires_at, ended_at, ended_by`;
+
+/* --------------------------------------
+   Start impersonating a user - returns { token, impersonation }
+-------------------------------------- */
+export async function startImpersonation(admin, user, reason, ip) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO impersonation_sessions (id, admin_id, user_id, reason, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' minutes')::INTERVAL)
+       RETURNING ${IMPERSONATION_COLUMNS};`,
+      [crypto.randomUUID(), admin.id, user.id, reason, ip, IMPERSONATION_TTL_MINUTES]
+    );
+
+    const impersonation = result.rows[0];
+
+    await recordAudit(client, {
+      actorId: admin.id,
+      action: 'impersonation.started',
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { impersonation_id: impersonation.id, reason },
+      ip
+    });
+
+    await client.query('COMMIT');
+
+    return {
+      token: generateImpersonationToken(user, admin, impersonation.id, IMPERSONATION_TTL_MINUTES),
+      impersonation
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/* --------------------------------------
+   End an impersonation early - returns the row or null if not active
+-------------------------------------- */
+export async function endImpersonation(impersonationId, actorId, ip) {
+  const result = await pool.query(
+    `UPDATE impersonation_sessions
+     SET ended_at = NOW(), ended_by = $2
+     WHERE id = $1 AND ended_at IS NULL AND expires_at > NOW()
+     RETURNING ${IMPERSONATION_COLUMNS};`,
+    [impersonationId, actorId]
+  );
+
+  const impersonation = result.rows[0];
+  if (!impersonation) {
+    return null;
+  }
+
+  await recordAudit(pool, {
+    actorId,
+    action: 'impersonation.ended',
+    targetType: 'user',
+    targetId: impersonation.user_id,
+    metadata: { impersonation_id: impersonation.id },
+    ip
+  });
+
+  return impersonation;
+}
+
+/* --------------------------------------
+   Load an impersonation for requireAuth
+   Returns null unless it is active and the admin still is one
+-------------------------------------- */
+export async function getActiveImpersonation(impersonationId, adminId, userId) {
+  const result = await pool.query(
+    `SELECT i.id, u.role, ${ROLES_SQL}, u.email_verified_at
+     FROM impersonation_sessions i
+     JOIN users a ON a.id = i.admin_id
+     JOIN users u ON u.id = i.user_id
+     WHERE i.id = $1 AND i.admin_id = $2 AND i.user_id = $3
+     AND i.ended_at IS NULL AND i.expires_at > NOW()
+     AND EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = a.id AND r.role = 'admin')
+     AND a.suspended_at IS NULL AND a.deleted_at IS NULL
+     AND u.deleted_at IS NULL;`,
+    [impersonationId, adminId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+export function isAllowedWhileImpersonating(method) {
+  return READ_ONLY_METHODS.includes(method);
+}
+
+/* --------------------------------------
+   Audit one impersonated request - call once the response is sent
+-------------------------------------- */
+export async function recordImpersonatedRequest(req, res) {
+  try {
+    await recordAudit(pool, {
+      actorId: req.user.impersonator.id,
+      action: 'impersonation.request',
+      targetType: 'user',
+      targetId: req.user.id,
+      metadata: {
+        impersonation_id: req.user.impersonation_id,
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode
+      },
+      ip: req.ip
+    });
+  } catch (err) {
+    console.error('Error recording impersonated request:', err);
+  }
+}
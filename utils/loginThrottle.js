@@ -0,0 +1,129 @@
+// Brute-force protection for login endpoints
+// Failed attempts are counted per account (email) and per IP address:
+//   - after a few free attempts every further failure adds an exponential delay
+//   - at the lockout threshold the key is locked for LOCKOUT_MINUTES
+// Counters reset after RESET_WINDOW_MINUTES without failures.
+import pool from '../db.js';
+import { generateOpaqueToken, hashToken } from './auth.js';
+
+const RESET_WINDOW_MINUTES = 15;
+const LOCKOUT_MINUTES = 15;
+const MAX_BACKOFF_SECONDS = 60;
+
+const POLICIES = {
+  account: { freeAttempts: 3, lockoutAfter: 10 },
+  ip: { freeAttempts: 10, lockoutAfter: 100 }
+};
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+/* --------------------------------------
+   Seconds until the next attempt is allowed (0 = allowed now)
+-------------------------------------- */
+export async function getLoginRetryAfter(email, ip) {
+  const result = await pool.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM (MAX(blocked_until) - NOW()))) AS retry_after
+     FROM login_attempts
+     WHERE ((scope = 'account' AND key = $1) OR (scope = 'ip' AND key = $2))
+     AND blocked_until > NOW();`,
+    [normalizeEmail(email), ip || 'unknown']
+  );
+
+  return parseInt(result.rows[0].retry_after) || 0;
+}
+
+/* --------------------------------------
+   Count one failure for a scope/key and apply backoff or lockout
+-------------------------------------- */
+async function recordFailure(scope, key) {
+  const policy = POLICIES[scope];
+
+  const result = await pool.query(
+    `INSERT INTO login_attempts (scope, key, failed_count, last_failed_at)
+     VALUES ($1, $2, 1, NOW())
+     ON CONFLICT (scope, key) DO UPDATE SET
+       failed_count = CASE
+         WHEN login_attempts.last_failed_at < NOW() - ($3 || ' minutes')::INTERVAL
+              AND (login_attempts.blocked_until IS NULL OR login_attempts.blocked_until < NOW())
+         THEN 1
+         ELSE login_attempts.failed_count + 1
+       END,
+       locked_out = CASE
+         WHEN login_attempts.blocked_until IS NULL OR login_attempts.blocked_until < NOW() THEN FALSE
+         ELSE login_attempts.locked_out
+       END,
+       last_failed_at = NOW()
+     RETURNING failed_count, locked_out;`,
+    [scope, key, RESET_WINDOW_MINUTES]
+  );
+
+  const { failed_count, locked_out } = result.rows[0];
+
+  if (failed_count >= policy.lockoutAfter && !locked_out) {
+    await pool.query(
+      `UPDATE login_attempts
+       SET blocked_until = NOW() + ($3 || ' minutes')::INTERVAL, locked_out = TRUE
+       WHERE scope = $1 AND key = $2;`,
+      [scope, key, LOCKOUT_MINUTES]
+    );
+    return { justLocked: true };
+  }
+
+  if (failed_count > policy.freeAttempts && !locked_out) {
+    const delay = Math.min(2 ** (failed_count - policy.freeAttempts - 1), MAX_BACKOFF_SECONDS);
+    await pool.query(
+      `UPDATE login_attempts
+       SET blocked_until = NOW() + ($3 || ' seconds')::INTERVAL
+       WHERE scope = $1 AND key = $2;`,
+      [scope, key, delay]
+    );
+  }
+
+  return { justLocked: false };
+}
+
+/* --------------------------------------
+   Record a failed login for both the account and the IP
+   Returns an unlock token when the account was just locked
+-------------------------------------- */
+export async function recordLoginFailure(email, ip) {
+  const account = await recordFailure('account', normalizeEmail(email));
+  await recordFailure('ip', ip || 'unknown');
+
+  if (!account.justLocked) {
+    return { accountLocked: false };
+  }
+
+  const unlockToken = generateOpaqueToken();
+  await pool.query(
+    `UPDATE login_attempts SET unlock_token_hash = $1 WHERE scope = 'account' AND key = $2;`,
+    [hashToken(unlockToken), normalizeEmail(email)]
+  );
+
+  return { accountLocked: true, unlockToken, lockoutMinutes: LOCKOUT_MINUTES };
+}
+
+/* --------------------------------------
+   Successful login - forget the account's failures
+   (IP counters only decay, so one valid account can't reset them)
+-------------------------------------- */
+export async function clearLoginFailures(email) {
+  await pool.query(
+    `DELETE FROM login_attempts WHERE scope = 'account' AND key = $1;`,
+    [normalizeEmail(email)]
+  );
+}
+
+/* --------------------------------------
+   Unlock an account with the token from the lockout email
+-------------------------------------- */
+export async function unlockAccount(token) {
+  const result = await pool.query(
+    `DELETE FROM login_attempts
+     WHERE scope = 'account' AND unlock_token_hash = $1 AND blocked_until > NOW()
+     RETURNING key;`,
+    [hashToken(token)]
+  );
+
+  return result.rows.length > 0;
+}
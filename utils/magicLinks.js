@@ -0,0 +1,80 @@
+// Passwordless login by email link
+// Links are single-use, expire quickly and are stored only as SHA-256 hashes.
+// Requests are rate-limited per email address, whether or not an account exists,
+// so the limit does not reveal which emails are registered.
+import pool from '../db.js';
+import { generateOpaqueToken, hashToken } from './auth.js';
+
+export const MAGIC_LINK_TTL_MINUTES = 15;
+
+const MAX_REQUESTS_PER_WINDOW = 3;
+const REQUEST_WINDOW_MINUTES = 15;
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+/* --------------------------------------
+   Count one link request for an email
+   Returns { allowed, retryAfter } - retryAfter in seconds
+-------------------------------------- */
+export async function consumeMagicLinkQuota(email) {
+  const result = await pool.query(
+    `INSERT INTO magic_link_requests (email, window_started_at, request_count)
+     VALUES ($1, NOW(), 1)
+     ON CONFLICT (email) DO UPDATE SET
+       window_started_at = CASE
+         WHEN magic_link_requests.window_started_at < NOW() - ($2 || ' minutes')::INTERVAL THEN NOW()
+         ELSE magic_link_requests.window_started_at
+       END,
+       request_count = CASE
+         WHEN magic_link_requests.window_started_at < NOW() - ($2 || ' minutes')::INTERVAL THEN 1
+         ELSE magic_link_requests.request_count + 1
+       END
+     RETURNING request_count,
+       CEIL(EXTRACT(EPOCH FROM (window_started_at + ($2 || ' minutes')::INTERVAL - NOW()))) AS retry_after;`,
+    [normalizeEmail(email), REQUEST_WINDOW_MINUTES]
+  );
+
+  const { request_count, retry_after } = result.rows[0];
+
+  if (request_count > MAX_REQUESTS_PER_WINDOW) {
+    return { allowed: false, retryAfter: Math.max(parseInt(retry_after) || 1, 1) };
+  }
+
+  return { allowed: true, retryAfter: 0 };
+}
+
+/* --------------------------------------
+   Issue a link token for a user - earlier unused links stop working
+-------------------------------------- */
+export async function createMagicLink(userId, ip) {
+  const token = generateOpaqueToken();
+
+  await pool.query(
+    `UPDATE magic_link_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND used_at IS NULL;`,
+    [userId]
+  );
+
+  await pool.query(
+    `INSERT INTO magic_link_tokens (user_id, token_hash, requested_ip, expires_at)
+     VALUES ($1, $2, $3, NOW() + ($4 || ' minutes')::INTERVAL);`,
+    [userId, hashToken(token), ip || null, MAGIC_LINK_TTL_MINUTES]
+  );
+
+  return token;
+}
+
+/* --------------------------------------
+   Redeem a link token - returns the user id, or null if the token is
+   unknown, expired or already used
+-------------------------------------- */
+export async function redeemMagicLink(token) {
+  const result = await pool.query(
+    `UPDATE magic_link_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id;`,
+    [hashToken(token)]
+  );
+
+  return result.rows[0]?.user_id || null;
+}
@@ -0,0 +1,77 @@
+// Mail transport abstraction
+// MAIL_DRIVER selects the transport:
+//   - smtp:    real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASSWORD
+//   - file:    writes each message as JSON into MAIL_FILE_DIR (default ./mail-outbox)
+//   - console: logs each message (default, for local development)
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'EventGo <no-reply@eventgo.com>';
+
+/* --------------------------------------
+   Drivers
+-------------------------------------- */
+function createSmtpDriver() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: async (message) => {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+function createFileDriver() {
+  const outbox = path.resolve(process.env.MAIL_FILE_DIR || 'mail-outbox');
+
+  return {
+    send: async (message) => {
+      await mkdir(outbox, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await writeFile(path.join(outbox, fileName), JSON.stringify(message, null, 2));
+    }
+  };
+}
+
+function createConsoleDriver() {
+  return {
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+const drivers = {
+  smtp: createSmtpDriver,
+  file: createFileDriver,
+  console: createConsoleDriver
+};
+
+let activeDriver = null;
+
+function getDriver() {
+  if (!activeDriver) {
+    const name = process.env.MAIL_DRIVER || 'console';
+    if (!drivers[name]) {
+      throw new Error(`Unknown MAIL_DRIVER '${name}'. Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    activeDriver = drivers[name]();
+  }
+  return activeDriver;
+}
+
+/* --------------------------------------
+   Send Mail
+-------------------------------------- */
+export async function sendMail({ to, subject, text, html }) {
+  await getDriver().send({ from: MAIL_FROM, to, subject, text, html });
+}
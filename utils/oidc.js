@@ -0,0 +1,332 @@
+// OpenID Connect login (authorization code flow with PKCE)
+// Providers are configured generically through environment variables:
+//   OIDC_PROVIDERS=google,apple,mock
+//   OIDC_<NAME>_ISSUER         e.g. https://accounts.google.com (discovery is used)
+//   OIDC_<NAME>_CLIENT_ID
+//   OIDC_<NAME>_CLIENT_SECRET  optional for public clients
+//   OIDC_<NAME>_REDIRECT_URI   default FRONTEND_URL/auth/callback/<name>
+//   OIDC_<NAME>_SCOPES         default "openid email profile"
+//   OIDC_<NAME>_DISPLAY_NAME   default <name>
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import pool from '../db.js';
+import { generateOpaqueToken, hashToken } from './auth.js';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const AUTH_REQUEST_TTL_MINUTES = 10;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+/* --------------------------------------
+   Provider configuration
+-------------------------------------- */
+function loadProviders() {
+  const names = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = {};
+
+  for (const name of names) {
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.warn(`OIDC provider '${name}' is missing ${prefix}ISSUER or ${prefix}CLIENT_ID and was skipped`);
+      continue;
+    }
+
+    providers[name] = {
+      name,
+      displayName: process.env[`${prefix}DISPLAY_NAME`] || name,
+      issuer: issuer.replace(/\/+$/, ''),
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+      redirectUri: process.env[`${prefix}REDIRECT_URI`] || `${FRONTEND_URL}/auth/callback/${name}`,
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+    };
+  }
+
+  return providers;
+}
+
+const providers = loadProviders();
+
+export function listOidcProviders() {
+  return Object.values(providers).map(provider => ({
+    name: provider.name,
+    display_name: provider.displayName
+  }));
+}
+
+export function getOidcProvider(name) {
+  const key = String(name).toLowerCase();
+  return Object.hasOwn(providers, key) ? providers[key] : null;
+}
+
+/* --------------------------------------
+   Discovery document and signing keys (cached per provider)
+-------------------------------------- */
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed (${response.status}): ${detail}`);
+  }
+
+  return body;
+}
+
+async function getDiscovery(provider) {
+  if (!discoveryCache.has(provider.name)) {
+    const document = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(provider.name, document);
+  }
+  return discoveryCache.get(provider.name);
+}
+
+async function getSigningKey(provider, kid) {
+  const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let keys = jwksCache.get(provider.name);
+  let jwk = keys && findKey(keys);
+
+  // Unknown key id - the provider may have rotated its keys
+  if (!jwk) {
+    const discovery = await getDiscovery(provider);
+    const jwks = await fetchJson(discovery.jwks_uri);
+    keys = jwks.keys || [];
+    jwksCache.set(provider.name, keys);
+    jwk = findKey(keys);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+}
+
+/* --------------------------------------
+   PKCE
+-------------------------------------- */
+function createCodeChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+/* --------------------------------------
+   Step 1: build the provider's authorization URL
+   The state, PKCE verifier and nonce are kept server-side
+-------------------------------------- */
+export async function createAuthorizationRequest(provider) {
+  const discovery = await getDiscovery(provider);
+
+  const state = generateOpaqueToken();
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+
+  await pool.query(`DELETE FROM oidc_auth_requests WHERE expires_at < NOW();`);
+  await pool.query(
+    `INSERT INTO oidc_auth_requests (state_hash, provider, code_verifier, nonce, redirect_uri, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' minutes')::INTERVAL);`,
+    [hashToken(state), provider.name, codeVerifier, nonce, provider.redirectUri, AUTH_REQUEST_TTL_MINUTES]
+  );
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorization_url: `${discovery.authorization_endpoint}?${params.toString()}`,
+    state,
+    expires_in: AUTH_REQUEST_TTL_MINUTES * 60
+  };
+}
+
+/* --------------------------------------
+   Step 2: exchange the code and verify the ID token
+   Returns { valid: false, message } or { valid: true, claims }
+-------------------------------------- */
+export async function completeAuthorization(provider, code, state) {
+  // Single use - the request is consumed whether or not the exchange succeeds
+  const requestResult = await pool.query(
+    `DELETE FROM oidc_auth_requests
+     WHERE state_hash = $1 AND provider = $2
+     RETURNING code_verifier, nonce, redirect_uri, expires_at;`,
+    [hashToken(state), provider.name]
+  );
+
+  if (requestResult.rows.length === 0) {
+    return { valid: false, message: 'Invalid or already used login state' };
+  }
+
+  const authRequest = requestResult.rows[0];
+
+  if (new Date(authRequest.expires_at) < new Date()) {
+    return { valid: false, message: 'Login request has expired. Please try again.' };
+  }
+
+  const discovery = await getDiscovery(provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: authRequest.redirect_uri,
+    client_id: provider.clientId,
+    code_verifier: authRequest.code_verifier
+  });
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  let tokens;
+  try {
+    tokens = await fetchJson(discovery.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body
+    });
+  } catch (err) {
+    console.error(`OIDC code exchange with '${provider.name}' failed:`, err.message);
+    return { valid: false, message: 'The identity provider rejected the login. Please try again.' };
+  }
+
+  if (!tokens?.id_token) {
+    return { valid: false, message: 'The identity provider did not return an ID token' };
+  }
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  const key = header ? await getSigningKey(provider, header.kid) : null;
+
+  if (!key) {
+    return { valid: false, message: 'Could not verify the ID token signature' };
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: discovery.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60
+    });
+  } catch (err) {
+    return { valid: false, message: `Invalid ID token: ${err.message}` };
+  }
+
+  if (claims.nonce !== authRequest.nonce) {
+    return { valid: false, message: 'Invalid ID token: nonce mismatch' };
+  }
+
+  return {
+    valid: true,
+    claims: {
+      subject: String(claims.sub),
+      email: typeof claims.email === 'string' ? claims.email.toLowerCase().trim() : null,
+      // Some providers (e.g. Apple) send the flag as a string
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      firstName: claims.given_name || (claims.name ? String(claims.name).split(' ')[0] : null),
+      lastName: claims.family_name || (claims.name ? String(claims.name).split(' ').slice(1).join(' ') : null)
+    }
+  };
+}
+
+/* --------------------------------------
+   Find the user for an external identity, linking or creating one
+   - known identity: its user
+   - verified email matching a user: link to that user
+   - no matching user: create a new one
+   Returns { valid: false, status, message } or { valid: true, user, created, linked }
+-------------------------------------- */
+export async function resolveOidcUser(provider, claims) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const identityResult = await client.query(
+      `SELECT u.* FROM user_identities i
+       JOIN users u ON u.id = i.user_id
+       WHERE i.provider = $1 AND i.subject = $2
+       FOR UPDATE OF i;`,
+      [provider.name, claims.subject]
+    );
+
+    if (identityResult.rows.length > 0) {
+      await client.query(
+        `UPDATE user_identities SET last_login_at = NOW(), email = COALESCE($3, email)
+         WHERE provider = $1 AND subject = $2;`,
+        [provider.name, claims.subject, claims.email]
+      );
+      await client.query('COMMIT');
+      return { valid: true, user: identityResult.rows[0], created: false, linked: false };
+    }
+
+    if (!claims.email) {
+      await client.query('ROLLBACK');
+      return { valid: false, status: 400, message: 'The identity provider did not share an email address' };
+    }
+
+    const existingResult = await client.query(
+      'SELECT * FROM users WHERE LOWER(email) = $1 FOR UPDATE',
+      [claims.email]
+    );
+
+    let user;
+    let created = false;
+
+    if (existingResult.rows.length > 0) {
+      const existing = existingResult.rows[0];
+
+      // Only link when both sides have proven ownership of the address
+      if (!claims.emailVerified || !existing.email_verified_at) {
+        await client.query('ROLLBACK');
+        return {
+          valid: false,
+          status: 409,
+          message: 'An account with this email already exists. Log in with your password and verify your email first.'
+        };
+      }
+
+      user = existing;
+    } else {
+      const insertResult = await client.query(
+        `INSERT INTO users (first_name, last_name, email, password, role, email_verified_at)
+         VALUES ($1, $2, $3, NULL, 'user', $4)
+         RETURNING *;`,
+        [
+          (claims.firstName || claims.email.split('@')[0]).slice(0, 100),
+          (claims.lastName || '').slice(0, 100),
+          claims.email,
+          claims.emailVerified ? new Date() : null
+        ]
+      );
+      user = insertResult.rows[0];
+      created = true;
+    }
+
+    await client.query(
+      `INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+       VALUES ($1, $2, $3, $4, NOW());`,
+      [user.id, provider.name, claims.subject, claims.email]
+    );
+
+    await client.query('COMMIT');
+
+    return { valid: true, user, created, linked: !created };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,105 @@
+// Organizer applications
+// A user applies with company and payout details; an admin approves (the user
+// becomes an organizer) or rejects. Every status change goes to audit_log.
+import { validateString, validateUrl, validateIban, validateBic } from '../middleware/validation.js';
+import { recordAudit } from './auditLog.js';
+
+export const APPLICATION_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+
+export const APPLICATION_COLUMNS = `id, user_id, status, company_name, registration_number, vat_number,
+  company_address, website_url, event_description, payout_account_holder, payout_iban, payout_bic,
+  reviewed_by, reviewed_at, review_notes, created_at, updated_at`;
+
+/* --------------------------------------
+   Validate the application fields of a request body
+   Returns {valid, message, value}
+-------------------------------------- */
+export function validateApplicationFields(body) {
+  const fields = {};
+
+  const required = [
+    ['company_name', 'Company name', 2, 200],
+    ['company_address', 'Company address', 5, 500],
+    ['payout_account_holder', 'Payout account holder', 2, 200]
+  ];
+
+  for (const [field, label, min, max] of required) {
+    const validation = validateString(body[field], label, min, max);
+    if (!validation.valid) return { valid: false, message: validation.message };
+    fields[field] = validation.value;
+  }
+
+  const optional = [
+    ['registration_number', 'Registration number', 50],
+    ['vat_number', 'VAT number', 50],
+    ['event_description', 'Event description', 2000]
+  ];
+
+  for (const [field, label, max] of optional) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') {
+      fields[field] = null;
+      continue;
+    }
+    const validation = validateString(body[field], label, 1, max);
+    if (!validation.valid) return { valid: false, message: validation.message };
+    fields[field] = validation.value;
+  }
+
+  fields.website_url = null;
+  if (body.website_url) {
+    const validation = validateUrl(body.website_url, 'Website');
+    if (!validation.valid) return { valid: false, message: validation.message };
+    fields.website_url = validation.value;
+  }
+
+  const ibanValidation = validateIban(body.payout_iban, 'Payout IBAN');
+  if (!ibanValidation.valid) return { valid: false, message: ibanValidation.message };
+  fields.payout_iban = ibanValidation.value;
+
+  fields.payout_bic = null;
+  if (body.payout_bic) {
+    const validation = validateBic(body.payout_bic, 'Payout BIC');
+    if (!validation.valid) return { valid: false, message: validation.message };
+    fields.payout_bic = validation.value;
+  }
+
+  return { valid: true, value: fields };
+}
+
+/* --------------------------------------
+   Insert a pending application and audit it
+   db can be a transaction client; throws 23505 if one is already pending
+-------------------------------------- */
+export async function submitApplication(db, userId, fields, ip) {
+  const result = await db.query(
+    `INSERT INTO organizer_applications (user_id, company_name, registration_number, vat_number,
+       company_address, website_url, event_description, payout_account_holder, payout_iban, payout_bic)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING ${APPLICATION_COLUMNS};`,
+    [
+      userId,
+      fields.company_name,
+      fields.registration_number,
+      fields.vat_number,
+      fields.company_address,
+      fields.website_url,
+      fields.event_description,
+      fields.payout_account_holder,
+      fields.payout_iban,
+      fields.payout_bic
+    ]
+  );
+
+  const application = result.rows[0];
+
+  await recordAudit(db, {
+    actorId: userId,
+    action: 'organizer_application.submitted',
+    targetType: 'organizer_application',
+    targetId: application.id,
+    metadata: { to_status: 'pending' },
+    ip
+  });
+
+  return application;
+}
@@ -0,0 +1,97 @@
+// Central authorization policy
+// A permission is granted by any of:
+//   - an account role (ROLE_PERMISSIONS), e.g. admins may list users
+//   - ownership, when the resource belongs to the user (SELF_PERMISSIONS)
+//   - the user's role on the event team (utils/eventPermissions.js)
+// Routes check permissions with the can() middleware; loaders below tell it
+// which resource a request is about.
+import pool from '../db.js';
+import { getEventRole, roleHasPermission } from './eventPermissions.js';
+
+const ROLE_PERMISSIONS = {
+  user: ['organizer_application:submit'],
+  organizer: ['event:create', 'venue:create', 'organizer_profile:manage', 'api_key:manage'],
+  admin: [
+    'user:list', 'user:view', 'user:create', 'user:manage', 'user:impersonate', 'user:export',
+    'audit_log:view', 'organizer_application:view', 'organizer_application:review',
+    'attendee:view', 'venue:manage', 'maintenance:run'
+  ]
+};
+
+// Granted on your own account and records
+const SELF_PERMISSIONS = ['user:view', 'user:update', 'user:delete', 'user:export', 'user:sessions', 'user:events', 'organizer_application:view', 'venue:manage'];
+
+export function getPermissions(roles) {
+  return [...new Set((roles || []).flatMap(role => ROLE_PERMISSIONS[role] || []))];
+}
+
+export function hasPermission(roles, permission) {
+  return (roles || []).some(role => ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+/* --------------------------------------
+   Is the user allowed to do this to the resource?
+   resource: { ownerId } and/or { eventId, eventRole }, or null for global permissions
+-------------------------------------- */
+export async function isAllowed(user, permission, resource = null) {
+  if (hasPermission(user.roles, permission)) {
+    return true;
+  }
+
+  if (!resource) {
+    return false;
+  }
+
+  if (resource.ownerId !== undefined && resource.ownerId === user.id && SELF_PERMISSIONS.includes(permission)) {
+    return true;
+  }
+
+  if (resource.eventId !== undefined) {
+    const role = resource.eventRole !== undefined
+      ? resource.eventRole
+      : (await getEventRole(user.id, resource.eventId)).role;
+    return roleHasPermission(role, permission);
+  }
+
+  return false;
+}
+
+/* --------------------------------------
+   Resource loaders for can()
+   Each returns the resource, or null when it does not exist (404).
+   Event resources carry the caller's eventRole. Run validateId on the parameter first.
+-------------------------------------- */
+function loader(resourceName, load) {
+  load.resourceName = resourceName;
+  return load;
+}
+
+async function eventResource(userId, eventId, extra = {}) {
+  const { found, role } = await getEventRole(userId, eventId);
+  return found ? { ...extra, eventId, eventRole: role } : null;
+}
+
+export const eventFromParam = (param) => loader('Event', async (req) => {
+  return eventResource(req.user.id, req.params[param]);
+});
+
+export const ticketTypeFromParam = (param) => loader('Ticket type', async (req) => {
+  const result = await pool.query(`SELECT id, event_id FROM ticket_types WHERE id = $1`, [req.params[param]]);
+  const ticketType = result.rows[0];
+  return ticketType ? eventResource(req.user.id, ticketType.event_id, { ticketTypeId: ticketType.id }) : null;
+});
+
+export const ticketFromParam = (param) => loader('Ticket', async (req) => {
+  const result = await pool.query(`SELECT id, event_id FROM tickets WHERE id = $1`, [req.params[param]]);
+  const ticket = result.rows[0];
+  return ticket ? eventResource(req.user.id, ticket.event_id, { ticketId: ticket.id }) : null;
+});
+
+export const venueFromParam = (param) => loader('Venue', async (req) => {
+  const result = await pool.query(`SELECT id, created_by FROM venues WHERE id = $1`, [req.params[param]]);
+  const venue = result.rows[0];
+  return venue ? { venueId: venue.id, ownerId: venue.created_by } : null;
+});
+
+// The account named in the URL - existence is left to the handler
+export const userFromParam = (param) => loader('User', async (req) => ({ ownerId: req.params[param] }));
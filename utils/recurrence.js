@@ -0,0 +1,257 @@
+// RRULE-style recurrence for event series (a subset of RFC 5545)
+// Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY
+//   FREQ=DAILY;COUNT=40                     every night, 40 times
+//   FREQ=WEEKLY;BYDAY=TU,TH,SA;UNTIL=20261231  three nights a week until the end of the year
+//   FREQ=MONTHLY;BYDAY=1FR;COUNT=12         first Friday of every month
+// Occurrences are computed in the series' time zone, so a 19:30 show stays at
+// 19:30 local time across daylight saving changes.
+
+export const MAX_OCCURRENCES = 366;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // index = Date.getUTCDay()
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* --------------------------------------
+   Time zones
+   "Wall time" below is a local date/time stored as if it were UTC milliseconds
+-------------------------------------- */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getOffsetMs(utcMs, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(utcMs));
+  const value = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+  const wallMs = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+  return wallMs - Math.floor(utcMs / 1000) * 1000;
+}
+
+export function toWallTime(date, timeZone) {
+  return date.getTime() + getOffsetMs(date.getTime(), timeZone);
+}
+
+export function fromWallTime(wallMs, timeZone) {
+  const guess = wallMs - getOffsetMs(wallMs, timeZone);
+  // Re-check once: the guess may sit on the other side of a DST change
+  return new Date(wallMs - getOffsetMs(guess, timeZone));
+}
+
+// Wall time -> "2026-03-14"
+export function wallDate(wallMs) {
+  return new Date(wallMs).toISOString().slice(0, 10);
+}
+
+/* --------------------------------------
+   RRULE Validation - returns {valid, message, value}
+-------------------------------------- */
+export function parseRRule(rrule) {
+  if (typeof rrule !== 'string' || !rrule.trim()) {
+    return { valid: false, message: 'rrule is required, e.g. "FREQ=DAILY;COUNT=10"' };
+  }
+  // Stored as sent - nothing but RRULE syntax gets through
+  if (!/^[A-Za-z0-9=;,:+\- ]+$/.test(rrule.trim())) {
+    return { valid: false, message: 'rrule may only contain letters, digits and = ; , : + -' };
+  }
+
+  const rule = { interval: 1, count: null, until: null, byDay: [], byMonthDay: [] };
+
+  for (const part of rrule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          return { valid: false, message: `FREQ must be one of ${FREQUENCIES.join(', ')}` };
+        }
+        rule.freq = value;
+        break;
+
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+          return { valid: false, message: 'INTERVAL must be a whole number between 1 and 365' };
+        }
+        break;
+
+      case 'COUNT':
+        rule.count = Number(value);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES) {
+          return { valid: false, message: `COUNT must be a whole number between 1 and ${MAX_OCCURRENCES}` };
+        }
+        break;
+
+      case 'UNTIL': {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) {
+          return { valid: false, message: 'UNTIL must look like 20261231 or 20261231T235959Z' };
+        }
+        const [, year, month, day, hour, minute, second, utc] = match;
+        rule.until = {
+          ms: hour === undefined
+            ? Date.UTC(year, month - 1, day, 23, 59, 59)
+            : Date.UTC(year, month - 1, day, hour, minute, second),
+          utc: Boolean(utc)
+        };
+        break;
+      }
+
+      case 'BYDAY':
+        for (const item of value.split(',')) {
+          const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match || (match[1] && (Math.abs(Number(match[1])) < 1 || Math.abs(Number(match[1])) > 5))) {
+            return { valid: false, message: `Invalid BYDAY value '${item}'. Use e.g. MO,WE or 1FR, -1SU` };
+          }
+          rule.byDay.push({ weekday: WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? Number(match[1]) : null });
+        }
+        break;
+
+      case 'BYMONTHDAY':
+        for (const item of value.split(',')) {
+          const day = Number(item);
+          if (!Number.isInteger(day) || day === 0 || day < -31 || day > 31) {
+            return { valid: false, message: `Invalid BYMONTHDAY value '${item}'` };
+          }
+          rule.byMonthDay.push(day);
+        }
+        break;
+
+      default:
+        return { valid: false, message: `Unsupported RRULE part '${key}'. Supported: FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY` };
+    }
+  }
+
+  if (!rule.freq) {
+    return { valid: false, message: 'rrule needs a FREQ, e.g. "FREQ=WEEKLY;BYDAY=FR;COUNT=8"' };
+  }
+  if (!rule.count && !rule.until) {
+    return { valid: false, message: 'rrule needs COUNT or UNTIL so the series ends' };
+  }
+  if (rule.count && rule.until) {
+    return { valid: false, message: 'rrule cannot have both COUNT and UNTIL' };
+  }
+  if (rule.freq !== 'MONTHLY' && rule.byDay.some(day => day.ordinal !== null)) {
+    return { valid: false, message: 'BYDAY with a position (e.g. 1FR) needs FREQ=MONTHLY' };
+  }
+  if (rule.freq !== 'MONTHLY' && rule.byMonthDay.length > 0) {
+    return { valid: false, message: 'BYMONTHDAY needs FREQ=MONTHLY' };
+  }
+
+  return { valid: true, value: rule };
+}
+
+/* --------------------------------------
+   Candidate days of one period (wall time, midnight), in order
+-------------------------------------- */
+function weeklyDays(weekStartMs, rule, startWeekday) {
+  const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [startWeekday];
+  // Weeks start on Monday (WKST=MO)
+  return [...new Set(weekdays)]
+    .map(weekday => weekStartMs + ((weekday + 6) % 7) * DAY_MS)
+    .sort((a, b) => a - b);
+}
+
+function monthlyDays(year, month, rule, startDay) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const dayMs = (day) => Date.UTC(year, month, day);
+  const days = new Set();
+
+  for (const day of rule.byMonthDay) {
+    const date = day > 0 ? day : daysInMonth + day + 1;
+    if (date >= 1 && date <= daysInMonth) days.add(dayMs(date));
+  }
+
+  for (const { weekday, ordinal } of rule.byDay) {
+    const matching = [];
+    for (let date = 1; date <= daysInMonth; date++) {
+      if (new Date(dayMs(date)).getUTCDay() === weekday) matching.push(dayMs(date));
+    }
+    if (ordinal === null) {
+      matching.forEach(day => days.add(day));
+    } else {
+      const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (day !== undefined) days.add(day);
+    }
+  }
+
+  // No BYxxx: the same day of the month as the first occurrence (months without it are skipped)
+  if (rule.byMonthDay.length === 0 && rule.byDay.length === 0 && startDay <= daysInMonth) {
+    days.add(dayMs(startDay));
+  }
+
+  return [...days].sort((a, b) => a - b);
+}
+
+/* --------------------------------------
+   Expand a rule into occurrence start times
+   start: first occurrence (Date), exdates: ["2026-03-14", ...] local dates to skip
+   Returns {valid, message, value} with value = [{ start: Date, date: "2026-03-10" }]
+   COUNT includes skipped dates, as in RFC 5545
+-------------------------------------- */
+export function expandOccurrences(rule, start, { timeZone = 'UTC', exdates = [] } = {}) {
+  const startWall = toWallTime(start, timeZone);
+  const startDate = new Date(startWall);
+  const timeOfDay = startWall % DAY_MS;
+  const startMidnight = startWall - timeOfDay;
+  const untilWall = rule.until
+    ? (rule.until.utc ? toWallTime(new Date(rule.until.ms), timeZone) : rule.until.ms)
+    : null;
+  const skipped = new Set(exdates);
+
+  const occurrences = [];
+  let generated = 0;
+
+  // Each step yields the candidate days of one period (day, week or month)
+  const periodDays = (step) => {
+    if (rule.freq === 'DAILY') {
+      const day = startMidnight + step * rule.interval * DAY_MS;
+      const weekdays = rule.byDay.map(byDay => byDay.weekday);
+      return weekdays.length === 0 || weekdays.includes(new Date(day).getUTCDay()) ? [day] : [];
+    }
+    if (rule.freq === 'WEEKLY') {
+      const weekStart = startMidnight - ((startDate.getUTCDay() + 6) % 7) * DAY_MS;
+      return weeklyDays(weekStart + step * rule.interval * 7 * DAY_MS, rule, startDate.getUTCDay());
+    }
+    const monthIndex = startDate.getUTCMonth() + step * rule.interval;
+    return monthlyDays(startDate.getUTCFullYear() + Math.floor(monthIndex / 12), monthIndex % 12, rule, startDate.getUTCDate());
+  };
+
+  // Enough periods for the longest daily series of MAX_OCCURRENCES
+  for (let step = 0; step < MAX_OCCURRENCES * 31; step++) {
+    for (const day of periodDays(step)) {
+      const wall = day + timeOfDay;
+      if (wall < startWall) continue;
+      if (untilWall !== null && wall > untilWall) return finish();
+      if (rule.count && generated >= rule.count) return finish();
+
+      generated++;
+      const date = wallDate(wall);
+      if (!skipped.has(date)) {
+        occurrences.push({ start: fromWallTime(wall, timeZone), date });
+      }
+      if (occurrences.length > MAX_OCCURRENCES) {
+        return { valid: false, message: `A series can have at most ${MAX_OCCURRENCES} occurrences` };
+      }
+    }
+  }
+  return finish();
+
+  function finish() {
+    if (occurrences.length === 0) {
+      return { valid: false, message: 'The recurrence rule does not produce any occurrences' };
+    }
+    return { valid: true, value: occurrences };
+  }
+}
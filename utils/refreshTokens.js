@@ -0,0 +1,235 @@
+// Login sessions with a server-side refresh token store (rotation and reuse detection)
+// Each login starts a session; its id doubles as the refresh token family and is
+// carried in access tokens as "sid".
+import crypto from 'crypto';
+import pool from '../db.js';
+import { generateOpaqueToken, hashToken } from './auth.js';
+
+const REFRESH_TOKEN_TTL_DAYS = 7;
+const LAST_SEEN_RESOLUTION_SECONDS = 60;
+
+/* --------------------------------------
+   Insert a new token into a family (db = pool or transaction client)
+-------------------------------------- */
+async function insertRefreshToken(db, userId, familyId, device) {
+  const token = generateOpaqueToken();
+
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, device_name, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 || ' days')::INTERVAL)
+     RETURNING id;`,
+    [
+      userId,
+      hashToken(token),
+      familyId,
+      device.device_name || null,
+      device.user_agent || null,
+      device.ip_address || null,
+      REFRESH_TOKEN_TTL_DAYS
+    ]
+  );
+
+  return { token, id: result.rows[0].id };
+}
+
+/* --------------------------------------
+   Device info from an Express request
+-------------------------------------- */
+export function getDeviceInfo(req) {
+  const deviceName = typeof req.body?.device_name === 'string'
+    ? req.body.device_name.trim().slice(0, 100)
+    : null;
+
+  return {
+    device_name: deviceName || null,
+    user_agent: req.get('user-agent') || null,
+    ip_address: req.ip || null
+  };
+}
+
+/* --------------------------------------
+   Start a session for a fresh login
+   Returns { sessionId, refreshToken }
+-------------------------------------- */
+export async function startSession(user, req) {
+  const sessionId = crypto.randomUUID();
+  const device = getDeviceInfo(req);
+
+  await pool.query(
+    `INSERT INTO user_sessions (id, user_id, device_name, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' days')::INTERVAL);`,
+    [sessionId, user.id, device.device_name, device.user_agent, device.ip_address, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  const { token } = await insertRefreshToken(pool, user.id, sessionId, device);
+  return { sessionId, refreshToken: token };
+}
+
+/* --------------------------------------
+   Rotate a refresh token
+   - Valid token: revoked and replaced by a new one in the same session
+   - Already rotated token (reuse): the whole session is revoked
+-------------------------------------- */
+export async function rotateRefreshToken(token, req) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, user_id, family_id, device_name, expires_at, revoked_at, replaced_by
+       FROM refresh_tokens
+       WHERE token_hash = $1
+       FOR UPDATE;`,
+      [hashToken(token)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { valid: false, message: 'Invalid refresh token' };
+    }
+
+    const stored = result.rows[0];
+
+    if (stored.revoked_at) {
+      // A rotated token is being replayed - assume it was stolen and end the session
+      if (stored.replaced_by) {
+        await revokeFamily(client, stored.family_id);
+        await client.query('COMMIT');
+        return { valid: false, reused: true, message: 'Refresh token reuse detected. Please log in again.' };
+      }
+
+      await client.query('ROLLBACK');
+      return { valid: false, message: 'Refresh token has been revoked' };
+    }
+
+    if (new Date(stored.expires_at) < new Date()) {
+      await client.query('ROLLBACK');
+      return { valid: false, message: 'Refresh token has expired' };
+    }
+
+    const device = getDeviceInfo(req);
+    const next = await insertRefreshToken(client, stored.user_id, stored.family_id, {
+      ...device,
+      device_name: device.device_name || stored.device_name
+    });
+
+    await client.query(
+      `UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $1 WHERE id = $2;`,
+      [next.id, stored.id]
+    );
+
+    await client.query(
+      `UPDATE user_sessions
+       SET last_seen_at = NOW(), ip_address = $2, expires_at = NOW() + ($3 || ' days')::INTERVAL
+       WHERE id = $1;`,
+      [stored.family_id, device.ip_address, REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    await client.query('COMMIT');
+
+    return { valid: true, userId: stored.user_id, sessionId: stored.family_id, token: next.token };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/* --------------------------------------
+   Revoke a session and its refresh tokens (db = pool or transaction client)
+-------------------------------------- */
+async function revokeFamily(db, sessionId) {
+  await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE family_id = $1 AND revoked_at IS NULL;`,
+    [sessionId]
+  );
+
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL;`,
+    [sessionId]
+  );
+  return result.rowCount;
+}
+
+/* --------------------------------------
+   Revoke the session a refresh token belongs to (logout)
+-------------------------------------- */
+export async function revokeRefreshTokenFamily(token) {
+  const result = await pool.query(
+    `SELECT family_id FROM refresh_tokens WHERE token_hash = $1;`,
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    return 0;
+  }
+
+  return revokeFamily(pool, result.rows[0].family_id);
+}
+
+/* --------------------------------------
+   Revoke one of a user's sessions by id
+   Returns false when the session does not exist or is already revoked
+-------------------------------------- */
+export async function revokeSession(userId, sessionId) {
+  const result = await pool.query(
+    `SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL;`,
+    [sessionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await revokeFamily(pool, sessionId);
+  return true;
+}
+
+/* --------------------------------------
+   Revoke every session a user has (all devices)
+   db = pool or transaction client
+-------------------------------------- */
+export async function revokeAllSessions(userId, db = pool) {
+  await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL;`,
+    [userId]
+  );
+
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL;`,
+    [userId]
+  );
+  return result.rowCount;
+}
+
+/* --------------------------------------
+   Active sessions of a user, most recently used first
+-------------------------------------- */
+export async function listSessions(userId) {
+  const result = await pool.query(
+    `SELECT id, device_name, user_agent, ip_address, created_at, last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC;`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/* --------------------------------------
+   Record activity on a session (at most once per minute)
+-------------------------------------- */
+export async function touchSession(sessionId, ip) {
+  await pool.query(
+    `UPDATE user_sessions SET last_seen_at = NOW(), ip_address = COALESCE($2, ip_address)
+     WHERE id = $1
+     AND last_seen_at < NOW() - ($3 || ' seconds')::INTERVAL;`,
+    [sessionId, ip || null, LAST_SEEN_RESOLUTION_SECONDS]
+  );
+}
@@ -0,0 +1,84 @@
+// Account roles
+// Every account is a 'user'; organizer and admin are granted on top in
+// user_roles. users.role mirrors the highest role for display only -
+// authorization goes through utils/policy.js.
+import pool from '../db.js';
+
+export const ACCOUNT_ROLES = ['user', 'organizer', 'admin'];
+export const GRANTABLE_ROLES = ['organizer', 'admin'];
+
+// SQL fragment for a query on "users u" - every role the account holds, as "roles"
+export const ROLES_SQL = `ARRAY['user'] || ARRAY(SELECT r.role::text FROM user_roles r WHERE r.user_id = u.id ORDER BY r.role) AS roles`;
+
+export async function getUserRoles(userId, db = pool) {
+  const result = await db.query(`SELECT ${ROLES_SQL} FROM users u WHERE u.id = $1;`, [userId]);
+  return result.rows[0]?.roles || [];
+}
+
+/* --------------------------------------
+   Keep users.role on the highest granted role
+-------------------------------------- */
+async function syncPrimaryRole(db, userId) {
+  await db.query(
+    `UPDATE users SET role = COALESCE(
+       (SELECT role FROM user_roles WHERE user_id = $1
+        ORDER BY CASE role WHEN 'admin' THEN 1 WHEN 'organizer' THEN 2 ELSE 3 END
+        LIMIT 1),
+       'user'::user_role
+     )
+     WHERE id = $1;`,
+    [userId]
+  );
+}
+
+/* --------------------------------------
+   Grant a role - returns false if the account already had it
+-------------------------------------- */
+export async function grantRole(db, userId, role, grantedBy = null) {
+  const result = await db.query(
+    `INSERT INTO user_roles (user_id, role, granted_by)
+     VALUES ($1, $2::user_role, $3)
+     ON CONFLICT (user_id, role) DO NOTHING
+     RETURNING role;`,
+    [userId, role, grantedBy]
+  );
+
+  await syncPrimaryRole(db, userId);
+  return result.rows.length > 0;
+}
+
+/* --------------------------------------
+   Revoke a role - returns false if the account did not have it
+-------------------------------------- */
+export async function revokeRole(db, userId, role) {
+  const result = await db.query(
+    `DELETE FROM user_roles WHERE user_id = $1 AND role = $2::user_role RETURNING role;`,
+    [userId, role]
+  );
+
+  await syncPrimaryRole(db, userId);
+  return result.rows.length > 0;
+}
+
+/* --------------------------------------
+   Replace all granted roles ('user' is implied and ignored)
+-------------------------------------- */
+export async function setUserRoles(db, userId, roles, grantedBy = null) {
+  const granted = roles.filter(role => role !== 'user');
+
+  await db.query(
+    `DELETE FROM user_roles WHERE user_id = $1 AND NOT (role::text = ANY($2::text[]));`,
+    [userId, granted]
+  );
+
+  for (const role of granted) {
+    await db.query(
+      `INSERT INTO user_roles (user_id, role, granted_by)
+       VALUES ($1, $2::user_role, $3)
+       ON CONFLICT (user_id, role) DO NOTHING;`,
+      [userId, role, grantedBy]
+    );
+  }
+
+  await syncPrimaryRole(db, userId);
+}
@@ -0,0 +1,42 @@
+// URL slug helpers
+import pool from '../db.js';
+
+/* --------------------------------------
+   "Ljubljana Jazz Club!" -> "ljubljana-jazz-club"
+-------------------------------------- */
+export function slugify(text, maxLength = 60) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/g, '');
+}
+
+/* --------------------------------------
+   First free slug in a table: base, base-2, base-3, ...
+   table/column come from code, never from user input
+-------------------------------------- */
+export async function findAvailableSlug(table, base, { column = 'slug', excludeId = null, maxLength = 60 } = {}) {
+  const root = base.slice(0, maxLength - 4).replace(/-+$/g, '');
+
+  const result = await pool.query(
+    `SELECT ${column} AS slug FROM ${table}
+     WHERE (${column} = $1 OR ${column} LIKE $1 || '-%')
+     AND ($2::INTEGER IS NULL OR id <> $2);`,
+    [root, excludeId]
+  );
+
+  const taken = new Set(result.rows.map(row => row.slug));
+  if (!taken.has(root)) {
+    return root;
+  }
+
+  let suffix = 2;
+  while (taken.has(`${root}-${suffix}`)) {
+    suffix++;
+  }
+  return `${root}-${suffix}`;
+}
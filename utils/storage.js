@@ -0,0 +1,74 @@
+// File storage abstraction for uploads (event images)
+// STORAGE_DRIVER selects the backend:
+//   - local: files under STORAGE_LOCAL_DIR (default ./uploads), served by this API at /uploads (default)
+// A driver stores a buffer under a key like "events/12/9f3c.../card.jpg" and turns keys into
+// public URLs, so an S3-compatible driver only needs put/delete/url of its own.
+import { mkdir, writeFile, rm } from 'fs/promises';
+import path from 'path';
+
+/* --------------------------------------
+   Drivers
+-------------------------------------- */
+function createLocalDriver() {
+  const directory = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+  const publicUrl = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/+$/, '');
+
+  // Keys come from our own code, but never let one point outside the upload directory
+  const resolve = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return filePath;
+  };
+
+  return {
+    localDirectory: directory,
+    put: async (key, buffer) => {
+      const filePath = resolve(key);
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, buffer);
+    },
+    delete: async (key) => {
+      await rm(resolve(key), { force: true });
+    },
+    url: (key) => `${publicUrl}/${key}`
+  };
+}
+
+const drivers = {
+  local: createLocalDriver
+};
+
+let activeDriver = null;
+
+function getDriver() {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER '${name}'. Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    activeDriver = drivers[name]();
+  }
+  return activeDriver;
+}
+
+/* --------------------------------------
+   Storage operations
+-------------------------------------- */
+export async function putFile(key, buffer, contentType) {
+  await getDriver().put(key, buffer, contentType);
+}
+
+export async function deleteFile(key) {
+  await getDriver().delete(key);
+}
+
+export function fileUrl(key) {
+  return getDriver().url(key);
+}
+
+// Directory index.js serves at /uploads, or null when the driver serves its own files
+export function localFilesDirectory() {
+  return getDriver().localDirectory || null;
+}
@@ -0,0 +1,153 @@
+// TOTP (RFC 6238) helpers for two-factor authentication
+import crypto from 'crypto';
+import { JWT_SECRET } from './auth.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'EventGo';
+
+// Secrets are encrypted at rest with a key derived from TOTP_ENCRYPTION_KEY (or JWT_SECRET)
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+
+/* --------------------------------------
+   Base32 (RFC 4648) - the format authenticator apps expect
+-------------------------------------- */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/* --------------------------------------
+   Secret generation and otpauth:// URI
+-------------------------------------- */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+export function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/* --------------------------------------
+   Code generation and verification
+-------------------------------------- */
+export function currentTotpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+export function generateTotpCode(secret, step = currentTotpStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a code against the current step and one step either side (clock drift).
+ * Returns the matching step so callers can reject replays, or null.
+ */
+export function verifyTotpCode(secret, code, lastUsedStep = null) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) {
+    return null;
+  }
+
+  const current = currentTotpStep();
+  for (const step of [current - 1, current, current + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateTotpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code.trim()))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/* --------------------------------------
+   Encryption at rest (AES-256-GCM)
+-------------------------------------- */
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, encrypted].map(part => part.toString('base64')).join('.');
+}
+
+export function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/* --------------------------------------
+   Recovery codes - shown once, stored hashed
+-------------------------------------- */
+export function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+export function normalizeRecoveryCode(code) {
+  return typeof code === 'string' ? code.trim().toLowerCase().replace(/\s/g, '') : '';
+}
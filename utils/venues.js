@@ -0,0 +1,177 @@
+// Venues and their capacity limits
+// An event at a venue takes its location text and coordinates from the venue,
+// and its ticket types may not add up to more than the venue's capacity.
+import pool from '../db.js';
+import { validateString, validateNumber } from '../middleware/validation.js';
+import { validateCoordinates } from './geo.js';
+
+export const VENUE_COLUMNS = `id, name, address_line, postal_code, city, country, latitude, longitude, capacity, accessibility, created_by, created_at, updated_at`;
+
+export const MAX_VENUE_CAPACITY = 200000;
+
+// Accessibility flags a venue can declare, plus free-text notes
+export const ACCESSIBILITY_FEATURES = [
+  'wheelchair_accessible',
+  'step_free_access',
+  'accessible_toilets',
+  'accessible_parking',
+  'hearing_loop',
+  'assistance_dogs_allowed'
+];
+const MAX_ACCESSIBILITY_NOTES = 1000;
+
+/* --------------------------------------
+   Validate venue fields from a request body - returns {valid, message, value}
+   Only fields present in the body are validated and returned;
+   on create the required fields must all be there
+-------------------------------------- */
+export function validateVenueFields(body, { creating = false } = {}) {
+  const fields = {};
+
+  if (creating) {
+    for (const [field, label] of [['name', 'Name'], ['address_line', 'Address'], ['city', 'City'], ['country', 'Country'], ['capacity', 'Capacity']]) {
+      if (body[field] === undefined || body[field] === null || body[field] === '') {
+        return { valid: false, message: `${label} is required` };
+      }
+    }
+  }
+
+  for (const [field, label, min, max] of [['name', 'Name', 2, 150], ['address_line', 'Address', 3, 200], ['city', 'City', 1, 100]]) {
+    if (body[field] === undefined) continue;
+    const validation = validateString(body[field], label, min, max);
+    if (!validation.valid) return { valid: false, message: validation.message };
+    fields[field] = validation.value;
+  }
+
+  if (body.postal_code !== undefined) {
+    if (body.postal_code === null || body.postal_code === '') {
+      fields.postal_code = null;
+    } else {
+      const validation = validateString(String(body.postal_code), 'Postal code', 1, 20);
+      if (!validation.valid) return { valid: false, message: validation.message };
+      fields.postal_code = validation.value;
+    }
+  }
+
+  if (body.country !== undefined) {
+    if (typeof body.country !== 'string' || !/^[A-Za-z]{2}$/.test(body.country.trim())) {
+      return { valid: false, message: 'Country must be a two-letter ISO 3166-1 code, e.g. SI' };
+    }
+    fields.country = body.country.trim().toUpperCase();
+  }
+
+  if (body.capacity !== undefined) {
+    const validation = validateNumber(body.capacity, 'Capacity', 1, MAX_VENUE_CAPACITY);
+    if (!validation.valid) return { valid: false, message: validation.message };
+    if (!Number.isInteger(validation.value)) {
+      return { valid: false, message: 'Capacity must be a whole number' };
+    }
+    fields.capacity = validation.value;
+  }
+
+  if (body.latitude !== undefined || body.longitude !== undefined) {
+    const validation = validateCoordinates(body.latitude, body.longitude);
+    if (!validation.valid) return { valid: false, message: validation.message };
+    fields.latitude = validation.value.latitude;
+    fields.longitude = validation.value.longitude;
+  }
+
+  if (body.accessibility !== undefined) {
+    const validation = validateAccessibility(body.accessibility);
+    if (!validation.valid) return { valid: false, message: validation.message };
+    fields.accessibility = validation.value;
+  }
+
+  return { valid: true, value: fields };
+}
+
+/* --------------------------------------
+   Accessibility Validation - returns {valid, message, value}
+   { "wheelchair_accessible": true, "notes": "Lift at the side entrance" }
+-------------------------------------- */
+function validateAccessibility(accessibility) {
+  const info = accessibility || {};
+  if (typeof info !== 'object' || Array.isArray(info)) {
+    return { valid: false, message: 'accessibility must be an object, e.g. { "wheelchair_accessible": true }' };
+  }
+
+  const value = {};
+  for (const [key, flag] of Object.entries(info)) {
+    if (key === 'notes') {
+      if (flag === null || flag === '') continue;
+      const validation = validateString(flag, 'Accessibility notes', 1, MAX_ACCESSIBILITY_NOTES);
+      if (!validation.valid) return { valid: false, message: validation.message };
+      value.notes = validation.value;
+      continue;
+    }
+
+    if (!ACCESSIBILITY_FEATURES.includes(key)) {
+      return { valid: false, message: `Unknown accessibility feature '${key}'. Allowed: ${ACCESSIBILITY_FEATURES.join(', ')}, notes` };
+    }
+    if (typeof flag !== 'boolean') {
+      return { valid: false, message: `Accessibility feature '${key}' must be true or false` };
+    }
+    value[key] = flag;
+  }
+
+  return { valid: true, value };
+}
+
+// Text geocoded for a venue and copied into events.location
+export function venueAddress(venue) {
+  return [venue.address_line, [venue.postal_code, venue.city].filter(Boolean).join(' '), venue.country].join(', ');
+}
+
+export function venueLocation(venue) {
+  return `${venue.name}, ${venue.address_line}, ${venue.city}`.slice(0, 200);
+}
+
+export async function findVenue(id, db = pool) {
+  const result = await db.query(`SELECT ${VENUE_COLUMNS} FROM venues WHERE id = $1;`, [id]);
+  return result.rows[0] || null;
+}
+
+/* --------------------------------------
+   Lock an event for a capacity check - returns { capacity, totalTickets }
+   or null when the event does not exist; capacity is null without a venue.
+   Concurrent ticket type changes are checked one at a time - call inside a transaction
+-------------------------------------- */
+export async function lockEventCapacity(db, eventId) {
+  const result = await db.query(
+    `SELECT e.total_tickets, (SELECT v.capacity FROM venues v WHERE v.id = e.venue_id) AS capacity
+     FROM events e
+     WHERE e.id = $1
+     FOR UPDATE;`,
+    [eventId]
+  );
+
+  const event = result.rows[0];
+  return event ? { capacity: event.capacity, totalTickets: event.total_tickets } : null;
+}
+
+/* --------------------------------------
+   Tickets already allocated to an event's ticket types
+   excludeTicketTypeId leaves out a ticket type that is being changed
+-------------------------------------- */
+export async function getAllocatedTickets(db, eventId, excludeTicketTypeId = null) {
+  const result = await db.query(
+    `SELECT COALESCE(SUM(total_tickets), 0)::int AS allocated
+     FROM ticket_types
+     WHERE event_id = $1 AND ($2::INTEGER IS NULL OR id <> $2);`,
+    [eventId, excludeTicketTypeId]
+  );
+  return result.rows[0].allocated;
+}
+
+/* --------------------------------------
+   Capacity check - returns {valid, message}
+-------------------------------------- */
+export function validateCapacity(capacity, totalTickets) {
+  if (capacity === null || totalTickets <= capacity) {
+    return { valid: true };
+  }
+  return {
+    valid: false,
+    message: `This would make ${totalTickets} tickets, but the venue holds only ${capacity} people.`
+  };
+}